@@ -0,0 +1,2232 @@
+/**
+ * APPLICATION CONTROLLER
+ *
+ * Neural-Physical Instrument
+ * Owns the animation loop and connects UIControls callbacks to the
+ * physics engines and the renderer
+ */
+
+class SimulationController {
+    // Launch settings and uniform Bz (T) applied when a particle field map is picked
+    static PARTICLE_FIELD_PRESETS = {
+        uniform: { Bz: 1, offset: 0, pitch: 0 },
+        charges: { Bz: 0, offset: 0.5, pitch: 0 },
+        currents: { Bz: 0, offset: 0.5, pitch: 0 },
+        bottle: { Bz: 0, offset: 0, pitch: 60 },
+        quadrupole: { Bz: 0, offset: 0.5, pitch: 0 }
+    };
+
+    // Engines registered with the physics client (see syncPhysics)
+    static PHYSICS_ENGINES = ['fdtd1d', 'fdtd2d', 'poisson', 'particle', 'beam'];
+
+    // Colormap and normalization used for each heatmap when the Color Scale
+    // controls are left on Auto
+    static HEATMAP_COLOR_DEFAULTS = {
+        potential: { colormap: 'rdbu', scale: 'symlog' },
+        wave: { colormap: 'blue-gray-green', scale: 'linear' }
+    };
+
+    constructor(canvas, ui) {
+        this.canvas = canvas;
+        this.ui = ui;
+        this.renderer = new EMRenderer(canvas);
+
+        this.mode = ui ? ui.currentMode : 'electrostatic';
+        this.tool = ui ? ui.getTool() : 'edit';
+        this.isPlaying = false;
+
+        // Frame timing
+        this.lastFrame = 0;
+        this.fps = 60;
+        this.lastReadout = 0;
+        this.readoutInterval = 250;
+
+        // Transient status lines shown above the info readout: {lines, until}
+        this.notice = null;
+
+        // Pending URL hash rewrite (coalesces bursts such as charge drags)
+        this.urlSyncTimer = null;
+        this.urlSyncDelay = 300;
+
+        this.createEngines();
+        this.createViewports();
+        this.bindUI();
+
+        // Direct manipulation of charges on the canvas
+        this.chargeEditor = new ChargeEditor(canvas, this.chargeSystem, this.renderer, ui);
+        this.chargeEditor.onSelectionChange = () => this.updateReadouts(true);
+
+        // Wires and in-plane segments in magnetostatics
+        this.wireEditor = new WireEditor(canvas, this.currentSystem, this.renderer, ui);
+        this.wireEditor.shape = ui ? ui.getCurrentShape() : 'wire';
+        this.wireEditor.onSelectionChange = () => this.updateReadouts(true);
+
+        // Field probes: hover readout and pinned point detectors
+        this.probeTool = new ProbeTool(canvas, this.renderer);
+        this.probeTool.sampler = (x, y) => this.probeSample(x, y);
+        this.probeTool.setContext(this.probeContext());
+
+        // Measuring line with a V(s) / |E|(s) profile, drawn with the calipers
+        const calipers = window.technicalCalipers;
+        this.lineCut = new LineCutTool(canvas, this.renderer, calipers ? calipers.createLayer() : null);
+        this.lineCut.sampler = (x, y) => this.profileAt(x, y);
+        this.lineCut.format = (value, unit) => SimulationController.formatSI(value, unit);
+        this.lineCut.quantity = ui ? ui.getCutQuantity() : 'V';
+        this.lineCut.setContext(this.probeContext());
+        this.applyCutQuantities();
+
+        // Gauss contour and line-integral path (electrostatics)
+        this.contourTool = new ContourTool(canvas, this.renderer);
+        this.contourTool.shape = ui ? ui.getContourShape() : 'circle';
+        this.contourTool.onChange = () => { this.integrals = null; };
+        this.integrals = null;
+
+        // Conductor outlines drawn with the same gestures, consumed on completion
+        this.conductorTool = new ContourTool(canvas, this.renderer);
+        this.conductorTool.onFinish = (geometry) => this.addConductor(geometry);
+        this.applyConductorShape(ui ? ui.getConductorShape() : 'plate');
+
+        // Dielectric regions, closed shapes only
+        this.dielectricTool = new ContourTool(canvas, this.renderer);
+        this.dielectricTool.onFinish = (geometry) => this.addDielectric(geometry);
+        this.dielectricTool.setShape(ui ? ui.getDielectricShape() : 'polygon');
+
+        // Seed line for field lines traced through it; finishing one selects that seeding
+        this.seedTool = new ContourTool(canvas, this.renderer, { endLabels: false });
+        this.seedTool.kind = 'open';
+        this.seedTool.onChange = () => this.applySeedLine();
+        this.seedTool.onFinish = () => {
+            if (ui) ui.setControlValue('line-seeding', 'line');
+            this.scheduleUrlSync();
+        };
+        this.applyTool();
+
+        // Wheel zoom and drag-to-pan; pressing on a charge or probe drags it instead
+        this.navigator = new ViewportNavigator(canvas, this.renderer);
+        this.navigator.canPan = (point) => !this.toolOwnsPoint(point);
+
+        // Frame capture (one frame per completed simulation frame while recording)
+        this.recorder = new CanvasRecorder(canvas);
+        this.recorder.onLimit = () => this.stopRecording();
+
+        // Time-series data export (one sample per simulation frame)
+        this.series = null;
+
+        this.resize();
+        this.activateViewport();
+
+        window.addEventListener('resize', () => this.resize());
+
+        this.frame = this.frame.bind(this);
+        requestAnimationFrame(this.frame);
+    }
+
+    // ==========================================
+    // ENGINES
+    // ==========================================
+
+    createEngines() {
+        const wave = this.ui ? this.ui.getWaveParameters() : {};
+        const particle = this.ui ? this.ui.getParticleParameters() : {};
+        const options = this.ui ? this.ui.getVisualizationOptions() : { relativistic: true };
+
+        // Stepping runs in a physics worker where one starts; the engines
+        // below register with it as they are built (see syncPhysics)
+        this.physics = new PhysicsClient();
+        this.physics.onFallback = (reason) => {
+            this.showNotice([`⚠ ${reason}`, 'Physics continues on the page']);
+            SimulationController.PHYSICS_ENGINES.forEach(name => this.syncPhysics(name));
+        };
+        this.physicsGeneration = {};
+        this.physicsBusy = {};
+        this.physicsLocal = {};
+
+        // Steps per engine whose fields reached this thread since the last
+        // frame; dropped and failed steps never count (see stepPhysics)
+        this.fieldsUpdated = {};
+
+        // Electrostatics in world meters
+        this.chargeSystem = new ChargeSystem();
+        this.loadDefaultCharges();
+
+        // Charges from a shared link replace the default dipole
+        const shared = this.ui && this.ui.hashState ? this.ui.hashState.charges : null;
+        if (shared) {
+            this.chargeSystem.clear();
+            shared.forEach(c => this.chargeSystem.addCharge(c.x, c.y, c.charge));
+        }
+
+        // Conductors and dielectrics on a grid solver; the point charges enter as its source
+        this.poisson = new PoissonSolver();
+        this.poisson.source = (x, y) => this.chargeSystem.pointPotentialAt(x, y);
+        this.solverFrames = 0;
+        this.loadConductorPreset(this.ui ? this.ui.getConductorPreset() : 'none');
+        this.loadDielectricPreset(this.ui ? this.ui.getDielectricPreset() : 'none');
+
+        this.chargeSystem.onChange(() => {
+            this.poisson.markDirty();
+            this.setPhysicsParameter('poisson', 'charges', this.chargeSystem.charges.map(({ x, y, charge }) => ({ x, y, charge })));
+            this.invalidateField();
+            this.scheduleUrlSync();
+        });
+
+        // Magnetostatics in world meters
+        this.currentSystem = new CurrentSystem();
+        this.loadCurrentPreset(this.ui ? this.ui.getCurrentPreset() : 'wire');
+        this.currentSystem.onChange(() => this.invalidateField());
+
+        const waveOptions = {
+            sourceType: wave.sourceType,
+            frequency: (wave.frequency || 500) * 1e12,
+            amplitude: wave.amplitude,
+            leftBoundary: wave.leftBoundary,
+            rightBoundary: wave.rightBoundary
+        };
+        this.fdtd1d = new FDTD1D(waveOptions);
+        this.fdtd2d = new FDTD2D(waveOptions);
+        this.waveDimension = wave.dimension || '1d';
+        this.waveScene = wave.scene || 'point';
+        this.waveMaterial = wave.material || 'vacuum';
+        this.applyWaveMaterial();
+
+        // Re-registering a material leaves grids holding its old coefficients
+        if (typeof materialLibrary !== 'undefined') {
+            materialLibrary.onChange(material => {
+                if (this.fdtd1d.usesMaterial(material.name) || this.fdtd2d.usesMaterial(material.name)) {
+                    this.applyWaveMaterial();
+                }
+            });
+        }
+
+        this.particle = new ChargedParticle({
+            species: particle.type || 'electron',
+            relativistic: options.relativistic,
+            Ex: (particle.Ex || 0) * 1e6,
+            Ey: (particle.Ey || 0) * 1e6,
+            Bz: particle.Bz ?? 1
+        });
+        this.beam = new ParticleBeam();
+        this.applyParticleField(particle.field || 'uniform');
+        this.launchParticle();
+
+        this.syncPhysics('fdtd1d');
+        this.syncPhysics('fdtd2d');
+    }
+
+    // ==========================================
+    // PHYSICS OFFLOAD
+    // ==========================================
+
+    physicsEngine(name) {
+        switch (name) {
+            case 'fdtd1d': return this.fdtd1d;
+            case 'fdtd2d': return this.fdtd2d;
+            case 'poisson': return this.poisson;
+            case 'particle': return this.particle;
+            case 'beam': return this.beam;
+            default: return null;
+        }
+    }
+
+    /**
+     * (Re)register an engine with the physics client after a structural
+     * change, dropping any fields still in flight from the old setup.
+     * Particles pushed through the charge or current maps read the live
+     * engines, so with a worker they keep stepping on the page.
+     */
+    syncPhysics(name) {
+        const engine = this.physicsEngine(name);
+        if (!engine || !this.physics) return;
+
+        this.physicsGeneration[name] = (this.physicsGeneration[name] || 0) + 1;
+
+        let links = {};
+        switch (name) {
+            case 'poisson':
+                links = {
+                    charges: this.chargeSystem.charges.map(({ x, y, charge }) => ({ x, y, charge })),
+                    lengthScale: this.chargeSystem.lengthScale
+                };
+                break;
+            case 'particle':
+            case 'beam': {
+                const portable = FieldMap.isPortable(this.particle.fieldMap);
+                this.physicsLocal[name] = !this.physics.synchronous && !portable;
+                if (this.physicsLocal[name]) return;
+
+                // In-thread the live map stays attached and links go unused
+                links = name === 'beam'
+                    ? { reference: 'particle' }
+                    : { fieldMap: portable ? FieldMap.describe(this.particle.fieldMap) : null };
+                break;
+            }
+        }
+
+        this.physics.init(name, engine, links).catch(error => this.showPhysicsError(name, error));
+    }
+
+    /**
+     * Set a parameter on this thread's engine and on the worker's copy
+     * (the Poisson charge list only exists there: in-thread the source
+     * reads the live charges)
+     */
+    setPhysicsParameter(name, parameter, value) {
+        const engine = this.physicsEngine(name);
+        if (!engine) return;
+
+        if (parameter !== 'charges') PhysicsHost.setParameter(engine, parameter, value);
+        if (!this.physics || this.physics.synchronous || this.physicsLocal[name]) return;
+
+        this.physicsGeneration[name]++;
+        this.physics.setParameter(name, parameter, value).catch(error => this.showPhysicsError(name, error));
+    }
+
+    /**
+     * Advance an engine. In-thread it steps in place; with a worker the
+     * step runs there and the returned fields are copied into this
+     * thread's engine for drawing and readouts. One request per engine is
+     * in flight at a time, so a slow solver drops physics steps rather
+     * than frames. Steps count in `fieldsUpdated` once their fields are
+     * here, which is what frame outputs (series, recording) wait for.
+     * @param {Object} options - {dt} for particles, {budgetMs} for Poisson
+     */
+    stepPhysics(name, count, options = {}) {
+        const engine = this.physicsEngine(name);
+
+        if (this.physics.synchronous || this.physicsLocal[name]) {
+            PhysicsHost.stepEngine(engine, count, options);
+            this.fieldsUpdated[name] = (this.fieldsUpdated[name] || 0) + count;
+            return;
+        }
+        if (this.physicsBusy[name]) return;
+
+        this.physicsBusy[name] = true;
+        const generation = this.physicsGeneration[name];
+        // Both requests go out at once; a failed step discards the fields
+        Promise.all([this.physics.step(name, count, options), this.physics.getFields(name)])
+            .then(([, fields]) => {
+                if (generation !== this.physicsGeneration[name]) return;
+                PhysicsHost.applyFields(engine, fields);
+                this.fieldsUpdated[name] = (this.fieldsUpdated[name] || 0) + count;
+            })
+            .catch(error => this.showPhysicsError(name, error))
+            .finally(() => {
+                this.physicsBusy[name] = false;
+            });
+    }
+
+    /**
+     * A slice of SOR relaxation: a few milliseconds in-thread, longer
+     * batches in the worker
+     */
+    relaxSolver() {
+        this.stepPhysics('poisson', Infinity, { budgetMs: this.physics.synchronous ? 8 : 30 });
+    }
+
+    showPhysicsError(name, error) {
+        this.showNotice([`⚠ Physics (${name}): ${error.message}`], 8000);
+    }
+
+    // ==========================================
+    // VIEWPORTS
+    // ==========================================
+
+    /**
+     * One camera per mode so each keeps its own pan/zoom
+     */
+    createViewports() {
+        this.viewports = {
+            electrostatic: new Viewport({ baseScale: 100 }),
+            magnetostatic: new Viewport({ baseScale: 100 }),
+            waves: new Viewport(),
+            particles: new Viewport({ baseScale: 100 })
+        };
+
+        Object.entries(this.viewports).forEach(([mode, viewport]) => {
+            viewport.onChange(() => {
+                if (mode !== this.mode) return;
+                if (mode === 'electrostatic' || mode === 'magnetostatic') this.invalidateField();
+                this.updateReadouts(true);
+            });
+        });
+    }
+
+    get viewport() {
+        return this.viewports[this.mode];
+    }
+
+    /**
+     * Point the renderer and the calipers at the current mode's camera
+     */
+    activateViewport() {
+        this.renderer.setViewport(this.viewport);
+        if (window.technicalCalipers) {
+            window.technicalCalipers.setViewport(this.viewport);
+        }
+    }
+
+    /**
+     * Home view framing the active FDTD grid
+     */
+    fitWaveViewport() {
+        const viewport = this.viewports.waves;
+
+        if (this.waveDimension === '2d') {
+            const f2 = this.fdtd2d;
+            viewport.fitBounds(0, 0, f2.nx * f2.dx, f2.ny * f2.dx, 0.02);
+        } else {
+            const length = this.fdtd1d.numCells * this.fdtd1d.dx;
+            viewport.setHome(length / 2, 0, viewport.width / length);
+        }
+    }
+
+    get fdtd() {
+        return this.waveDimension === '2d' ? this.fdtd2d : this.fdtd1d;
+    }
+
+    /**
+     * Apply the 2D scene preset and the selected material slab
+     */
+    loadWaveScene() {
+        const f2 = this.fdtd2d;
+        f2.loadPreset(this.waveScene);
+
+        if (this.waveMaterial !== 'vacuum') {
+            f2.setRectRegion(Math.floor(f2.nx * 0.7), 0, Math.floor(f2.nx * 0.85), f2.ny, { material: this.waveMaterial });
+            f2.reset();
+        }
+        this.syncPhysics('fdtd2d');
+    }
+
+    applyWaveMaterial() {
+        const n = this.fdtd1d.numCells;
+        this.fdtd1d.clearMaterials();
+        this.fdtd1d.applyMaterial(Math.floor(n * 0.6), Math.floor(n * 0.8), this.waveMaterial);
+        this.fdtd1d.reset();
+        this.syncPhysics('fdtd1d');
+
+        this.loadWaveScene();
+    }
+
+    // ==========================================
+    // PARTICLE FIELD MAPS
+    // ==========================================
+
+    /**
+     * Attach the field map pushing the particle (see FieldMap); the charge
+     * and current maps follow later edits in their own modes
+     */
+    applyParticleField(name) {
+        const p = this.particle;
+        this.particleField = name;
+
+        switch (name) {
+            case 'charges':
+                p.setFieldMap(FieldMap.fromChargeSystem(this.chargeSystem));
+                break;
+            case 'currents':
+                p.setFieldMap(FieldMap.fromCurrentSystem(this.currentSystem));
+                break;
+            case 'bottle':
+                p.setFieldMap(FieldMap.magneticBottle());
+                break;
+            case 'quadrupole':
+                // Gradient sign chosen so the lens focuses the species in the plane
+                p.setFieldMap(FieldMap.quadrupole({ gradient: p.charge < 0 ? -1 : 1 }));
+                break;
+            default:
+                p.setFieldMap(null);
+        }
+    }
+
+    /**
+     * Launch for the selected field map, shifted in y by the launch offset
+     * and tilted out of the plane by the pitch angle:
+     * - uniform: from the origin along +x with a 1 m gyroradius at |B| = 1 T
+     * - charges: from x = −4 m with the energy that brings a head-on
+     *   particle within 0.5 m of the strongest charge
+     * - currents: from x = −4 m with a 1 m gyroradius in the mean |B| along
+     *   the launch line
+     * - bottle: from the center with a 0.3 m gyroradius at B0
+     * - quadrupole: from x = −4 m with a 3 m thin-lens focal length
+     * In classical mode the speed is capped (ChargedParticle.launch), and a
+     * capped launch falls short of these radii.
+     */
+    launchParticle() {
+        const p = this.particle;
+        const map = p.fieldMap;
+        const launch = this.ui ? this.ui.getParticleParameters() : {};
+        const offset = launch.launchOffset || 0;
+        const pitch = (launch.launchPitch || 0) * Math.PI / 180;
+        const q = Math.abs(p.charge);
+
+        switch (this.particleField) {
+            case 'charges': {
+                const strongest = this.chargeSystem.charges.reduce((max, c) => Math.max(max, Math.abs(c.charge)), 0) || 1e-9;
+                p.launchWithKineticEnergy(-4, offset, ChargeSystem.COULOMB_K * q * strongest / 0.5, 0, pitch);
+                break;
+            }
+            case 'currents': {
+                let sum = 0;
+                for (let k = 0; k <= 16; k++) {
+                    sum += this.currentSystem.fieldAt(-4 + k * 0.5, offset).magnitude;
+                }
+                const B = isFinite(sum) && sum > 0 ? sum / 17 : 1e-6;
+                p.launchWithMomentum(-4, offset, q * B * 1.0, 0, pitch);
+                break;
+            }
+            case 'bottle':
+                p.launchWithMomentum(0, offset, q * map.B0 * 0.3, 0, pitch);
+                break;
+            case 'quadrupole':
+                p.launchWithMomentum(-4, offset, q * Math.abs(map.gradient) * map.length * 3, 0, pitch);
+                break;
+            default:
+                p.launchWithMomentum(0, offset, q * 1.0 * 1.0, 0, pitch);
+        }
+
+        if (p.launchCapped) {
+            this.showNotice([`⚠ Classical launch capped at ${ChargedParticle.MAX_CLASSICAL_BETA}c`,
+                'Enable relativistic momentum for the full launch']);
+        }
+        this.launchBeam();
+    }
+
+    /**
+     * Beam spread about the particle's launch; a count of 1 keeps the
+     * single particle alone
+     */
+    launchBeam() {
+        const b = this.ui ? this.ui.getBeamParameters() : { count: 1 };
+        this.beam.launch(this.particle, b.count > 1 ? b.count : 0, {
+            position: b.positionSpread,
+            angle: b.angleSpread,
+            energy: b.energySpread
+        });
+
+        this.syncPhysics('particle');
+        this.syncPhysics('beam');
+    }
+
+    loadDefaultCharges() {
+        this.chargeSystem.clear();
+        this.chargeSystem.addCharge(-1.2, 0, 1e-9);
+        this.chargeSystem.addCharge(1.2, 0, -1e-9);
+    }
+
+    invalidateField() {
+        this.fieldDirty = true;
+        this.integrals = null;
+    }
+
+    // ==========================================
+    // CONDUCTORS
+    // ==========================================
+
+    setConductors(conductors) {
+        this.poisson.setConductors(conductors);
+        this.attachSolver();
+    }
+
+    /**
+     * The point charges only need the grid correction while the solver
+     * has conductors or dielectrics to satisfy
+     */
+    attachSolver() {
+        this.chargeSystem.solver = this.poisson.active ? this.poisson : null;
+        this.solverFrames = 0;
+        this.syncPhysics('poisson');
+        this.invalidateField();
+    }
+
+    /**
+     * Replace the conductors with a preset layout
+     * The capacitor plates sit at ± the conductor potential; the plane and
+     * the shield ring are grounded.
+     */
+    loadConductorPreset(name) {
+        const V = this.ui ? this.ui.getConductorVoltage() : 10;
+
+        switch (name) {
+            case 'capacitor':
+                this.setConductors([
+                    { type: 'plate', points: [{ x: -2.4, y: -2 }, { x: -2.4, y: 2 }], thickness: 0.1, V },
+                    { type: 'plate', points: [{ x: 2.4, y: -2 }, { x: 2.4, y: 2 }], thickness: 0.1, V: -V }
+                ]);
+                break;
+            case 'ground-plane':
+                this.setConductors([
+                    { type: 'plate', points: [{ x: -6, y: -1.5 }, { x: 6, y: -1.5 }], thickness: 0.1, V: 0 }
+                ]);
+                break;
+            case 'shield':
+                this.setConductors([{ type: 'circle', x: 0, y: 0, radius: 2.4, inner: 2.25, V: 0 }]);
+                break;
+            default:
+                this.setConductors([]);
+        }
+    }
+
+    /**
+     * Conductor from a shape finished with the conductor tool, at the
+     * potential set on the panel
+     */
+    addConductor(geometry) {
+        const V = this.ui ? this.ui.getConductorVoltage() : 10;
+        const shape = this.ui ? this.ui.getConductorShape() : 'plate';
+        let conductor;
+
+        if (shape === 'plate') {
+            conductor = { type: 'plate', points: geometry.points, thickness: 0.1, V };
+        } else if (geometry.circle) {
+            const { x, y, radius } = geometry.circle;
+            conductor = { type: 'circle', x, y, radius, V };
+        } else {
+            conductor = { type: 'polygon', points: geometry.points, V };
+        }
+
+        this.conductorTool.clear();
+        this.setConductors([...this.poisson.conductors, conductor]);
+        this.updateReadouts(true);
+    }
+
+    applyConductorShape(shape) {
+        this.conductorTool.kind = shape === 'plate' ? 'open' : 'closed';
+        this.conductorTool.setShape(shape === 'plate' ? 'polygon' : shape);
+    }
+
+    // ==========================================
+    // DIELECTRICS
+    // ==========================================
+
+    setDielectrics(dielectrics) {
+        this.poisson.setDielectrics(dielectrics);
+        this.attachSolver();
+    }
+
+    /**
+     * Replace the dielectrics with a preset region at the panel permittivity
+     * The slab sits between the default dipole's charges, the cylinder
+     * above them and the half-space below, so each shows refraction of
+     * the field lines across its boundary.
+     */
+    loadDielectricPreset(name) {
+        const epsilon = this.ui ? this.ui.getDielectricEpsilon() : 4;
+        const rectangle = (x0, y0, x1, y1) => [
+            { x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }
+        ];
+
+        switch (name) {
+            case 'slab':
+                this.setDielectrics([{ type: 'polygon', points: rectangle(-0.6, -2.5, 0.6, 2.5), epsilon }]);
+                break;
+            case 'cylinder':
+                this.setDielectrics([{ type: 'circle', x: 0, y: 1.6, radius: 0.9, epsilon }]);
+                break;
+            case 'half-space':
+                this.setDielectrics([{ type: 'polygon', points: rectangle(-8, -6, 8, -1), epsilon }]);
+                break;
+            default:
+                this.setDielectrics([]);
+        }
+    }
+
+    /**
+     * Dielectric from a shape finished with the dielectric tool, at the
+     * permittivity set on the panel
+     */
+    addDielectric(geometry) {
+        const epsilon = this.ui ? this.ui.getDielectricEpsilon() : 4;
+        let dielectric;
+
+        if (geometry.circle) {
+            const { x, y, radius } = geometry.circle;
+            dielectric = { type: 'circle', x, y, radius, epsilon };
+        } else {
+            dielectric = { type: 'polygon', points: geometry.points, epsilon };
+        }
+
+        this.dielectricTool.clear();
+        this.setDielectrics([...this.poisson.dielectrics, dielectric]);
+        this.updateReadouts(true);
+    }
+
+    /**
+     * Hand the seed tool's path to the field-line tracer
+     */
+    applySeedLine() {
+        const path = this.seedTool.path;
+        this.chargeSystem.seedLine = path ? path.points.map(({ x, y }) => ({ x, y })) : null;
+        this.invalidateField();
+    }
+
+    // ==========================================
+    // CURRENTS
+    // ==========================================
+
+    /**
+     * Replace the currents with a preset layout at the panel current
+     * The pair, Helmholtz and solenoid layouts are cross-sections through
+     * a loop or coil whose axis lies along x: current leaves the page on
+     * top and returns into it below.
+     */
+    loadCurrentPreset(name) {
+        const I = this.ui ? this.ui.getCurrentMagnitude() : 10;
+        const currents = this.currentSystem;
+        currents.clear();
+
+        switch (name) {
+            case 'wire':
+                currents.addWire(0, 0, I);
+                break;
+            case 'pair':
+                currents.addWire(0, 1.5, I);
+                currents.addWire(0, -1.5, -I);
+                break;
+            case 'parallel':
+                currents.addWire(-1.5, 0, I);
+                currents.addWire(1.5, 0, I);
+                break;
+            case 'helmholtz':
+                // Coil radius R = 2 m, spaced R apart
+                for (const x of [-1, 1]) {
+                    currents.addWire(x, 2, I);
+                    currents.addWire(x, -2, -I);
+                }
+                break;
+            case 'solenoid':
+                for (let x = -3; x <= 3; x += 0.5) {
+                    currents.addWire(x, 1.2, I);
+                    currents.addWire(x, -1.2, -I);
+                }
+                break;
+            case 'loop':
+                currents.addLoop([
+                    { x: -2, y: -1.5 }, { x: 2, y: -1.5 }, { x: 2, y: 1.5 }, { x: -2, y: 1.5 }
+                ], I);
+                break;
+        }
+    }
+
+    /**
+     * Line cut labels follow the mode: Az and |B| in magnetostatics
+     */
+    applyCutQuantities() {
+        this.lineCut.quantities = this.mode === 'magnetostatic'
+            ? LineCutTool.MAGNETIC_QUANTITIES
+            : LineCutTool.QUANTITIES;
+    }
+
+    // ==========================================
+    // UI WIRING
+    // ==========================================
+
+    bindUI() {
+        if (!this.ui) return;
+
+        this.ui.onModeChange = (mode) => this.setMode(mode);
+        this.ui.onPlayToggle = (playing) => { this.isPlaying = playing; };
+        this.ui.onStep = () => this.step();
+        this.ui.onReset = () => this.reset();
+        this.ui.onResetView = () => this.viewport.reset();
+        this.ui.onSaveScene = () => this.saveScene();
+        this.ui.onLoadScene = (text, filename) => this.loadScene(text, filename);
+        this.ui.onRecordToggle = (recording) => recording ? this.startRecording() : this.stopRecording();
+        this.ui.onExportFrame = () => this.exportFrame();
+        this.ui.onSeriesToggle = (active) => active ? this.startSeries() : this.stopSeries();
+        this.ui.onClearProbes = () => this.probeTool.clear();
+        this.ui.onClearCut = () => this.lineCut.clear();
+        this.ui.onClearContours = () => {
+            this.contourTool.clear();
+            this.seedTool.clear();
+        };
+        this.ui.onClearConductors = () => this.setConductors([]);
+        this.ui.onClearDielectrics = () => this.setDielectrics([]);
+        this.ui.onClearCurrents = () => {
+            this.wireEditor.select(null);
+            this.currentSystem.clear();
+        };
+        this.ui.onParameterChange = (id, value) => this.handleParameter(id, value);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.activateViewport();
+        this.probeTool.setContext(this.probeContext());
+        this.lineCut.setContext(this.probeContext());
+        this.applyCutQuantities();
+        this.applyTool();
+        this.renderer.flowParticles = [];
+        this.invalidateField();
+        this.updateReadouts(true);
+        this.scheduleUrlSync();
+    }
+
+    step() {
+        this.advance(this.stepsPerFrame());
+        this.probeTool.record();
+        this.updateReadouts(true);
+    }
+
+    reset() {
+        this.isPlaying = false;
+
+        switch (this.mode) {
+            case 'electrostatic':
+                this.chargeEditor.select(null);
+                this.loadDefaultCharges();
+                this.loadConductorPreset(this.ui ? this.ui.getConductorPreset() : 'none');
+                this.loadDielectricPreset(this.ui ? this.ui.getDielectricPreset() : 'none');
+                break;
+            case 'magnetostatic':
+                this.wireEditor.select(null);
+                this.loadCurrentPreset(this.ui ? this.ui.getCurrentPreset() : 'wire');
+                break;
+            case 'waves':
+                this.fdtd.reset();
+                this.syncPhysics(this.waveDimension === '2d' ? 'fdtd2d' : 'fdtd1d');
+                break;
+            case 'particles':
+                this.launchParticle();
+                break;
+        }
+
+        this.probeTool.clearHistory();
+        this.updateReadouts(true);
+    }
+
+    stepsPerFrame() {
+        return this.ui ? this.ui.getSimulationSpeed() : 10;
+    }
+
+    /**
+     * Route a control change to the engine that owns it
+     * @param {string} id - Element id of the control
+     * @param {number|boolean|string} value
+     */
+    handleParameter(id, value) {
+        switch (id) {
+            case 'tool-select':
+                this.tool = value;
+                this.applyTool();
+                break;
+            case 'cut-quantity':
+                this.lineCut.quantity = value;
+                break;
+            case 'contour-shape':
+                this.contourTool.setShape(value);
+                break;
+
+            // Waves
+            case 'wave-frequency':
+                this.setPhysicsParameter('fdtd1d', 'frequency', value * 1e12);
+                this.setPhysicsParameter('fdtd2d', 'frequency', value * 1e12);
+                break;
+            case 'wave-amplitude':
+                this.setPhysicsParameter('fdtd1d', 'amplitude', value);
+                this.setPhysicsParameter('fdtd2d', 'amplitude', value);
+                break;
+            case 'source-type':
+                this.setPhysicsParameter('fdtd1d', 'sourceType', value);
+                this.setPhysicsParameter('fdtd2d', 'sourceType', value);
+                break;
+            case 'left-boundary':
+            case 'right-boundary': {
+                const wave = this.ui.getWaveParameters();
+                this.setPhysicsParameter('fdtd1d', 'boundaries', [wave.leftBoundary, wave.rightBoundary]);
+                this.setPhysicsParameter('fdtd2d', 'boundaries', [wave.leftBoundary, wave.rightBoundary]);
+                break;
+            }
+            case 'material-select':
+                this.waveMaterial = value;
+                this.applyWaveMaterial();
+                break;
+            case 'wave-dimension':
+                this.waveDimension = value;
+                this.fitWaveViewport();
+                this.probeTool.setContext(this.probeContext());
+                this.lineCut.setContext(this.probeContext());
+                break;
+            case 'wave-scene':
+                this.waveScene = value;
+                this.loadWaveScene();
+                break;
+
+            // Particles
+            case 'particle-type':
+                this.particle.setSpecies(value);
+                this.applyParticleField(this.particleField);
+                this.launchParticle();
+                break;
+            case 'particle-field': {
+                // Each map starts from launch settings that show it off, with
+                // the uniform fields cleared underneath it
+                const preset = SimulationController.PARTICLE_FIELD_PRESETS[value];
+                this.ui.setControlValue('magnetic-field-z', preset.Bz);
+                this.ui.setControlValue('electric-field-x', 0);
+                this.ui.setControlValue('electric-field-y', 0);
+                this.ui.setControlValue('launch-offset', preset.offset);
+                this.ui.setControlValue('launch-pitch', preset.pitch);
+                this.particle.setFields(0, 0, preset.Bz);
+                this.applyParticleField(value);
+                this.launchParticle();
+                break;
+            }
+            case 'launch-offset':
+            case 'launch-pitch':
+            case 'beam-count':
+            case 'beam-position-spread':
+            case 'beam-angle-spread':
+            case 'beam-energy-spread':
+                this.launchParticle();
+                break;
+            case 'magnetic-field-z':
+            case 'electric-field-x':
+            case 'electric-field-y': {
+                const p = this.ui.getParticleParameters();
+                this.setPhysicsParameter('particle', 'fields', [p.Ex * 1e6, p.Ey * 1e6, p.Bz]);
+                break;
+            }
+            case 'relativistic':
+                this.particle.setRelativistic(value);
+                this.launchParticle();
+                break;
+
+            // Electrostatics
+            case 'charge-type':
+            case 'charge-magnitude':
+                this.chargeEditor.applyControlsToSelection();
+                break;
+            case 'conductor-preset':
+                this.loadConductorPreset(value);
+                break;
+            case 'conductor-shape':
+                this.applyConductorShape(value);
+                break;
+            case 'dielectric-preset':
+                this.loadDielectricPreset(value);
+                break;
+            case 'dielectric-shape':
+                this.dielectricTool.setShape(value);
+                break;
+
+            // Magnetostatics
+            case 'current-preset':
+                this.wireEditor.select(null);
+                this.loadCurrentPreset(value);
+                break;
+            case 'current-shape':
+                this.wireEditor.shape = value;
+                break;
+            case 'current-direction':
+            case 'current-magnitude':
+                this.wireEditor.applyControlsToSelection();
+                break;
+
+            // Electrostatic and magnetostatic layers are read every frame
+            case 'show-field-lines':
+            case 'show-vectors':
+            case 'show-potential':
+            case 'show-b-lines':
+            case 'line-seeding':
+                this.invalidateField();
+                break;
+        }
+
+        this.updateReadouts(true);
+        this.scheduleUrlSync();
+    }
+
+    // ==========================================
+    // SCENES
+    // ==========================================
+
+    /**
+     * Snapshot of the current setup in SceneFormat layout (SI units)
+     */
+    captureScene() {
+        const viz = this.ui ? this.ui.getVisualizationOptions() : {};
+        const magnetic = this.ui ? this.ui.getMagnetostaticOptions() : {};
+        const colors = this.ui ? this.ui.getColorOptions() : {};
+        const launch = this.ui ? this.ui.getParticleParameters() : {};
+        const beam = this.ui ? this.ui.getBeamParameters() : {};
+        const f1 = this.fdtd1d;
+        const p = this.particle;
+
+        // Only runtime-registered materials need to travel with the scene
+        const materials = {};
+        if (typeof materialLibrary !== 'undefined') {
+            for (const m of materialLibrary.list()) {
+                if (m.name in MaterialLibrary.DEFAULTS) continue;
+                materials[m.name] = { label: m.label, epsilonInf: m.epsilonInf, sigma: m.sigma, color: m.color, poles: m.poles };
+            }
+        }
+
+        return {
+            format: SceneFormat.FORMAT,
+            version: SceneFormat.VERSION,
+            mode: this.mode,
+            simulation: { speed: this.stepsPerFrame() },
+            visualization: {
+                showFieldLines: viz.showFieldLines ?? true,
+                showVectors: viz.showVectors ?? false,
+                showPotential: viz.showPotential ?? false,
+                showPotentialMap: viz.showPotentialMap ?? false,
+                lineSeeding: viz.lineSeeding ?? 'charges',
+                contourSpacing: viz.contourSpacing ?? 'symlog',
+                contourLabels: viz.contourLabels ?? true,
+                colormap: colors.colormap ?? 'auto',
+                colorScale: colors.scale ?? 'auto',
+                showColorbar: colors.showColorbar ?? true,
+                smoothHeatmaps: colors.smooth ?? false,
+                showBLines: magnetic.showFieldLines ?? true,
+                showBMagnitude: magnetic.showMagnitude ?? true,
+                showVectorPotential: magnetic.showVectorPotential ?? false
+            },
+            electrostatic: {
+                charges: this.chargeSystem.charges.map(({ x, y, charge }) => ({ x, y, charge })),
+                conductors: this.poisson.conductors.map(c => JSON.parse(JSON.stringify(c))),
+                dielectrics: this.poisson.dielectrics.map(d => JSON.parse(JSON.stringify(d))),
+                seedLine: (this.chargeSystem.seedLine || []).map(({ x, y }) => ({ x, y }))
+            },
+            magnetostatic: {
+                wires: this.currentSystem.wires.map(({ x, y, current }) => ({ x, y, current })),
+                segments: this.currentSystem.segments.map(({ x1, y1, x2, y2, current }) => ({ x1, y1, x2, y2, current }))
+            },
+            waves: {
+                dimension: this.waveDimension,
+                scene: this.waveScene,
+                sourceType: f1.sourceType,
+                frequency: f1.frequency,
+                amplitude: f1.amplitude,
+                leftBoundary: f1.leftBoundary,
+                rightBoundary: f1.rightBoundary,
+                material: this.waveMaterial
+            },
+            particles: {
+                species: p.species,
+                relativistic: p.relativistic,
+                fields: { Ex: p.Ex, Ey: p.Ey, Bz: p.Bz },
+                fieldMap: this.particleField,
+                launch: { offset: launch.launchOffset ?? 0, pitch: (launch.launchPitch ?? 0) * Math.PI / 180 },
+                beam: {
+                    count: beam.count ?? 1,
+                    positionSpread: beam.positionSpread ?? 0.1,
+                    angleSpread: beam.angleSpread ?? 0.01,
+                    energySpread: beam.energySpread ?? 0.01,
+                    phasePlane: beam.phasePlane ?? 'x'
+                },
+                initialState: { ...p.initialState }
+            },
+            materials
+        };
+    }
+
+    /**
+     * Restore a validated scene into the engines and every control widget
+     * Sections missing from the scene are left as they are.
+     */
+    applyScene(scene) {
+        const ui = this.ui;
+        const set = (id, value) => { if (ui) ui.setControlValue(id, value); };
+
+        // Materials first so the material select lists them
+        for (const [name, props] of Object.entries(scene.materials || {})) {
+            materialLibrary.register(name, props);
+        }
+
+        if (scene.simulation) {
+            set('speed-slider', scene.simulation.speed);
+        }
+
+        if (scene.visualization) {
+            set('show-field-lines', scene.visualization.showFieldLines);
+            set('show-vectors', scene.visualization.showVectors);
+            set('show-potential', scene.visualization.showPotential);
+
+            // Later layers and the color scale are optional so older scenes still load
+            const optional = {
+                showBLines: 'show-b-lines',
+                showBMagnitude: 'show-b-magnitude',
+                showVectorPotential: 'show-vector-potential',
+                showPotentialMap: 'show-potential-map',
+                lineSeeding: 'line-seeding',
+                contourSpacing: 'contour-spacing',
+                contourLabels: 'contour-labels',
+                colormap: 'colormap-select',
+                colorScale: 'color-scale',
+                showColorbar: 'show-colorbar',
+                smoothHeatmaps: 'smooth-heatmaps'
+            };
+            for (const [key, id] of Object.entries(optional)) {
+                if (scene.visualization[key] !== undefined) set(id, scene.visualization[key]);
+            }
+        }
+
+        if (scene.electrostatic) {
+            if (this.chargeEditor) this.chargeEditor.select(null);
+            this.chargeSystem.clear();
+            for (const c of scene.electrostatic.charges) {
+                this.chargeSystem.addCharge(c.x, c.y, c.charge);
+            }
+            this.poisson.setConductors(scene.electrostatic.conductors || []);
+            this.setDielectrics(scene.electrostatic.dielectrics || []);
+
+            const seedLine = scene.electrostatic.seedLine || [];
+            this.seedTool.path = seedLine.length >= 2 ? { points: seedLine.map(({ x, y }) => ({ x, y })) } : null;
+            this.applySeedLine();
+        }
+
+        if (scene.magnetostatic) {
+            const currents = this.currentSystem;
+            if (this.wireEditor) this.wireEditor.select(null);
+            currents.clear();
+            for (const w of scene.magnetostatic.wires) {
+                currents.addWire(w.x, w.y, w.current);
+            }
+            for (const s of scene.magnetostatic.segments) {
+                currents.addSegment(s.x1, s.y1, s.x2, s.y2, s.current);
+            }
+        }
+
+        if (scene.waves) {
+            const w = scene.waves;
+            for (const f of [this.fdtd1d, this.fdtd2d]) {
+                f.setSourceType(w.sourceType);
+                f.setFrequency(w.frequency);
+                f.setAmplitude(w.amplitude);
+                f.setBoundaries(w.leftBoundary, w.rightBoundary);
+            }
+            this.waveDimension = w.dimension;
+            this.waveScene = w.scene;
+            this.waveMaterial = w.material;
+            this.applyWaveMaterial();
+            this.fitWaveViewport();
+
+            set('wave-dimension', w.dimension);
+            set('wave-scene', w.scene);
+            set('source-type', w.sourceType);
+            set('wave-frequency', w.frequency / 1e12);
+            set('wave-amplitude', w.amplitude);
+            set('left-boundary', w.leftBoundary);
+            set('right-boundary', w.rightBoundary);
+            set('material-select', w.material);
+        }
+
+        if (scene.particles) {
+            const p = scene.particles;
+            const s = p.initialState;
+            this.particle.setRelativistic(p.relativistic);
+            this.particle.setSpecies(p.species);
+            this.particle.setFields(p.fields.Ex, p.fields.Ey, p.fields.Bz);
+            this.applyParticleField(p.fieldMap || 'uniform');
+            this.particle.setInitialState(s.x, s.y, s.vx, s.vy, s.z || 0, s.vz || 0);
+            this.particle.reset();
+
+            set('particle-type', p.species);
+            set('relativistic', p.relativistic);
+            set('magnetic-field-z', p.fields.Bz);
+            set('electric-field-x', p.fields.Ex / 1e6);
+            set('electric-field-y', p.fields.Ey / 1e6);
+            set('particle-field', p.fieldMap || 'uniform');
+            if (p.launch) {
+                set('launch-offset', p.launch.offset);
+                set('launch-pitch', p.launch.pitch * 180 / Math.PI);
+            }
+            if (p.beam) {
+                set('beam-count', p.beam.count);
+                set('beam-position-spread', p.beam.positionSpread);
+                set('beam-angle-spread', p.beam.angleSpread * 1000);
+                set('beam-energy-spread', p.beam.energySpread * 100);
+                set('phase-plane', p.beam.phasePlane);
+            }
+            this.launchBeam();
+        }
+
+        if (ui) ui.setMode(scene.mode);
+        this.setMode(scene.mode);
+        this.scheduleUrlSync();
+    }
+
+    saveScene() {
+        const scene = this.captureScene();
+        downloadText(SceneFormat.stringify(scene), `em-scene-${scene.mode}.json`, 'application/json');
+        this.showNotice(['Scene saved']);
+    }
+
+    /**
+     * Parse, validate and apply scene text; problems go to the info panel
+     */
+    loadScene(text, filename = 'scene') {
+        let scene;
+        try {
+            scene = SceneFormat.parse(text);
+        } catch (err) {
+            this.showNotice([`⚠ Could not load ${filename}`, ...err.message.split('\n')], 15000);
+            return false;
+        }
+
+        this.applyScene(scene);
+        this.showNotice([`Loaded ${filename}`]);
+        return true;
+    }
+
+    /**
+     * Mirror the current setup into the URL hash (debounced)
+     */
+    scheduleUrlSync() {
+        if (!this.ui || this.urlSyncTimer) return;
+
+        this.urlSyncTimer = setTimeout(() => {
+            this.urlSyncTimer = null;
+            this.ui.writeHashState(this.chargeSystem.charges);
+        }, this.urlSyncDelay);
+    }
+
+    showNotice(lines, duration = 4000) {
+        this.notice = { lines, until: performance.now() + duration };
+        this.updateReadouts(true);
+    }
+
+    // ==========================================
+    // RECORDING
+    // ==========================================
+
+    startRecording() {
+        const options = this.ui ? this.ui.getRecordOptions() : { format: 'auto', overlay: true };
+        const format = this.recorder.start(options.format, options.overlay);
+        this.showNotice([`● Recording ${format === 'webm' ? 'WebM video' : 'PNG sequence'}`]);
+    }
+
+    async stopRecording() {
+        if (this.ui) this.ui.setRecording(false);
+
+        const result = await this.recorder.stop();
+        if (!result) return;
+
+        downloadBlob(result.blob, result.filename);
+
+        const high = Math.max(0, ...result.steps), low = Math.min(high, ...result.steps);
+        const steps = high === 0 ? 'static fields'
+            : low === high ? `${low} steps per frame` : `${low}–${high} steps per frame`;
+        this.showNotice([`Saved ${result.frames} frames to ${result.filename}`, steps]);
+    }
+
+    /**
+     * Burned-in HUD time and a scale bar matching the caliper major ticks
+     */
+    recordingOverlay() {
+        const viewport = this.viewport;
+        const calipers = window.technicalCalipers;
+        const spacing = viewport.niceSpacing(calipers ? calipers.options.majorTickSpacing : 100);
+        const length = Viewport.formatLength(spacing, spacing);
+
+        return {
+            time: SimulationController.formatSI(this.currentTime(), 's'),
+            scaleBar: { pixels: spacing * viewport.scale, label: `${length.text} ${length.unit}` }
+        };
+    }
+
+    // ==========================================
+    // CANVAS TOOLS
+    // ==========================================
+
+    /**
+     * Route canvas presses to the selected tool
+     */
+    applyTool() {
+        const electrostatic = this.mode === 'electrostatic';
+        const states = [
+            [this.chargeEditor, electrostatic && this.tool === 'edit'],
+            [this.probeTool, this.tool === 'probe'],
+            [this.lineCut, this.tool === 'linecut'],
+            [this.contourTool, electrostatic && (this.tool === 'gauss' || this.tool === 'path')],
+            [this.conductorTool, electrostatic && this.tool === 'conductor'],
+            [this.dielectricTool, electrostatic && this.tool === 'dielectric'],
+            [this.seedTool, electrostatic && this.tool === 'seedline'],
+            [this.wireEditor, this.mode === 'magnetostatic' && this.tool === 'edit']
+        ];
+        this.contourTool.kind = this.tool === 'path' ? 'open' : 'closed';
+
+        // Disable first so the active tool's cursor wins
+        states.sort((a, b) => a[1] - b[1]).forEach(([tool, enabled]) => tool.setEnabled(enabled));
+    }
+
+    /**
+     * Whether a press at `point` belongs to the active tool rather than panning
+     */
+    toolOwnsPoint(point) {
+        if (this.tool === 'linecut') return true;
+        if (['gauss', 'path', 'conductor', 'dielectric', 'seedline'].includes(this.tool)) return this.mode === 'electrostatic';
+        if (this.tool === 'probe') return !!this.probeTool.probeAtPoint(point);
+        if (this.mode === 'magnetostatic') return this.tool === 'edit' && this.wireEditor.ownsPoint(point);
+        return this.mode === 'electrostatic' && !!this.chargeEditor.chargeAtPoint(point);
+    }
+
+    /**
+     * Probe and line cut key: 1D and 2D wave grids keep separate detectors
+     */
+    probeContext() {
+        return this.mode === 'waves' ? `waves-${this.waveDimension}` : this.mode;
+    }
+
+    /**
+     * Field readout at world point (x, y) in the active mode (see ProbeTool)
+     */
+    probeSample(x, y) {
+        const fmt = SimulationController.formatSI;
+        const position = (value) => fmt(value, 'm', 3);
+        const colors = this.renderer.colors;
+
+        switch (this.mode) {
+            case 'waves': {
+                const w = this.waveFieldAt(x, y);
+                if (!w) return null;
+
+                const lines = this.waveDimension === '2d'
+                    ? [`(${position(x)}, ${position(y)}) · cell ${w.cell}`]
+                    : [`x = ${position(x)} · cell ${w.cell}`];
+                lines.push(`Ez = ${fmt(w.Ez, 'V/m')} (out of plane)`);
+                if (this.waveDimension === '2d') {
+                    lines.push(`Hx = ${fmt(w.Hx, 'A/m')} · Hy = ${fmt(w.Hy, 'A/m')}`);
+                    lines.push(`|H| = ${fmt(Math.hypot(w.Hx, w.Hy), 'A/m')}`);
+                } else {
+                    lines.push(`Hy = ${fmt(w.Hy, 'A/m')}`);
+                }
+
+                return {
+                    lines,
+                    vector: { x: w.Hx, y: w.Hy, color: colors.waveMagnetic },
+                    normal: { value: w.Ez, color: colors.wave },
+                    trace: { value: w.Ez, text: `Ez ${fmt(w.Ez, 'V/m')}` }
+                };
+            }
+            case 'magnetostatic': {
+                const B = this.currentSystem.fieldAt(x, y);
+                const Az = this.currentSystem.vectorPotentialAt(x, y);
+                if (!isFinite(B.magnitude) || !isFinite(Az)) return null;
+
+                const angle = Math.atan2(B.By, B.Bx) * 180 / Math.PI;
+                return {
+                    lines: [
+                        `(${position(x)}, ${position(y)})`,
+                        `Bx = ${fmt(B.Bx, 'T')} · By = ${fmt(B.By, 'T')}`,
+                        `|B| = ${fmt(B.magnitude, 'T')} · in-plane at ${angle.toFixed(1)}°`,
+                        `Bz = ${fmt(B.Bz, 'T')} · Az = ${fmt(Az, 'T·m')}`
+                    ],
+                    vector: { x: B.Bx, y: B.By, color: colors.cobaltBlue },
+                    normal: B.Bz !== 0 ? { value: B.Bz, color: colors.cobaltBlue } : null,
+                    trace: { value: B.magnitude, text: `|B| ${fmt(B.magnitude, 'T')}` }
+                };
+            }
+            case 'particles': {
+                // Uniform fields plus the field map in the plane; the uniform
+                // part of V is referenced to zero at the origin
+                const p = this.particle;
+                const f = p.fieldAt(x, y);
+                const E = Math.hypot(f.Ex, f.Ey);
+                const V = p.potentialAt(x, y);
+                if (!isFinite(E) || !isFinite(V)) return null;
+
+                const angle = Math.atan2(f.Ey, f.Ex) * 180 / Math.PI;
+                const lines = [
+                    `(${position(x)}, ${position(y)})`,
+                    `Ex = ${fmt(f.Ex, 'V/m')} · Ey = ${fmt(f.Ey, 'V/m')}`,
+                    `|E| = ${fmt(E, 'V/m')} at ${angle.toFixed(1)}°`,
+                    `V = ${fmt(V, 'V')}${p.fieldMap && p.fieldMap.potentialAt ? '' : ' (0 at origin)'}`
+                ];
+                lines.push(f.Bx || f.By
+                    ? `Bx = ${fmt(f.Bx, 'T')} · By = ${fmt(f.By, 'T')} · Bz = ${fmt(f.Bz, 'T')}`
+                    : `Bz = ${fmt(f.Bz, 'T')}`);
+                return {
+                    lines,
+                    vector: { x: f.Ex, y: f.Ey },
+                    normal: { value: f.Bz },
+                    trace: { value: E, text: `|E| ${fmt(E, 'V/m')}` }
+                };
+            }
+            default: {
+                const cs = this.chargeSystem;
+                const E = cs.fieldAt(x, y);
+                const V = cs.potentialAt(x, y);
+                if (!isFinite(E.magnitude) || !isFinite(V)) return null;
+
+                const angle = Math.atan2(E.Ey, E.Ex) * 180 / Math.PI;
+                return {
+                    lines: [
+                        `(${position(x)}, ${position(y)})`,
+                        `Ex = ${fmt(E.Ex, 'V/m')} · Ey = ${fmt(E.Ey, 'V/m')}`,
+                        `|E| = ${fmt(E.magnitude, 'V/m')} at ${angle.toFixed(1)}°`,
+                        `V = ${fmt(V, 'V')}`
+                    ],
+                    vector: { x: E.Ex, y: E.Ey },
+                    normal: null,
+                    trace: { value: E.magnitude, text: `|E| ${fmt(E.magnitude, 'V/m')}` }
+                };
+            }
+        }
+    }
+
+    /**
+     * Fields of the active wave grid at the nearest Yee cell, H in A/m
+     * @returns {?{Ez, Hx, Hy, cell}} null outside the grid
+     */
+    waveFieldAt(x, y) {
+        const eta = FieldExporter.ETA_0;
+
+        if (this.waveDimension === '2d') {
+            const g = this.fdtd2d;
+            const i = Math.floor(x / g.dx);
+            const j = g.ny - 1 - Math.floor(y / g.dx);
+            if (i < 0 || i >= g.nx || j < 0 || j >= g.ny) return null;
+
+            return { Ez: g.Ez[i][j], Hx: g.Hx[i][j] / eta, Hy: g.Hy[i][j] / eta, cell: `${i}, ${g.ny - 1 - j}` };
+        }
+
+        const g = this.fdtd1d;
+        const i = Math.round(x / g.dx);
+        if (i < 0 || i >= g.numCells) return null;
+
+        return { Ez: g.Ez[i], Hx: 0, Hy: g.Hy[i] / eta, cell: `${i}` };
+    }
+
+    /**
+     * V and |E| for the line cut (V is undefined for wave fields; Az and
+     * |B| in magnetostatics)
+     */
+    profileAt(x, y) {
+        switch (this.mode) {
+            case 'magnetostatic': {
+                const Az = this.currentSystem.vectorPotentialAt(x, y);
+                const B = this.currentSystem.fieldAt(x, y).magnitude;
+                return { V: isFinite(Az) ? Az : NaN, E: isFinite(B) ? B : NaN };
+            }
+            case 'waves': {
+                const w = this.waveFieldAt(x, y);
+                return { V: NaN, E: w ? Math.abs(w.Ez) : NaN };
+            }
+            case 'particles': {
+                const p = this.particle;
+                const f = p.fieldAt(x, y);
+                const V = p.potentialAt(x, y);
+                const E = Math.hypot(f.Ex, f.Ey);
+                return { V: isFinite(V) ? V : NaN, E: isFinite(E) ? E : NaN };
+            }
+            default: {
+                const V = this.chargeSystem.potentialAt(x, y);
+                const E = this.chargeSystem.fieldAt(x, y).magnitude;
+                return { V: isFinite(V) ? V : NaN, E: isFinite(E) ? E : NaN };
+            }
+        }
+    }
+
+    /**
+     * Solver state, the induced charge per unit length on each conductor
+     * and the bound charge on the dielectric interfaces
+     */
+    solverLines() {
+        const solver = this.poisson;
+        if (!solver.active) return [];
+
+        const fmt = SimulationController.formatSI;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const count = solver.conductors.length;
+        const regions = solver.dielectrics.length;
+        const parts = [];
+        if (count > 0) parts.push(plural(count, 'conductor'));
+        if (regions > 0) parts.push(plural(regions, 'dielectric'));
+        const lines = [
+            `${parts.join(' · ')} · ${solver.nx}×${solver.ny} grid · ` +
+            (solver.converged ? `converged in ${solver.sweeps} sweeps` : `relaxing (${solver.sweeps} sweeps)`)
+        ];
+
+        const { lineCharge } = solver.surfaceCharge();
+        solver.conductors.slice(0, 4).forEach((c, i) => {
+            lines.push(`C${i + 1} at ${c.V.toFixed(1)} V · induced λ = ${fmt(lineCharge[i], 'C/m')}`);
+        });
+        if (count > 4) lines.push(`… ${count - 4} more`);
+
+        if (regions > 0) {
+            const permittivities = solver.dielectrics.slice(0, 4).map((d, i) => `D${i + 1} εr ${d.epsilon.toFixed(1)}`);
+            if (regions > 4) permittivities.push(`… ${regions - 4} more`);
+            lines.push(permittivities.join(' · '));
+            lines.push(`Peak bound σ = ${fmt(solver.boundCharge().peak, 'C/m²')}`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Gauss's-law and line-integral results for the info panel (cached
+     * until the charges or the contours change)
+     */
+    integralLines() {
+        if (this.integrals) return this.integrals;
+
+        const fmt = SimulationController.formatSI;
+        const cs = this.chargeSystem;
+        const { contour, path } = this.contourTool;
+        const lines = [];
+        const mismatch = (value, expected, unit) => expected !== 0
+            ? `${((value - expected) / Math.abs(expected) * 100).toExponential(1)}%`
+            : `${fmt(value - expected, unit)}`;
+
+        // The conductor and dielectric correction is a 2D (in-plane) solution,
+        // so the extruded-prism flux and Q_enc/ε₀ (free charge only) don't apply
+        if (contour && this.poisson.active) {
+            lines.push('Gauss check unavailable with conductors or dielectrics (induced and bound charge not included)');
+        } else if (contour) {
+            const g = FieldIntegrals.gaussCheck(cs, contour.points);
+            lines.push(`Φ<sub>E</sub> = ${fmt(g.flux, 'V·m')} (contour extruded along z)`);
+            lines.push(`Q<sub>enc</sub>/ε₀ = ${fmt(g.expected, 'V·m')} · ${g.count} charge${g.count === 1 ? '' : 's'}, ` +
+                `${(g.charge * 1e9).toFixed(2)} nC · Δ ${mismatch(g.flux, g.expected, 'V·m')}`);
+        }
+        if (path) {
+            const p = FieldIntegrals.pathCheck(cs, path.points);
+            lines.push(`∫E·dl = ${fmt(p.integral, 'V')} · V(a) − V(b) = ${fmt(p.deltaV, 'V')} · ` +
+                `Δ ${mismatch(p.integral, p.deltaV, 'V')}`);
+        }
+
+        this.integrals = lines;
+        return lines;
+    }
+
+    // ==========================================
+    // DATA EXPORT
+    // ==========================================
+
+    /**
+     * Snapshot table for an export dataset
+     * @param {boolean} forSeries - Trajectories sample the particle state per frame
+     * @throws {Error} If the dataset is not available in the current mode
+     */
+    buildExportTable(dataset, forSeries = false) {
+        switch (dataset) {
+            case 'potential':
+            case 'vectors':
+                // Both grids follow the electrostatic camera
+                if (this.mode !== 'electrostatic') {
+                    throw new Error('Switch to Electrostatic mode to export the potential or vector grid');
+                }
+                return dataset === 'potential'
+                    ? FieldExporter.potentialTable(this.renderer, this.chargeSystem, 8, this.currentTime())
+                    : FieldExporter.vectorTable(this.fieldVectors || [], this.currentTime());
+            case 'wave1d':
+                return FieldExporter.wave1DTable(this.fdtd1d);
+            case 'wave2d':
+                return FieldExporter.wave2DTable(this.fdtd2d);
+            case 'linecut': {
+                const profile = this.lineCut.profile();
+                if (!profile) throw new Error('Draw a line with the Line Cut tool first');
+                return FieldExporter.lineCutTable(profile, this.currentTime());
+            }
+            case 'trajectory':
+                return forSeries
+                    ? FieldExporter.particleStateTable(this.particle)
+                    : FieldExporter.trajectoryTable(this.particle);
+            default:
+                throw new Error(`Unknown dataset "${dataset}"`);
+        }
+    }
+
+    writeExport(table, format, suffix) {
+        const filename = `em-${table.dataset}-${suffix}.${format}`;
+
+        if (format === 'npy') {
+            downloadBlob(new Blob([FieldExporter.toNPY(table)], { type: 'application/octet-stream' }), filename);
+        } else {
+            downloadText(FieldExporter.toCSV(table), filename, 'text/csv');
+        }
+
+        return filename;
+    }
+
+    exportFrame() {
+        const options = this.ui ? this.ui.getExportOptions() : { dataset: 'potential', format: 'csv' };
+
+        let table;
+        try {
+            table = this.buildExportTable(options.dataset);
+        } catch (err) {
+            this.showNotice([`⚠ ${err.message}`]);
+            return;
+        }
+
+        const filename = this.writeExport(table, options.format, 'frame');
+        this.showNotice([`Exported ${table.shape.join('×') || '1'} ${table.dataset} to ${filename}`]);
+    }
+
+    startSeries() {
+        const options = this.ui ? this.ui.getExportOptions() : { dataset: 'wave1d', format: 'csv' };
+
+        this.series = new FieldSeries(options.dataset);
+        this.seriesFormat = options.format;
+        this.captureSeriesFrame();
+    }
+
+    captureSeriesFrame() {
+        let added;
+        try {
+            added = this.series.add(this.buildExportTable(this.series.dataset, true));
+        } catch (err) {
+            this.stopSeries([`⚠ ${err.message}`]);
+            return;
+        }
+
+        if (!added) this.stopSeries(['Series size limit reached']);
+    }
+
+    /**
+     * Time-stepped engine a series dataset samples; null for the static
+     * fields, which sample every played frame
+     */
+    seriesEngine() {
+        switch (this.series.dataset) {
+            case 'wave1d': return 'fdtd1d';
+            case 'wave2d': return 'fdtd2d';
+            case 'trajectory': return 'particle';
+            case 'linecut': return this.timedEngine();
+            default: return null;
+        }
+    }
+
+    /**
+     * End the series and download it
+     * @param {string[]} reason - Notice lines explaining an automatic stop
+     */
+    stopSeries(reason = []) {
+        const series = this.series;
+        this.series = null;
+        if (this.ui) this.ui.setSeriesActive(false);
+        if (!series) return;
+
+        if (series.length === 0) {
+            this.showNotice(reason.length ? reason : ['Series empty, nothing exported']);
+            return;
+        }
+
+        const filename = this.writeExport(series.toTable(), this.seriesFormat, 'series');
+        this.showNotice([...reason, `Exported ${series.length} frames to ${filename}`]);
+    }
+
+    // ==========================================
+    // LOOP
+    // ==========================================
+
+    /**
+     * Colormap and scale for a heatmap, resolving Auto per field
+     * @param {string} field - Key of HEATMAP_COLOR_DEFAULTS
+     * Also applies the smoothing setting to the renderer.
+     * @returns {{colormap: Colormap, scale: string, showColorbar: boolean}}
+     */
+    heatmapColors(field) {
+        const options = this.ui ? this.ui.getColorOptions() : { colormap: 'auto', scale: 'auto', showColorbar: true };
+        const defaults = SimulationController.HEATMAP_COLOR_DEFAULTS[field];
+        this.renderer.smoothHeatmaps = options.smooth ?? false;
+        return {
+            colormap: Colormap.get(options.colormap === 'auto' ? defaults.colormap : options.colormap),
+            scale: options.scale === 'auto' ? defaults.scale : options.scale,
+            showColorbar: options.showColorbar
+        };
+    }
+
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const width = Math.max(1, Math.floor(rect.width));
+        const height = Math.max(1, Math.floor(rect.height));
+
+        this.renderer.resize(width, height);
+
+        // Cameras keep their centers; the wave view refits its grid
+        Object.values(this.viewports).forEach(viewport => viewport.setSize(width, height));
+        this.fitWaveViewport();
+
+        this.invalidateField();
+    }
+
+    frame(now) {
+        if (this.lastFrame) {
+            const dt = (now - this.lastFrame) / 1000;
+            if (dt > 0) this.fps = this.fps * 0.9 + (1 / dt) * 0.1;
+        }
+        this.lastFrame = now;
+
+        if (this.isPlaying) {
+            this.advance(this.stepsPerFrame());
+            this.probeTool.record();
+        }
+
+        this.renderer.tick();
+        this.render();
+
+        // Outputs take one frame per completed step of their engine, so
+        // paused frames and dropped worker steps add nothing
+        const updated = this.fieldsUpdated;
+        this.fieldsUpdated = {};
+        const steps = this.frameSteps(this.timedEngine(), updated);
+        if (this.recorder.recording && steps !== null) {
+            this.recorder.captureFrame(this.recordingOverlay(), steps);
+        }
+        if (this.series && this.frameSteps(this.seriesEngine(), updated) !== null) {
+            this.captureSeriesFrame();
+        }
+
+        this.updateReadouts(false, now);
+
+        requestAnimationFrame(this.frame);
+    }
+
+    /**
+     * Engine whose steps set the simulation time in this mode, or null
+     * for the static modes
+     */
+    timedEngine() {
+        switch (this.mode) {
+            case 'waves': return this.waveDimension === '2d' ? 'fdtd2d' : 'fdtd1d';
+            case 'particles': return 'particle';
+            default: return null;
+        }
+    }
+
+    /**
+     * Steps behind this frame's view of `engine` (from `fieldsUpdated`),
+     * or null when it shows nothing new; without an engine a played
+     * frame counts as new with no steps
+     * @returns {?number}
+     */
+    frameSteps(engine, updated) {
+        if (!engine) return this.isPlaying ? 0 : null;
+        return updated[engine] > 0 ? updated[engine] : null;
+    }
+
+    /**
+     * Advance the active engine by `substeps` integration steps
+     */
+    advance(substeps) {
+        switch (this.mode) {
+            case 'waves':
+                this.stepPhysics(this.waveDimension === '2d' ? 'fdtd2d' : 'fdtd1d', substeps);
+                break;
+            case 'particles': {
+                // Field maps vary on the scale of their sources, so cap the step length too
+                const p = this.particle;
+                const dt = p.suggestTimeStep(200, p.fieldMap ? 0.02 : Infinity);
+                this.stepPhysics('particle', substeps, { dt });
+                this.stepPhysics('beam', substeps, { dt });
+                break;
+            }
+        }
+    }
+
+    render() {
+        switch (this.mode) {
+            case 'electrostatic':
+                this.renderElectrostatic();
+                break;
+            case 'magnetostatic':
+                this.renderMagnetostatic();
+                break;
+            case 'waves':
+                this.renderWaves();
+                break;
+            case 'particles':
+                this.renderParticles();
+                break;
+        }
+
+        if (this.mode === 'electrostatic') {
+            this.contourTool.draw();
+            this.conductorTool.draw();
+            this.dielectricTool.draw();
+            this.seedTool.draw();
+        }
+        if (this.mode === 'magnetostatic') {
+            this.wireEditor.draw();
+        }
+        this.probeTool.draw();
+        this.lineCut.update();
+    }
+
+    renderElectrostatic() {
+        const r = this.renderer;
+        const options = this.ui ? this.ui.getVisualizationOptions() : {};
+        const cs = this.chargeSystem;
+        const solver = this.poisson;
+
+        // A few milliseconds of relaxation per frame; lines and vectors
+        // follow the solution every few frames and once it has converged
+        if (solver.active && !solver.converged) {
+            this.relaxSolver();
+            this.solverFrames++;
+            if (solver.converged || this.solverFrames % 8 === 0) this.invalidateField();
+        }
+
+        if (this.fieldDirty) {
+            // Trace over the visible region with steps fixed in screen pixels
+            const bounds = this.viewport.getVisibleBounds();
+            const pixel = 1 / this.viewport.scale;
+            cs.lineStep = 4 * pixel;
+            cs.lineStartRadius = 10 * pixel;
+            cs.lineSeeding = options.lineSeeding || 'charges';
+
+            this.fieldLines = cs.getFieldLines(bounds);
+            this.fieldVectors = cs.getFieldVectors(bounds, 40 * pixel);
+            r.initFlowParticles(this.fieldLines);
+            this.fieldDirty = false;
+        }
+
+        r.clear();
+
+        let heatmap = null;
+        if (options.showPotentialMap) {
+            heatmap = this.heatmapColors('potential');
+            heatmap.norm = r.drawPotentialHeatmap(cs, heatmap.colormap, heatmap.scale);
+        }
+
+        // Dielectric tint under the field so the lines stay readable
+        if (solver.dielectrics.length > 0) {
+            r.drawDielectrics(solver);
+        }
+        if (options.showPotential) {
+            r.drawPotentialContours(cs, 8, { spacing: options.contourSpacing, labels: options.contourLabels });
+        }
+        if (options.showVectors) {
+            r.drawVectorField(this.fieldVectors, t => r.getScientificColor(0.5 + t / 2));
+        }
+        if (options.showFieldLines) {
+            r.drawFlowParticles(this.fieldLines);
+        }
+        if (solver.conductors.length > 0) {
+            r.drawConductors(solver);
+        }
+
+        r.drawChargeSystem(cs, this.chargeEditor.selectedId);
+
+        if (heatmap && heatmap.showColorbar) {
+            r.drawColorbar(heatmap.colormap, heatmap.norm, { label: 'V', unit: 'V' });
+        }
+    }
+
+    renderMagnetostatic() {
+        const r = this.renderer;
+        const options = this.ui ? this.ui.getMagnetostaticOptions() : { showFieldLines: true, showMagnitude: true };
+        const currents = this.currentSystem;
+
+        if (this.fieldDirty) {
+            // Trace over the visible region with steps fixed in screen pixels,
+            // starting outside the wire markers
+            const bounds = this.viewport.getVisibleBounds();
+            const pixel = 1 / this.viewport.scale;
+            currents.lineStep = 4 * pixel;
+            currents.lineStartRadius = 20 * pixel;
+
+            this.magneticLines = currents.getFieldLines(bounds);
+            r.initFlowParticles(this.magneticLines);
+            this.fieldDirty = false;
+        }
+
+        r.clear();
+
+        if (options.showVectorPotential) {
+            r.drawVectorPotential(currents);
+        }
+        if (options.showMagnitude) {
+            r.drawFieldMagnitudeContours(currents, 8);
+        }
+        if (options.showFieldLines) {
+            r.drawFlowParticles(this.magneticLines);
+        }
+
+        r.drawCurrentSystem(currents, this.wireEditor.selectedId);
+    }
+
+    renderWaves() {
+        const r = this.renderer;
+
+        if (this.waveDimension === '2d') {
+            const heatmap = this.heatmapColors('wave');
+            const norm = r.drawWave2D(this.fdtd2d, heatmap.colormap, heatmap.scale);
+            if (heatmap.showColorbar) {
+                r.drawColorbar(heatmap.colormap, norm, { label: 'Ez', unit: 'V/m' });
+            }
+        } else {
+            r.clear();
+            r.drawWave1D(this.fdtd1d, r.height / 2, r.height * 0.6);
+        }
+    }
+
+    renderParticles() {
+        const r = this.renderer;
+        const p = this.particle;
+        const solver = this.poisson;
+
+        // The charge map includes the conductor correction, which keeps
+        // relaxing here if it was left unconverged in the electrostatic view
+        if (this.particleField === 'charges' && solver.active && !solver.converged) {
+            this.relaxSolver();
+        }
+
+        r.clear();
+        r.drawAxes();
+
+        switch (this.particleField) {
+            case 'charges':
+                if (solver.dielectrics.length > 0) r.drawDielectrics(solver);
+                if (solver.conductors.length > 0) r.drawConductors(solver);
+                r.drawChargeSystem(this.chargeSystem);
+                break;
+            case 'currents':
+                r.drawCurrentSystem(this.currentSystem);
+                break;
+            case 'bottle':
+            case 'quadrupole':
+                r.drawFieldMap(p.fieldMap);
+                break;
+        }
+
+        r.drawBeam(this.beam);
+        r.drawParticle(p);
+
+        // Field at the particle (screen y points down); B is out of plane
+        // only for the uniform field, otherwise the dial shows |B|
+        const field = p.fieldAt(p.x, p.y, p.z);
+        const B = Math.hypot(field.Bx, field.By, field.Bz);
+        r.drawMagneticFieldIndicator(field.Bz, r.width - 70, 120, 30, p.fieldMap
+            ? { label: `|B| = ${SimulationController.formatSI(B, 'T')}` }
+            : {});
+        r.drawElectricFieldIndicator(field.Ex, -field.Ey, r.width - 70, 230, p.fieldMap
+            ? { label: `|E| = ${SimulationController.formatSI(Math.hypot(field.Ex, field.Ey, field.Ez), 'V/m')}` }
+            : {});
+        r.drawEnergyGraph(p.energyHistory, 16, r.height - 170, 220, 80);
+
+        if (this.beam.count > 0) this.drawBeamPanels();
+    }
+
+    /**
+     * Phase-space scatter and the RMS size and emittance histories of the
+     * transverse (y) plane
+     */
+    drawBeamPanels() {
+        const r = this.renderer;
+        const beam = this.beam;
+        const plane = this.ui ? this.ui.getBeamParameters().phasePlane : 'x';
+        const { positions, velocities } = beam.phaseSpace(plane);
+
+        r.drawPhaseSpace(positions, velocities, beam.count, r.width - 236, r.height - 190, 220, 170, {
+            label: `PHASE SPACE ${plane}–v${plane}`
+        });
+
+        const history = beam.history;
+        r.drawStripChart(history.map(h => h.rmsY), 252, r.height - 170, 160, 38, {
+            label: 'σy', color: r.colors.cadmiumOrange, capacity: beam.maxHistory
+        });
+        r.drawStripChart(history.map(h => h.emittanceY), 252, r.height - 128, 160, 38, {
+            label: 'εy', color: r.colors.cobaltBlue, capacity: beam.maxHistory
+        });
+    }
+
+    // ==========================================
+    // READOUTS
+    // ==========================================
+
+    /**
+     * Push HUD and info panel values, throttled unless `force` is set
+     */
+    updateReadouts(force = false, now = performance.now()) {
+        if (!this.ui) return;
+        if (!force && now - this.lastReadout < this.readoutInterval) return;
+        this.lastReadout = now;
+
+        this.ui.updateHUD({
+            time: SimulationController.formatSI(this.currentTime(), 's'),
+            energy: SimulationController.formatEnergy(this.currentEnergy()),
+            fps: Math.round(this.fps),
+            scale: `${this.viewport.zoom.toFixed(1)}x`
+        });
+
+        let lines = this.infoLines();
+        if (this.tool === 'probe') {
+            const count = this.probeTool.probes.length;
+            lines.push(`${count} probe${count === 1 ? '' : 's'} · click to pin · drag to move · right-click to remove`);
+        } else if (this.tool === 'gauss' || this.tool === 'path') {
+            if (this.mode !== 'electrostatic') {
+                lines.push('Gauss and line-integral tools work in Electrostatic mode');
+            } else if (this.tool === 'path') {
+                lines.push('Drag a straight path, or click vertices and click the last again to finish');
+            } else {
+                lines.push(this.contourTool.shape === 'circle'
+                    ? 'Drag from a center to draw a Gauss circle'
+                    : 'Click polygon vertices, click the first to close · Esc cancels');
+            }
+        } else if (this.tool === 'conductor') {
+            const shape = this.ui ? this.ui.getConductorShape() : 'plate';
+            if (this.mode !== 'electrostatic') {
+                lines.push('Conductors are drawn in Electrostatic mode');
+            } else if (shape === 'plate') {
+                lines.push('Drag a straight plate, or click a polyline and click the last vertex again');
+            } else {
+                lines.push(shape === 'circle'
+                    ? 'Drag from a center to draw a conductor disc'
+                    : 'Click polygon vertices, click the first to close · Esc cancels');
+            }
+        } else if (this.tool === 'dielectric') {
+            if (this.mode !== 'electrostatic') {
+                lines.push('Dielectrics are drawn in Electrostatic mode');
+            } else {
+                lines.push(this.dielectricTool.shape === 'circle'
+                    ? 'Drag from a center to draw a dielectric disc'
+                    : 'Click polygon vertices, click the first to close · Esc cancels');
+            }
+        } else if (this.tool === 'seedline') {
+            lines.push(this.mode === 'electrostatic'
+                ? 'Drag a straight seed line, or click vertices and click the last again to finish'
+                : 'Seed lines are drawn in Electrostatic mode');
+        } else if (this.tool === 'linecut') {
+            lines.push(this.lineCut.cut
+                ? `Line cut ${SimulationController.formatSI(this.lineCut.length(), 'm')} · drag an end to adjust`
+                : 'Drag across the canvas to draw a line cut');
+        }
+        if (this.recorder && this.recorder.recording) {
+            lines = [`● REC ${this.recorder.frameCount} frames`].concat(lines);
+        }
+        if (this.series) {
+            lines = [`● SERIES ${this.series.dataset} ${this.series.length} frames`].concat(lines);
+        }
+        if (this.notice && now < this.notice.until) {
+            lines = this.notice.lines.map(SimulationController.escapeHTML).concat(lines);
+        } else {
+            this.notice = null;
+        }
+        this.ui.updateInfo(lines);
+    }
+
+    currentTime() {
+        switch (this.mode) {
+            case 'waves': return this.fdtd.time;
+            case 'particles': return this.particle.time;
+            default: return 0;
+        }
+    }
+
+    currentEnergy() {
+        switch (this.mode) {
+            case 'waves': return this.fdtd.getEnergy();
+            case 'particles': return this.particle.kineticEnergy() + this.particle.potentialEnergy();
+            // Infinite wires store infinite energy; shown as "—"
+            case 'magnetostatic': return NaN;
+            default: return this.electrostaticEnergy();
+        }
+    }
+
+    /**
+     * Interaction energy U = Σ k·qi·qj / rij of the point charges
+     */
+    electrostaticEnergy() {
+        const charges = this.chargeSystem.charges;
+        const L = this.chargeSystem.lengthScale;
+        let U = 0;
+
+        for (let i = 0; i < charges.length; i++) {
+            for (let j = i + 1; j < charges.length; j++) {
+                const r = Math.hypot(charges[i].x - charges[j].x, charges[i].y - charges[j].y) * L;
+                if (r > 0) U += ChargeSystem.COULOMB_K * charges[i].charge * charges[j].charge / r;
+            }
+        }
+
+        return U;
+    }
+
+    infoLines() {
+        switch (this.mode) {
+            case 'magnetostatic':
+                return this.magnetostaticLines();
+            case 'waves': {
+                const f = this.fdtd.frequency;
+                const lines = [
+                    this.waveDimension === '2d'
+                        ? `2D TMz grid ${this.fdtd2d.nx}×${this.fdtd2d.ny} · CPML`
+                        : `1D Yee grid ${this.fdtd1d.numCells} cells`,
+                    `λ₀ = ${SimulationController.formatSI(FDTD1D.C0 / f, 'm')}`,
+                    `Step ${this.fdtd.timeStep}`
+                ];
+                if (typeof materialLibrary !== 'undefined' && materialLibrary.has(this.waveMaterial)) {
+                    const material = materialLibrary.get(this.waveMaterial);
+                    const R = materialLibrary.reflectanceAt(this.waveMaterial, f);
+                    lines.push(`${SimulationController.escapeHTML(material.label)} · R = ${(R * 100).toFixed(1)}%`);
+                }
+                return lines;
+            }
+            case 'particles': {
+                const p = this.particle;
+                const species = ChargedParticle.SPECIES[p.species];
+                return [
+                    `${species.name} (${species.symbol})`,
+                    `β = ${(p.speed / ChargedParticle.C).toFixed(4)} · γ = ${p.gamma.toFixed(3)}`,
+                    `KE = ${SimulationController.formatSI(p.kineticEnergy() / ChargedParticle.ELEMENTARY_CHARGE, 'eV')}`
+                ].concat(this.fieldMapLines(), this.beamLines());
+            }
+            default: {
+                const cs = this.chargeSystem;
+                const lines = [
+                    `${cs.charges.length} charges · net ${(cs.totalCharge() * 1e9).toFixed(1)} nC`,
+                    `${(this.fieldLines || []).length} field lines`
+                ];
+
+                const selected = this.chargeEditor.getSelected();
+                if (selected) {
+                    const L = cs.lengthScale;
+                    const sign = selected.charge >= 0 ? '+' : '−';
+                    lines.push(`Selected ${sign}${Math.abs(selected.charge * 1e9).toFixed(1)} nC at ` +
+                        `(${(selected.x * L).toFixed(2)}, ${(selected.y * L).toFixed(2)}) m`);
+                } else if (this.tool === 'edit') {
+                    lines.push('Click to place · drag to move · right-click to delete · wheel to zoom');
+                }
+                return lines.concat(this.solverLines(), this.integralLines());
+            }
+        }
+    }
+
+    /**
+     * Beam centroid, RMS size and RMS emittance (geometric and normalized)
+     */
+    beamLines() {
+        const d = this.beam.count > 0 ? this.beam.diagnostics() : null;
+        if (!d) return [];
+
+        const fmt = SimulationController.formatSI;
+        return [
+            `Beam ${d.count} particles · centroid (${fmt(d.centroid.x, 'm')}, ${fmt(d.centroid.y, 'm')})`,
+            `RMS σx = ${fmt(d.rms.x, 'm')} · σy = ${fmt(d.rms.y, 'm')}`,
+            `εx = ${fmt(d.emittance.x, 'm·rad')} · εy = ${fmt(d.emittance.y, 'm·rad')}`,
+            `εn,y = ${fmt(d.normalized.y, 'm·rad')} (normalized)`
+        ];
+    }
+
+    /**
+     * Field map diagnostics: the deflection against Rutherford's formula,
+     * the bottle's loss cone and the quadrupole's focal length
+     */
+    fieldMapLines() {
+        const fmt = SimulationController.formatSI;
+        const p = this.particle;
+        const map = p.fieldMap;
+        if (!map) return [];
+
+        const lines = [map.label];
+        const v = p.getVelocity();
+
+        switch (map.name) {
+            case 'charges': {
+                const deflection = Math.atan2(v.vy, v.vx) * 180 / Math.PI;
+                lines.push(`Deflection θ = ${deflection.toFixed(1)}°`);
+
+                // Single scatterer: tan(θ/2) = d / 2b with the head-on distance
+                // d = k|qQ| / E and the impact parameter b = |L| / p∞ of the
+                // asymptote, both from conserved quantities
+                const charges = this.chargeSystem.charges;
+                const energy = p.kineticEnergy() + p.potentialEnergy();
+                if (charges.length === 1 && energy > 0) {
+                    const c = charges[0];
+                    const d = ChargeSystem.COULOMB_K * Math.abs(p.charge * c.charge) / energy;
+                    const L = p.mass * Math.abs((p.x - c.x) * p.uy - (p.y - c.y) * p.ux);
+                    const b = L / Math.sqrt(2 * p.mass * energy);
+                    const theta = 2 * Math.atan2(d, 2 * b) * 180 / Math.PI;
+                    lines.push(`Rutherford θ = ${theta.toFixed(1)}° at b = ${fmt(b, 'm')} · d = ${fmt(d, 'm')}`);
+                }
+                break;
+            }
+            case 'currents': {
+                const B = p.fieldAt(p.x, p.y, p.z);
+                lines.push(`|B| at particle = ${fmt(Math.hypot(B.Bx, B.By, B.Bz), 'T')} · z = ${fmt(p.z, 'm')}`);
+                break;
+            }
+            case 'bottle': {
+                // Pitch angle at launch against the loss cone asin(1/√R)
+                const start = p.initialState;
+                const pitch = Math.atan2(Math.abs(start.vz), Math.hypot(start.vx, start.vy)) * 180 / Math.PI;
+                const cone = map.lossConeAngle * 180 / Math.PI;
+                lines.push(`Mirror ratio ${map.mirrorRatio} · loss cone ${cone.toFixed(1)}°`);
+                lines.push(`Pitch ${pitch.toFixed(1)}° → ${pitch > cone ? 'trapped' : 'escapes through a mirror'}`);
+                break;
+            }
+            case 'quadrupole': {
+                const f = map.focalLength(p.momentum, p.charge);
+                lines.push(`G = ${map.gradient.toFixed(2)} T/m over ${fmt(map.length, 'm')} · thin-lens f = ${fmt(f, 'm')}`);
+                break;
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Current inventory, the field at the origin and the selected wire's
+     * force per unit length
+     */
+    magnetostaticLines() {
+        const fmt = SimulationController.formatSI;
+        const currents = this.currentSystem;
+        const wires = currents.wires.length;
+        const segments = currents.segments.length;
+        const B0 = currents.fieldAt(0, 0);
+
+        const lines = [
+            `${wires} wire${wires === 1 ? '' : 's'} · ${segments} segment${segments === 1 ? '' : 's'} · ` +
+            `net I = ${currents.totalCurrent().toFixed(1)} A`,
+            `${(this.magneticLines || []).length} B-lines · |B|(0, 0) = ${fmt(B0.magnitude, 'T')}`
+        ];
+
+        const selected = this.wireEditor.getSelected();
+        if (selected && CurrentSystem.isSegment(selected)) {
+            const length = Math.hypot(selected.x2 - selected.x1, selected.y2 - selected.y1);
+            lines.push(`Selected segment ${Math.abs(selected.current).toFixed(1)} A · ${length.toFixed(2)} m long`);
+        } else if (selected) {
+            const force = currents.wireForces().find(f => f.id === selected.id);
+            lines.push(`Selected ${selected.current >= 0 ? '⊙' : '⊗'} ${Math.abs(selected.current).toFixed(1)} A at ` +
+                `(${selected.x.toFixed(2)}, ${selected.y.toFixed(2)}) m`);
+            lines.push(`F/L = ${fmt(Math.hypot(force.Fx, force.Fy), 'N/m')} from the other wires`);
+        } else if (this.tool === 'edit') {
+            lines.push(this.wireEditor.shape === 'segment'
+                ? 'Drag to lay a segment · drag to move · right-click to delete'
+                : 'Click to place a wire · drag to move · right-click to delete');
+        }
+        if (segments > 0) {
+            lines.push('In-plane segments add Bz only (shown in |B|)');
+        }
+
+        return lines;
+    }
+
+    /**
+     * Format a value with an SI prefix, e.g. 1.2e-12 → "1.20 p"
+     */
+    static formatSI(value, unit, digits = 2) {
+        if (value === 0 || !isFinite(value)) return `${(0).toFixed(digits)} ${unit}`;
+
+        const prefixes = ['f', 'p', 'n', 'µ', 'm', '', 'k', 'M', 'G', 'T'];
+        const exponent = Math.max(-5, Math.min(4, Math.floor(Math.log10(Math.abs(value)) / 3)));
+        const scaled = value / Math.pow(1000, exponent);
+        return `${scaled.toFixed(digits)} ${prefixes[exponent + 5]}${unit}`;
+    }
+
+    static escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    static formatEnergy(value) {
+        if (!isFinite(value)) return '— J';
+        return Math.abs(value) < 1e-3 && value !== 0 ? `${value.toExponential(2)} J` : `${value.toFixed(2)} J`;
+    }
+}
+
+// Global instance (after UIControls, which registers its listener first)
+document.addEventListener('DOMContentLoaded', () => {
+    const canvas = document.getElementById('simulation-canvas');
+    if (canvas) {
+        window.simulationController = new SimulationController(canvas, window.uiControls);
+    }
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SimulationController };
+}
@@ -0,0 +1,26 @@
+/**
+ * FILE DOWNLOAD HELPERS
+ *
+ * Save generated content through a temporary object URL
+ */
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadText(text, filename, type = 'text/plain') {
+    downloadBlob(new Blob([text], { type }), filename);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { downloadBlob, downloadText };
+}
@@ -0,0 +1,327 @@
+/**
+ * FIELD DATA EXPORT
+ *
+ * Snapshots of simulation data as unit-annotated tables:
+ * - Potential on the contour sampling grid, E-field vector grid
+ * - 1D Ez/Hy line, 2D Ez plane
+ * - Particle trajectory
+ * - V and |E| (or Az and |B|) profile along a line cut
+ *
+ * A table is {dataset, label, shape, time, fields: [{name, unit, data}]}
+ * with every field's data a row-major Float64Array of prod(shape)
+ * values. Tables encode to:
+ * - CSV: `#` comment header, then one column per field as "name (unit)"
+ * - .npy (format 1.0): a structured array of '<f8' fields named
+ *   "name [unit]", so `np.load(f)['V [V]']` keeps the grid shape
+ *
+ * A FieldSeries stacks same-shape tables along a leading time axis and
+ * adds a "t [s]" field.
+ */
+
+class FieldExporter {
+    static DATASETS = {
+        potential: 'Electric potential on the contour sampling grid',
+        vectors: 'Electric field on the vector overlay grid',
+        wave1d: '1D FDTD line fields (Hy staggered by dx/2)',
+        wave2d: '2D TMz FDTD Ez plane (cell centers)',
+        trajectory: 'Particle trajectory',
+        linecut: 'Field profile along the line cut'
+    };
+
+    // Free-space impedance: the solvers store η₀·H
+    static ETA_0 = 376.730313668;
+
+    // ==========================================
+    // SNAPSHOTS
+    // ==========================================
+
+    static potentialTable(renderer, chargeSystem, resolution = 8, time = 0) {
+        const grid = renderer.samplePotentialGrid(chargeSystem, resolution);
+        return {
+            dataset: 'potential',
+            label: FieldExporter.DATASETS.potential,
+            shape: [grid.rows, grid.cols],
+            time,
+            fields: [
+                { name: 'x', unit: 'm', data: grid.x },
+                { name: 'y', unit: 'm', data: grid.y },
+                { name: 'V', unit: 'V', data: grid.V }
+            ]
+        };
+    }
+
+    static vectorTable(fieldVectors, time = 0) {
+        const n = fieldVectors.length;
+        const columns = { x: new Float64Array(n), y: new Float64Array(n), Ex: new Float64Array(n), Ey: new Float64Array(n), E: new Float64Array(n) };
+
+        fieldVectors.forEach((v, k) => {
+            columns.x[k] = v.x;
+            columns.y[k] = v.y;
+            columns.Ex[k] = v.Ex;
+            columns.Ey[k] = v.Ey;
+            columns.E[k] = v.magnitude;
+        });
+
+        return {
+            dataset: 'vectors',
+            label: FieldExporter.DATASETS.vectors,
+            shape: [n],
+            time,
+            fields: [
+                { name: 'x', unit: 'm', data: columns.x },
+                { name: 'y', unit: 'm', data: columns.y },
+                { name: 'Ex', unit: 'V/m', data: columns.Ex },
+                { name: 'Ey', unit: 'V/m', data: columns.Ey },
+                { name: '|E|', unit: 'V/m', data: columns.E }
+            ]
+        };
+    }
+
+    static wave1DTable(fdtd) {
+        const n = fdtd.numCells;
+        const x = new Float64Array(n), xH = new Float64Array(n);
+        const Ez = new Float64Array(fdtd.Ez), Hy = new Float64Array(n);
+
+        for (let i = 0; i < n; i++) {
+            x[i] = i * fdtd.dx;
+            xH[i] = (i + 0.5) * fdtd.dx;
+            Hy[i] = fdtd.Hy[i] / FieldExporter.ETA_0;
+        }
+
+        return {
+            dataset: 'wave1d',
+            label: FieldExporter.DATASETS.wave1d,
+            shape: [n],
+            time: fdtd.time,
+            fields: [
+                { name: 'x', unit: 'm', data: x },
+                { name: 'Ez', unit: 'V/m', data: Ez },
+                { name: 'xH', unit: 'm', data: xH },
+                { name: 'Hy', unit: 'A/m', data: Hy }
+            ]
+        };
+    }
+
+    /**
+     * Rows run top to bottom (j = 0 first), matching the rendered plane
+     */
+    static wave2DTable(fdtd) {
+        const nx = fdtd.nx, ny = fdtd.ny;
+        const x = new Float64Array(nx * ny), y = new Float64Array(nx * ny), Ez = new Float64Array(nx * ny);
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                x[k] = (i + 0.5) * fdtd.dx;
+                y[k] = (ny - j - 0.5) * fdtd.dx;
+                Ez[k] = fdtd.Ez[i][j];
+            }
+        }
+
+        return {
+            dataset: 'wave2d',
+            label: FieldExporter.DATASETS.wave2d,
+            shape: [ny, nx],
+            time: fdtd.time,
+            fields: [
+                { name: 'x', unit: 'm', data: x },
+                { name: 'y', unit: 'm', data: y },
+                { name: 'Ez', unit: 'V/m', data: Ez }
+            ]
+        };
+    }
+
+    static trajectoryTable(particle) {
+        const points = particle.trajectory;
+        const n = points.length;
+        const t = new Float64Array(n), x = new Float64Array(n), y = new Float64Array(n);
+
+        points.forEach((p, k) => {
+            t[k] = p.t;
+            x[k] = p.x;
+            y[k] = p.y;
+        });
+
+        return {
+            dataset: 'trajectory',
+            label: `${FieldExporter.DATASETS.trajectory} (${particle.species})`,
+            shape: [n],
+            time: particle.time,
+            fields: [
+                { name: 't', unit: 's', data: t },
+                { name: 'x', unit: 'm', data: x },
+                { name: 'y', unit: 'm', data: y }
+            ]
+        };
+    }
+
+    /**
+     * Current particle position and velocity (scalar shape); the per-frame
+     * sample for trajectory time series, whose trail length varies
+     */
+    static particleStateTable(particle) {
+        const v = particle.getVelocity();
+        const scalar = (value) => Float64Array.of(value);
+
+        return {
+            dataset: 'trajectory',
+            label: `Particle state (${particle.species})`,
+            shape: [],
+            time: particle.time,
+            fields: [
+                { name: 'x', unit: 'm', data: scalar(particle.x) },
+                { name: 'y', unit: 'm', data: scalar(particle.y) },
+                { name: 'vx', unit: 'm/s', data: scalar(v.vx) },
+                { name: 'vy', unit: 'm/s', data: scalar(v.vy) }
+            ]
+        };
+    }
+
+    /**
+     * @param {Object} profile - LineCutTool.profile() arrays
+     */
+    static lineCutTable(profile, time = 0) {
+        const quantities = profile.quantities || {};
+        const V = quantities.V || { name: 'V', unit: 'V' };
+        const E = quantities.E || { name: '|E|', unit: 'V/m' };
+
+        return {
+            dataset: 'linecut',
+            label: FieldExporter.DATASETS.linecut,
+            shape: [profile.s.length],
+            time,
+            fields: [
+                { name: 's', unit: 'm', data: profile.s },
+                { name: 'x', unit: 'm', data: profile.x },
+                { name: 'y', unit: 'm', data: profile.y },
+                { name: V.name, unit: V.unit, data: profile.V },
+                { name: E.name, unit: E.unit, data: profile.E }
+            ]
+        };
+    }
+
+    // ==========================================
+    // ENCODERS
+    // ==========================================
+
+    static toCSV(table) {
+        const lines = [
+            '# Neural-Physical Instrument field export',
+            `# dataset: ${table.dataset} - ${table.label}`,
+            `# shape: ${table.shape.length ? table.shape.join(' x ') : 'scalar'} (row-major)`
+        ];
+        if (table.frames === undefined) {
+            lines.push(`# time: ${table.time} s`);
+        } else {
+            lines.push(`# frames: ${table.frames}`);
+        }
+        lines.push(table.fields.map(f => `${f.name} (${f.unit})`).join(','));
+
+        const count = table.fields[0].data.length;
+        for (let k = 0; k < count; k++) {
+            lines.push(table.fields.map(f => f.data[k]).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * NumPy .npy v1.0 structured array
+     * @returns {Uint8Array}
+     */
+    static toNPY(table) {
+        const quote = (text) => `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+        const descr = table.fields.map(f => `(${quote(`${f.name} [${f.unit}]`)}, '<f8')`).join(', ');
+        const shape = table.shape.length === 1 ? `(${table.shape[0]},)` : `(${table.shape.join(', ')})`;
+        let header = `{'descr': [${descr}], 'fortran_order': False, 'shape': ${shape}, }`;
+
+        // Magic (6) + version (2) + length (2) + header + '\n' padded to 64 bytes
+        const unpadded = 10 + header.length + 1;
+        header += ' '.repeat((64 - (unpadded % 64)) % 64) + '\n';
+
+        const count = table.fields[0].data.length;
+        const recordSize = 8 * table.fields.length;
+        const bytes = new Uint8Array(10 + header.length + count * recordSize);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set([0x93, 0x4E, 0x55, 0x4D, 0x50, 0x59, 1, 0]);  // \x93NUMPY v1.0
+        view.setUint16(8, header.length, true);
+        for (let i = 0; i < header.length; i++) {
+            bytes[10 + i] = header.charCodeAt(i);
+        }
+
+        let offset = 10 + header.length;
+        for (let k = 0; k < count; k++) {
+            for (const field of table.fields) {
+                view.setFloat64(offset, field.data[k], true);
+                offset += 8;
+            }
+        }
+
+        return bytes;
+    }
+}
+
+/**
+ * Same-shape tables stacked along a leading time axis
+ */
+class FieldSeries {
+    constructor(dataset, options = {}) {
+        this.dataset = dataset;
+        this.frames = [];
+        this.maxValues = options.maxValues || 1e7;
+        this.valueCount = 0;
+    }
+
+    /**
+     * @returns {boolean} false once the size limit is reached
+     * @throws {Error} If the table shape differs from the first frame
+     */
+    add(table) {
+        const first = this.frames[0];
+        if (first && first.shape.join('x') !== table.shape.join('x')) {
+            throw new Error(`Series frame shape ${table.shape.join('×')} differs from ${first.shape.join('×')}`);
+        }
+
+        const values = table.fields.length * table.fields[0].data.length;
+        if (this.valueCount + values > this.maxValues) return false;
+
+        this.frames.push(table);
+        this.valueCount += values;
+        return true;
+    }
+
+    get length() {
+        return this.frames.length;
+    }
+
+    /**
+     * One table with shape [frames, ...shape] and a leading "t [s]" field
+     */
+    toTable() {
+        const first = this.frames[0];
+        const perFrame = first.fields[0].data.length;
+        const total = perFrame * this.frames.length;
+
+        const time = new Float64Array(total);
+        const fields = first.fields.map(f => ({ name: f.name, unit: f.unit, data: new Float64Array(total) }));
+
+        this.frames.forEach((frame, n) => {
+            time.fill(frame.time, n * perFrame, (n + 1) * perFrame);
+            frame.fields.forEach((f, c) => fields[c].data.set(f.data, n * perFrame));
+        });
+
+        return {
+            dataset: first.dataset,
+            label: first.label,
+            shape: [this.frames.length, ...first.shape],
+            frames: this.frames.length,
+            time: first.time,
+            fields: [{ name: 't', unit: 's', data: time }, ...fields]
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FieldExporter, FieldSeries };
+}
@@ -0,0 +1,221 @@
+/**
+ * CANVAS RECORDER
+ *
+ * Frame-by-frame capture of the simulation canvas:
+ * - One captured frame per completed simulation frame (a fixed number of
+ *   solver steps), never per wall-clock interval, so slow machines record
+ *   the same physics as fast ones; the caller passes the step count each
+ *   frame represents and the counts are kept with the recording
+ * - WebM through MediaRecorder when available, frames pushed manually
+ *   with CanvasCaptureMediaStreamTrack.requestFrame(). MediaRecorder
+ *   stamps frames with the wall-clock time they arrive, so the video
+ *   plays at the rate the simulation ran while recording and `fps` does
+ *   not apply; frame content is still one per simulation frame
+ * - PNG sequence bundled in a ZIP as the fallback, and the only format
+ *   with fixed timing: the frames are encoded afterwards at `fps`
+ * - Optional HUD time and caliper scale bar burned into each frame
+ */
+
+class CanvasRecorder {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = {
+            fps: options.fps || 30,
+            maxFrames: options.maxFrames || 1800,
+            videoBitsPerSecond: options.videoBitsPerSecond || 8e6
+        };
+
+        this.recording = false;
+        this.format = null;
+        this.frameCount = 0;
+        this.frameSteps = [];
+
+        // Called when recording stops on its own (frame limit reached)
+        this.onLimit = null;
+    }
+
+    static supportsWebM() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            CanvasRecorder.webmMimeType() !== null;
+    }
+
+    static webmMimeType() {
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // ==========================================
+    // SESSION
+    // ==========================================
+
+    /**
+     * @param {string} format - 'auto', 'webm' or 'png' ('png' for a
+     *   fixed frame rate; WebM keeps the capture timing)
+     * @param {boolean} overlay - Burn the HUD time and scale bar into frames
+     * @returns {string} The format actually used
+     */
+    start(format = 'auto', overlay = true) {
+        if (this.recording) return this.format;
+
+        if (format === 'auto') {
+            format = CanvasRecorder.supportsWebM() ? 'webm' : 'png';
+        } else if (format === 'webm' && !CanvasRecorder.supportsWebM()) {
+            format = 'png';
+        }
+
+        this.format = format;
+        this.overlay = overlay;
+        this.frameCount = 0;
+        this.frameSteps = [];
+
+        // Frames are composited here so the overlay never touches the live view
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.width = this.canvas.width;
+        this.frameCanvas.height = this.canvas.height;
+        this.frameCtx = this.frameCanvas.getContext('2d');
+
+        if (format === 'webm') {
+            this.chunks = [];
+            this.stream = this.frameCanvas.captureStream(0);
+            this.track = this.stream.getVideoTracks()[0];
+            this.mediaRecorder = new MediaRecorder(this.stream, {
+                mimeType: CanvasRecorder.webmMimeType(),
+                videoBitsPerSecond: this.options.videoBitsPerSecond
+            });
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data && e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.mediaRecorder.start();
+        } else {
+            this.pngFrames = [];
+        }
+
+        this.recording = true;
+        return format;
+    }
+
+    /**
+     * Capture the canvas as it is now
+     * @param {Object} info - {time: string, scaleBar: {pixels, label}} for the overlay
+     * @param {number} steps - Solver steps since the previous frame (0 for static fields)
+     */
+    captureFrame(info = {}, steps = 0) {
+        if (!this.recording) return;
+
+        const ctx = this.frameCtx;
+        ctx.drawImage(this.canvas, 0, 0);
+        if (this.overlay) this.drawOverlay(ctx, info);
+
+        if (this.format === 'webm') {
+            if (this.track.requestFrame) this.track.requestFrame();
+        } else {
+            // toBlob snapshots the bitmap synchronously; encoding is async
+            this.pngFrames.push(new Promise(resolve => this.frameCanvas.toBlob(resolve, 'image/png')));
+        }
+
+        this.frameSteps.push(steps);
+        this.frameCount++;
+        if (this.frameCount >= this.options.maxFrames && this.onLimit) {
+            this.onLimit();
+        }
+    }
+
+    /**
+     * Finish recording
+     * @returns {Promise<{blob: Blob, filename: string, frames: number, steps: number[]}>}
+     *   steps holds the solver steps behind each frame
+     */
+    async stop() {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        const frames = this.frameCount;
+        const steps = this.frameSteps;
+        this.frameSteps = [];
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+        if (this.format === 'webm') {
+            const stopped = new Promise(resolve => { this.mediaRecorder.onstop = resolve; });
+            this.mediaRecorder.stop();
+            await stopped;
+            this.track.stop();
+
+            const blob = new Blob(this.chunks, { type: 'video/webm' });
+            this.chunks = [];
+            return { blob, filename: `em-recording-${stamp}.webm`, frames, steps };
+        }
+
+        const zip = new ZipWriter();
+        const blobs = await Promise.all(this.pngFrames);
+        this.pngFrames = [];
+
+        for (let i = 0; i < blobs.length; i++) {
+            if (!blobs[i]) continue;
+            const bytes = new Uint8Array(await blobs[i].arrayBuffer());
+            zip.addFile(`frame_${String(i).padStart(5, '0')}.png`, bytes);
+        }
+        zip.addFile('steps.csv', 'frame,steps\n' + steps.map((n, i) => `${i},${n}`).join('\n') + '\n');
+        zip.addFile('README.txt', `${blobs.length} frames, one per simulation frame ` +
+            `(solver steps behind each in steps.csv).\n` +
+            `Encode at ${this.options.fps} fps, e.g.\n` +
+            `  ffmpeg -framerate ${this.options.fps} -i frame_%05d.png -pix_fmt yuv420p out.mp4\n`);
+
+        return { blob: zip.toBlob(), filename: `em-recording-${stamp}.zip`, frames, steps };
+    }
+
+    // ==========================================
+    // OVERLAY
+    // ==========================================
+
+    drawOverlay(ctx, info) {
+        const height = this.frameCanvas.height;
+        const pad = 12;
+
+        ctx.save();
+        ctx.font = "600 12px 'JetBrains Mono', monospace";
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+
+        // Simulation time, top left
+        if (info.time) {
+            const text = `t = ${info.time}`;
+            const width = ctx.measureText(text).width;
+            ctx.fillStyle = 'rgba(5, 5, 10, 0.85)';
+            ctx.fillRect(pad, pad, width + 16, 24);
+            ctx.fillStyle = '#4CAF50';
+            ctx.fillText(text, pad + 8, pad + 16);
+        }
+
+        // Scale bar, bottom left
+        if (info.scaleBar && info.scaleBar.pixels > 0) {
+            const { pixels, label } = info.scaleBar;
+            const y = height - pad - 10;
+            const labelWidth = ctx.measureText(label).width;
+
+            ctx.fillStyle = 'rgba(5, 5, 10, 0.85)';
+            ctx.fillRect(pad, y - 22, Math.max(pixels, labelWidth) + 16, 34);
+
+            ctx.strokeStyle = '#E0E0E8';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(pad + 8, y - 4);
+            ctx.lineTo(pad + 8, y + 4);
+            ctx.moveTo(pad + 8, y);
+            ctx.lineTo(pad + 8 + pixels, y);
+            ctx.moveTo(pad + 8 + pixels, y - 4);
+            ctx.lineTo(pad + 8 + pixels, y + 4);
+            ctx.stroke();
+
+            ctx.fillStyle = '#E0E0E8';
+            ctx.fillText(label, pad + 8, y - 9);
+        }
+
+        ctx.restore();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CanvasRecorder };
+}
@@ -0,0 +1,429 @@
+/**
+ * SCENE FILE FORMAT
+ *
+ * Versioned JSON description of a complete simulation setup:
+ * - Mode, speed, visualization layers, field-line seeding, equipotential
+ *   spacing and labels, and heatmap color scale
+ * - Point charges (m, C), fixed-potential conductors (m, V), dielectric
+ *   regions (m, relative permittivity) and the field-line seed line (m)
+ * - Out-of-plane wires and in-plane current segments (m, A)
+ * - Wave source, boundaries and material (Hz, SI)
+ * - Particle species, applied fields (V/m, T), field map, launch offset
+ *   and pitch (m, rad), beam size and spreads (m, rad, fraction of the
+ *   kinetic energy) and initial state (m, m/s)
+ * - Custom materials registered at runtime
+ *
+ * Every section except `format`, `version` and `mode` is optional; a
+ * missing section leaves that part of the simulation unchanged. Values
+ * are validated against the same ranges as the control panel widgets so
+ * a loaded scene can always be shown on them.
+ */
+
+var resolvePhysics = resolvePhysics || require('../physics/physics-classes.js').resolvePhysics;
+
+class SceneFormat {
+    static FORMAT = 'em-instrument-scene';
+    static VERSION = 1;
+
+    static SCHEMA = {
+        type: 'object',
+        fields: {
+            format: { type: 'string', enum: [SceneFormat.FORMAT] },
+            version: { type: 'integer', min: 1 },
+            mode: { type: 'string', enum: ['electrostatic', 'magnetostatic', 'waves', 'particles'] },
+            simulation: {
+                type: 'object', optional: true,
+                fields: {
+                    speed: { type: 'integer', min: 1, max: 50 }
+                }
+            },
+            visualization: {
+                type: 'object', optional: true,
+                fields: {
+                    showFieldLines: { type: 'boolean' },
+                    showVectors: { type: 'boolean' },
+                    showPotential: { type: 'boolean' },
+                    showBLines: { type: 'boolean', optional: true },
+                    showBMagnitude: { type: 'boolean', optional: true },
+                    showVectorPotential: { type: 'boolean', optional: true },
+                    showPotentialMap: { type: 'boolean', optional: true },
+                    lineSeeding: { type: 'string', optional: true, enum: ['charges', 'line', 'spaced'] },
+                    contourSpacing: { type: 'string', optional: true, enum: ['linear', 'log', 'symlog'] },
+                    contourLabels: { type: 'boolean', optional: true },
+                    colormap: { type: 'string', optional: true, enum: ['auto', 'viridis', 'inferno', 'rdbu', 'blue-gray-green', 'twilight'] },
+                    colorScale: { type: 'string', optional: true, enum: ['auto', 'linear', 'log', 'symlog'] },
+                    showColorbar: { type: 'boolean', optional: true },
+                    smoothHeatmaps: { type: 'boolean', optional: true }
+                }
+            },
+            electrostatic: {
+                type: 'object', optional: true,
+                fields: {
+                    charges: {
+                        type: 'array', maxItems: 200,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                x: { type: 'number' },
+                                y: { type: 'number' },
+                                charge: { type: 'number', min: -5e-9, max: 5e-9, nonZero: true }
+                            }
+                        }
+                    },
+                    conductors: {
+                        type: 'array', optional: true, maxItems: 50,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                type: { type: 'string', enum: ['plate', 'circle', 'polygon'] },
+                                V: { type: 'number', min: -1e4, max: 1e4 },
+                                x: { type: 'number', optional: true },
+                                y: { type: 'number', optional: true },
+                                radius: { type: 'number', min: 0, optional: true },
+                                inner: { type: 'number', min: 0, optional: true },
+                                thickness: { type: 'number', min: 0, optional: true },
+                                points: {
+                                    type: 'array', optional: true, maxItems: 500,
+                                    items: { type: 'object', fields: { x: { type: 'number' }, y: { type: 'number' } } }
+                                }
+                            }
+                        }
+                    },
+                    dielectrics: {
+                        type: 'array', optional: true, maxItems: 50,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                type: { type: 'string', enum: ['circle', 'polygon'] },
+                                epsilon: { type: 'number', min: 1, max: 1e4 },
+                                x: { type: 'number', optional: true },
+                                y: { type: 'number', optional: true },
+                                radius: { type: 'number', min: 0, optional: true },
+                                inner: { type: 'number', min: 0, optional: true },
+                                points: {
+                                    type: 'array', optional: true, maxItems: 500,
+                                    items: { type: 'object', fields: { x: { type: 'number' }, y: { type: 'number' } } }
+                                }
+                            }
+                        }
+                    },
+                    seedLine: {
+                        type: 'array', optional: true, maxItems: 500,
+                        items: { type: 'object', fields: { x: { type: 'number' }, y: { type: 'number' } } }
+                    }
+                }
+            },
+            magnetostatic: {
+                type: 'object', optional: true,
+                fields: {
+                    wires: {
+                        type: 'array', maxItems: 200,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                x: { type: 'number' },
+                                y: { type: 'number' },
+                                current: { type: 'number', min: -1e4, max: 1e4, nonZero: true }
+                            }
+                        }
+                    },
+                    segments: {
+                        type: 'array', maxItems: 500,
+                        items: {
+                            type: 'object',
+                            fields: {
+                                x1: { type: 'number' },
+                                y1: { type: 'number' },
+                                x2: { type: 'number' },
+                                y2: { type: 'number' },
+                                current: { type: 'number', min: -1e4, max: 1e4, nonZero: true }
+                            }
+                        }
+                    }
+                }
+            },
+            waves: {
+                type: 'object', optional: true,
+                fields: {
+                    dimension: { type: 'string', enum: ['1d', '2d'] },
+                    scene: { type: 'string', enum: ['point', 'double-slit', 'waveguide'] },
+                    sourceType: { type: 'string', enum: ['sinusoidal', 'gaussian', 'ricker'] },
+                    frequency: { type: 'number', min: 100e12, max: 1000e12 },
+                    amplitude: { type: 'number', min: 0.1, max: 2 },
+                    leftBoundary: { type: 'string', enum: ['abc', 'pec', 'periodic'] },
+                    rightBoundary: { type: 'string', enum: ['abc', 'pec', 'periodic'] },
+                    material: { type: 'string' }
+                }
+            },
+            particles: {
+                type: 'object', optional: true,
+                fields: {
+                    species: { type: 'string', enum: ['electron', 'proton', 'positron', 'alpha'] },
+                    relativistic: { type: 'boolean' },
+                    fields: {
+                        type: 'object',
+                        fields: {
+                            Ex: { type: 'number', min: -1e6, max: 1e6 },
+                            Ey: { type: 'number', min: -1e6, max: 1e6 },
+                            Bz: { type: 'number', min: -2, max: 2 }
+                        }
+                    },
+                    fieldMap: { type: 'string', enum: ['uniform', 'charges', 'currents', 'bottle', 'quadrupole'], optional: true },
+                    launch: {
+                        type: 'object', optional: true,
+                        fields: {
+                            offset: { type: 'number', min: -3, max: 3 },
+                            pitch: { type: 'number', min: 0, max: Math.PI / 2 }
+                        }
+                    },
+                    beam: {
+                        type: 'object', optional: true,
+                        fields: {
+                            count: { type: 'integer', min: 1, max: 2000 },
+                            positionSpread: { type: 'number', min: 0, max: 0.5 },
+                            angleSpread: { type: 'number', min: 0, max: 0.1 },
+                            energySpread: { type: 'number', min: 0, max: 0.1 },
+                            phasePlane: { type: 'string', enum: ['x', 'y'] }
+                        }
+                    },
+                    initialState: {
+                        type: 'object',
+                        fields: {
+                            x: { type: 'number' },
+                            y: { type: 'number' },
+                            vx: { type: 'number' },
+                            vy: { type: 'number' },
+                            z: { type: 'number', optional: true },
+                            vz: { type: 'number', optional: true }
+                        }
+                    }
+                }
+            },
+            materials: {
+                type: 'map', optional: true,
+                values: {
+                    type: 'object',
+                    fields: {
+                        label: { type: 'string', optional: true },
+                        epsilonInf: { type: 'number', min: 1 },
+                        sigma: { type: 'number', min: 0, optional: true },
+                        color: { type: 'string', optional: true },
+                        poles: { type: 'array', optional: true, items: { type: 'object', open: true } }
+                    }
+                }
+            }
+        }
+    };
+
+    // ==========================================
+    // PARSING
+    // ==========================================
+
+    /**
+     * Parse and validate scene text
+     * @param {string} text - JSON document
+     * @returns {Object} The validated scene
+     * @throws {Error} With one readable line per problem
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Scene file is not valid JSON: ${err.message}`);
+        }
+
+        SceneFormat.validate(data);
+        return data;
+    }
+
+    static stringify(scene) {
+        return JSON.stringify(scene, null, 2);
+    }
+
+    /**
+     * Check a scene object against the schema and cross-field rules
+     * @throws {Error} Listing every problem found, with its JSON path
+     */
+    static validate(data) {
+        const problems = [];
+        SceneFormat.check(data, SceneFormat.SCHEMA, 'scene', problems);
+
+        if (problems.length === 0) {
+            SceneFormat.checkVersion(data, problems);
+            SceneFormat.checkMaterials(data, problems);
+            SceneFormat.checkParticle(data, problems);
+            SceneFormat.checkRegions(data, problems);
+        }
+
+        if (problems.length > 0) {
+            const error = new Error(`Invalid scene file:\n${problems.map(p => `• ${p}`).join('\n')}`);
+            error.problems = problems;
+            throw error;
+        }
+    }
+
+    static check(value, spec, path, problems) {
+        if (value === undefined || value === null) {
+            if (!spec.optional) problems.push(`${path} is missing`);
+            return;
+        }
+
+        switch (spec.type) {
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    problems.push(`${path} must be an object`);
+                    return;
+                }
+                if (spec.open) return;
+                for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+                    SceneFormat.check(value[key], fieldSpec, `${path}.${key}`, problems);
+                }
+                for (const key of Object.keys(value)) {
+                    if (!(key in spec.fields)) problems.push(`${path}.${key} is not a known setting`);
+                }
+                return;
+
+            case 'map':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    problems.push(`${path} must be an object`);
+                    return;
+                }
+                for (const [key, entry] of Object.entries(value)) {
+                    SceneFormat.check(entry, spec.values, `${path}.${key}`, problems);
+                }
+                return;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    problems.push(`${path} must be a list`);
+                    return;
+                }
+                if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+                    problems.push(`${path} has ${value.length} entries (at most ${spec.maxItems})`);
+                    return;
+                }
+                value.forEach((item, i) => SceneFormat.check(item, spec.items, `${path}[${i}]`, problems));
+                return;
+
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    problems.push(`${path} must be a finite number, got ${JSON.stringify(value)}`);
+                } else if (spec.type === 'integer' && !Number.isInteger(value)) {
+                    problems.push(`${path} must be a whole number, got ${value}`);
+                } else if (spec.min !== undefined && value < spec.min) {
+                    problems.push(`${path} must be ≥ ${spec.min}, got ${value}`);
+                } else if (spec.max !== undefined && value > spec.max) {
+                    problems.push(`${path} must be ≤ ${spec.max}, got ${value}`);
+                } else if (spec.nonZero && value === 0) {
+                    problems.push(`${path} must not be zero`);
+                }
+                return;
+
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    problems.push(`${path} must be true or false, got ${JSON.stringify(value)}`);
+                }
+                return;
+
+            case 'string':
+                if (typeof value !== 'string') {
+                    problems.push(`${path} must be a string, got ${JSON.stringify(value)}`);
+                } else if (spec.enum && !spec.enum.includes(value)) {
+                    problems.push(`${path} must be one of ${spec.enum.map(v => `"${v}"`).join(', ')}, got "${value}"`);
+                }
+                return;
+        }
+    }
+
+    static checkVersion(data, problems) {
+        if (data.version > SceneFormat.VERSION) {
+            problems.push(`scene.version ${data.version} is newer than this app supports (${SceneFormat.VERSION})`);
+        }
+    }
+
+    /**
+     * Custom materials must register cleanly under names of their own (a
+     * built-in would stay redefined for later scenes and is never saved
+     * back); the wave material must exist
+     */
+    static checkMaterials(data, problems) {
+        const Library = resolvePhysics('MaterialLibrary');
+        const scratch = new Library();
+
+        for (const [name, props] of Object.entries(data.materials || {})) {
+            if (Object.hasOwn(Library.DEFAULTS, name)) {
+                problems.push(`scene.materials.${name}: "${name}" is a built-in material and cannot be redefined`);
+                continue;
+            }
+            try {
+                scratch.register(name, props);
+            } catch (err) {
+                problems.push(`scene.materials.${name}: ${err.message}`);
+            }
+        }
+
+        if (data.waves && !scratch.has(data.waves.material)) {
+            problems.push(`scene.waves.material "${data.waves.material}" is not a known material`);
+        }
+    }
+
+    /**
+     * Each conductor and dielectric region needs the geometry of its type
+     */
+    static checkRegions(data, problems) {
+        const electrostatic = data.electrostatic || {};
+        const regions = [
+            ...(electrostatic.conductors || []).map((c, i) => [c, `scene.electrostatic.conductors[${i}]`]),
+            ...(electrostatic.dielectrics || []).map((d, i) => [d, `scene.electrostatic.dielectrics[${i}]`])
+        ];
+
+        regions.forEach(([c, path]) => {
+            switch (c.type) {
+                case 'circle':
+                    if (c.x === undefined || c.y === undefined || !(c.radius > 0)) {
+                        problems.push(`${path} needs x, y and a positive radius`);
+                    } else if (c.inner !== undefined && c.inner >= c.radius) {
+                        problems.push(`${path}.inner must be smaller than the radius`);
+                    }
+                    break;
+                case 'plate':
+                    if (!c.points || c.points.length < 2 || c.thickness === undefined) {
+                        problems.push(`${path} needs at least 2 points and a thickness`);
+                    }
+                    break;
+                case 'polygon':
+                    if (!c.points || c.points.length < 3) {
+                        problems.push(`${path} needs at least 3 points`);
+                    }
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Launch speeds within the momentum model: below c with relativistic
+     * corrections, at most the launch cap (ChargedParticle.MAX_CLASSICAL_BETA)
+     * without them
+     */
+    static checkParticle(data, problems) {
+        const particle = data.particles;
+        if (!particle) return;
+
+        const Particle = resolvePhysics('ChargedParticle');
+        const s = particle.initialState;
+        const beta = Math.hypot(s.vx, s.vy, s.vz || 0) / Particle.C;
+
+        if (particle.relativistic && beta >= 1) {
+            problems.push('scene.particles.initialState speed must be below c with relativistic corrections on');
+        } else if (!particle.relativistic && beta > Particle.MAX_CLASSICAL_BETA * (1 + 1e-9)) {
+            problems.push(`scene.particles.initialState speed must be at most ${Particle.MAX_CLASSICAL_BETA}c ` +
+                'with relativistic corrections off');
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SceneFormat };
+}
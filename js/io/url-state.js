@@ -0,0 +1,157 @@
+/**
+ * URL HASH STATE
+ *
+ * Compact, link-shareable encoding of the control panel and charges:
+ *   #m=w&f=650&d=2d&c=-1.2,0,1~1.2,0,-1
+ * - `m`: mode code
+ * - one short key per control, in the widget's own units
+ *   (only values that differ from the page defaults are written)
+ * - `c`: charges as x,y (m) and q (nC), separated by `~`; q is clamped to
+ *   the charge slider's ±5 nC like the controls to their widgets, and
+ *   charges beyond MAX_POSITION (past the fully zoomed-out view) dropped
+ */
+
+class UrlState {
+    static MODES = {
+        e: 'electrostatic',
+        b: 'magnetostatic',
+        w: 'waves',
+        p: 'particles'
+    };
+
+    static CONTROL_KEYS = {
+        'speed-slider': 's',
+        'charge-type': 'qt',
+        'charge-magnitude': 'q',
+        'show-field-lines': 'lf',
+        'show-vectors': 'lv',
+        'show-potential': 'lp',
+        'show-potential-map': 'lh',
+        'line-seeding': 'lg',
+        'contour-spacing': 'ls',
+        'contour-labels': 'll',
+        'conductor-preset': 'cp',
+        'conductor-voltage': 'cv',
+        'dielectric-preset': 'dp',
+        'dielectric-epsilon': 'er',
+        'current-preset': 'ip',
+        'current-shape': 'is',
+        'current-direction': 'id',
+        'current-magnitude': 'i',
+        'show-b-lines': 'lb',
+        'show-b-magnitude': 'lm',
+        'show-vector-potential': 'la',
+        'wave-dimension': 'd',
+        'wave-scene': 'ws',
+        'source-type': 'src',
+        'wave-frequency': 'f',
+        'wave-amplitude': 'a',
+        'left-boundary': 'bl',
+        'right-boundary': 'br',
+        'material-select': 'mat',
+        'particle-type': 'p',
+        'particle-field': 'pf',
+        'launch-offset': 'pb',
+        'launch-pitch': 'pa',
+        'beam-count': 'nb',
+        'beam-position-spread': 'bsx',
+        'beam-angle-spread': 'bsa',
+        'beam-energy-spread': 'bse',
+        'phase-plane': 'ps',
+        'magnetic-field-z': 'bz',
+        'electric-field-x': 'ex',
+        'electric-field-y': 'ey',
+        'relativistic': 'rel',
+        'colormap-select': 'cm',
+        'color-scale': 'cn',
+        'show-colorbar': 'cb',
+        'smooth-heatmaps': 'sh'
+    };
+
+    static MAX_CHARGES = 200;
+    static MAX_CHARGE_NC = 5;
+    static MAX_POSITION = 100;
+
+    /**
+     * @param {Object} state - {mode, controls: {id: value}, charges: [{x, y, charge}]}
+     * @returns {string} Hash without the leading '#'
+     */
+    static encode(state) {
+        const parts = [];
+
+        const modeCode = Object.keys(UrlState.MODES).find(code => UrlState.MODES[code] === state.mode);
+        if (modeCode) parts.push(`m=${modeCode}`);
+
+        for (const [id, value] of Object.entries(state.controls || {})) {
+            const key = UrlState.CONTROL_KEYS[id];
+            if (!key) continue;
+            const text = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+            parts.push(`${key}=${encodeURIComponent(text)}`);
+        }
+
+        if (state.charges) {
+            const round = (v, digits) => parseFloat(v.toFixed(digits));
+            const charges = state.charges
+                .map(c => `${round(c.x, 3)},${round(c.y, 3)},${round(c.charge * 1e9, 2)}`)
+                .join('~');
+            parts.push(`c=${charges}`);
+        }
+
+        return parts.join('&');
+    }
+
+    /**
+     * Decode a hash; unknown keys and malformed values are skipped
+     * @param {string} hash - With or without the leading '#'
+     * @returns {{mode: ?string, controls: Object, charges: ?Array}}
+     */
+    static decode(hash) {
+        const state = { mode: null, controls: {}, charges: null };
+        const text = (hash || '').replace(/^#/, '');
+        if (!text) return state;
+
+        const ids = {};
+        for (const [id, key] of Object.entries(UrlState.CONTROL_KEYS)) ids[key] = id;
+
+        for (const part of text.split('&')) {
+            const eq = part.indexOf('=');
+            if (eq < 0) continue;
+            const key = part.slice(0, eq);
+            let value;
+            try {
+                value = decodeURIComponent(part.slice(eq + 1));
+            } catch (err) {
+                continue;
+            }
+
+            if (key === 'm') {
+                state.mode = UrlState.MODES[value] || null;
+            } else if (key === 'c') {
+                state.charges = UrlState.decodeCharges(value);
+            } else if (ids[key]) {
+                state.controls[ids[key]] = value;
+            }
+        }
+
+        return state;
+    }
+
+    static decodeCharges(text) {
+        const charges = [];
+        if (!text) return charges;
+
+        const limit = UrlState.MAX_CHARGE_NC;
+        for (const entry of text.split('~').slice(0, UrlState.MAX_CHARGES)) {
+            const [x, y, q] = entry.split(',').map(Number);
+            if (![x, y, q].every(isFinite) || q === 0) continue;
+            if (Math.abs(x) > UrlState.MAX_POSITION || Math.abs(y) > UrlState.MAX_POSITION) continue;
+            charges.push({ x, y, charge: Math.max(-limit, Math.min(limit, q)) * 1e-9 });
+        }
+
+        return charges;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UrlState };
+}
@@ -0,0 +1,104 @@
+/**
+ * ZIP ARCHIVE WRITER
+ *
+ * Minimal store-only (uncompressed) ZIP builder for bundling exported
+ * files such as PNG frame sequences. PNG data is already deflated, so
+ * storing loses almost nothing and keeps the writer tiny.
+ */
+
+class ZipWriter {
+    static CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    constructor() {
+        this.entries = [];
+        this.offset = 0;
+        this.chunks = [];
+    }
+
+    static crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * @param {string} name - Path inside the archive
+     * @param {Uint8Array|string} data - File contents (strings are UTF-8 encoded)
+     */
+    addFile(name, data) {
+        const encoder = new TextEncoder();
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        const nameBytes = encoder.encode(name);
+        const crc = ZipWriter.crc32(bytes);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);   // Local file header signature
+        header.setUint16(4, 20, true);           // Version needed (2.0)
+        header.setUint16(6, 0x0800, true);       // UTF-8 names
+        header.setUint16(8, 0, true);            // Method: store
+        header.setUint16(10, 0, true);           // Mod time
+        header.setUint16(12, 0x21, true);        // Mod date (1980-01-01)
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.chunks.push(new Uint8Array(header.buffer), nameBytes, bytes);
+        this.entries.push({ nameBytes, crc, size: bytes.length, offset: this.offset });
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    /**
+     * Finish the archive (central directory + end record)
+     * @returns {Blob}
+     */
+    toBlob() {
+        const central = [];
+        let centralSize = 0;
+
+        for (const entry of this.entries) {
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);   // Central directory signature
+            record.setUint16(4, 20, true);           // Version made by
+            record.setUint16(6, 20, true);           // Version needed
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, 0, true);
+            record.setUint16(14, 0x21, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint32(42, entry.offset, true);
+
+            central.push(new Uint8Array(record.buffer), entry.nameBytes);
+            centralSize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);          // End of central directory
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.chunks, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZipWriter };
+}
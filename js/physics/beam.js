@@ -0,0 +1,267 @@
+/**
+ * PARTICLE BEAM
+ *
+ * Ensemble of N particles of one species pushed through the reference
+ * particle's fields (uniform plus field map) with its momentum model:
+ * - Gaussian spread in launch position, direction and kinetic energy
+ *   about the reference's initial state, from a seeded generator so a
+ *   reset relaunches the same beam
+ * - Structure-of-arrays state (Float64Array) advanced with the shared
+ *   Boris kernel (ChargedParticle.borisPush)
+ * - Centroid, RMS size and RMS emittance history for the diagnostics
+ *
+ * Emittance per plane is the RMS trace-space area
+ *   ε = √(⟨Δx²⟩⟨Δx'²⟩ − ⟨Δx Δx'⟩²),  x' = ux / u₀
+ * with u₀ the mean |u| (u = γv), in m·rad; the normalized emittance is
+ * εn = (u₀ / c) ε. For a beam travelling along x, the y plane is the
+ * transverse one.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+class ParticleBeam {
+    // Per-particle state arrays
+    static STATE = ['x', 'y', 'z', 'ux', 'uy', 'uz'];
+
+    constructor(options = {}) {
+        this.maxHistory = options.maxHistory || 300;
+        this.seed = options.seed ?? 1;
+
+        // Launch spread: position σ (m, in x and y), direction σ (rad, in
+        // the plane) and kinetic energy σ (fraction of the reference's)
+        this.spread = { position: 0, angle: 0, energy: 0 };
+
+        this.reference = null;
+        this.allocate(0);
+
+        // Scratch momentum for the Boris kernel
+        this.scratch = { ux: 0, uy: 0, uz: 0 };
+
+        this.time = 0;
+        this.history = [];
+    }
+
+    allocate(count) {
+        this.count = count;
+        for (const key of ParticleBeam.STATE) {
+            this[key] = new Float64Array(count);
+        }
+        this.velocityBuffer = new Float64Array(count);
+    }
+
+    // ==========================================
+    // LAUNCH
+    // ==========================================
+
+    /**
+     * Launch `count` particles about the reference's initial state
+     * @param {ChargedParticle} reference - Species, fields and momentum model
+     * @param {number} count - 0 removes the beam
+     * @param {Object} spread - {position, angle, energy} (see constructor)
+     */
+    launch(reference, count, spread = {}) {
+        this.reference = reference;
+        this.spread = { ...this.spread, ...spread };
+        this.allocate(count);
+
+        const s = reference.initialState;
+        const c2 = resolvePhysics('ChargedParticle').C ** 2;
+        const speed0 = Math.hypot(s.vx, s.vy, s.vz || 0);
+        const kinetic0 = reference.relativistic
+            ? (1 / Math.sqrt(1 - speed0 * speed0 / c2) - 1) * reference.mass * c2
+            : 0.5 * reference.mass * speed0 * speed0;
+        const direction = Math.atan2(s.vy, s.vx);
+        const pitch = Math.atan2(s.vz || 0, Math.hypot(s.vx, s.vy));
+        const random = ParticleBeam.gaussian(this.seed);
+        const { position, angle, energy } = this.spread;
+
+        for (let i = 0; i < count; i++) {
+            const kinetic = Math.max(0, kinetic0 * (1 + energy * random()));
+            const speed = reference.speedFromKineticEnergy(kinetic);
+            const heading = direction + angle * random();
+            const inPlane = speed * Math.cos(pitch);
+            const gamma = reference.relativistic ? 1 / Math.sqrt(1 - speed * speed / c2) : 1;
+
+            this.x[i] = s.x + position * random();
+            this.y[i] = s.y + position * random();
+            this.z[i] = s.z || 0;
+            this.ux[i] = gamma * inPlane * Math.cos(heading);
+            this.uy[i] = gamma * inPlane * Math.sin(heading);
+            this.uz[i] = gamma * speed * Math.sin(pitch);
+        }
+
+        this.time = 0;
+        this.history = [];
+        this.record();
+    }
+
+    reset() {
+        if (this.reference) this.launch(this.reference, this.count);
+    }
+
+    /**
+     * Seeded standard normal generator (mulberry32 + Box–Muller)
+     */
+    static gaussian(seed) {
+        let state = seed >>> 0;
+        const uniform = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+        return () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+    }
+
+    // ==========================================
+    // INTEGRATION
+    // ==========================================
+
+    /**
+     * Advance every particle by `steps` Boris steps of `dt`, then record
+     * one diagnostics sample
+     */
+    step(dt, steps = 1) {
+        const ref = this.reference;
+        if (!ref || this.count === 0) return;
+
+        const Particle = resolvePhysics('ChargedParticle');
+        const qm = ref.charge / ref.mass;
+        const c2 = Particle.C ** 2;
+        const relativistic = ref.relativistic;
+        const state = this.scratch;
+        const { x, y, z, ux, uy, uz } = this;
+
+        for (let n = 0; n < steps; n++) {
+            for (let i = 0; i < this.count; i++) {
+                const field = ref.fieldAt(x[i], y[i], z[i]);
+                state.ux = ux[i];
+                state.uy = uy[i];
+                state.uz = uz[i];
+                Particle.borisPush(state, field, qm, dt, relativistic);
+
+                const gamma = relativistic
+                    ? Math.sqrt(1 + (state.ux * state.ux + state.uy * state.uy + state.uz * state.uz) / c2)
+                    : 1;
+                ux[i] = state.ux;
+                uy[i] = state.uy;
+                uz[i] = state.uz;
+                x[i] += (state.ux / gamma) * dt;
+                y[i] += (state.uy / gamma) * dt;
+                z[i] += (state.uz / gamma) * dt;
+            }
+        }
+
+        this.time += dt * steps;
+        this.record();
+    }
+
+    // ==========================================
+    // DIAGNOSTICS
+    // ==========================================
+
+    /**
+     * Centroid, RMS size and emittance over the finite particles
+     * @returns {?{count, centroid: {x, y}, rms: {x, y}, emittance: {x, y},
+     *   normalized: {x, y}, meanMomentum}} null without particles
+     */
+    diagnostics() {
+        const { x, y, ux, uy, uz } = this;
+        let n = 0;
+        let mx = 0, my = 0, mux = 0, muy = 0, mu = 0;
+
+        for (let i = 0; i < this.count; i++) {
+            if (!isFinite(x[i]) || !isFinite(y[i])) continue;
+            n++;
+            mx += x[i];
+            my += y[i];
+            mux += ux[i];
+            muy += uy[i];
+            mu += Math.hypot(ux[i], uy[i], uz[i]);
+        }
+        if (n === 0) return null;
+
+        mx /= n;
+        my /= n;
+        mux /= n;
+        muy /= n;
+        mu /= n;
+
+        // Second moments about the centroid, slopes relative to u₀
+        const u0 = mu || 1;
+        let xx = 0, xpxp = 0, xxp = 0, yy = 0, ypyp = 0, yyp = 0;
+        for (let i = 0; i < this.count; i++) {
+            if (!isFinite(x[i]) || !isFinite(y[i])) continue;
+            const dx = x[i] - mx, dxp = (ux[i] - mux) / u0;
+            const dy = y[i] - my, dyp = (uy[i] - muy) / u0;
+            xx += dx * dx;
+            xpxp += dxp * dxp;
+            xxp += dx * dxp;
+            yy += dy * dy;
+            ypyp += dyp * dyp;
+            yyp += dy * dyp;
+        }
+        xx /= n; xpxp /= n; xxp /= n;
+        yy /= n; ypyp /= n; yyp /= n;
+
+        const emittance = {
+            x: Math.sqrt(Math.max(0, xx * xpxp - xxp * xxp)),
+            y: Math.sqrt(Math.max(0, yy * ypyp - yyp * yyp))
+        };
+        const betaGamma = mu / resolvePhysics('ChargedParticle').C;
+
+        return {
+            count: n,
+            centroid: { x: mx, y: my },
+            rms: { x: Math.sqrt(xx), y: Math.sqrt(yy) },
+            emittance,
+            normalized: { x: betaGamma * emittance.x, y: betaGamma * emittance.y },
+            meanMomentum: this.reference.mass * mu
+        };
+    }
+
+    record() {
+        const d = this.diagnostics();
+        if (!d) return;
+
+        this.history.push({
+            time: this.time,
+            centroidX: d.centroid.x,
+            centroidY: d.centroid.y,
+            rmsX: d.rms.x,
+            rmsY: d.rms.y,
+            emittanceX: d.emittance.x,
+            emittanceY: d.emittance.y
+        });
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Positions and velocities (m/s) of one phase-space plane; the
+     * velocity array is reused between calls
+     * @param {string} plane - 'x' or 'y'
+     * @returns {{positions: Float64Array, velocities: Float64Array}}
+     */
+    phaseSpace(plane = 'x') {
+        const u = plane === 'y' ? this.uy : this.ux;
+        const c2 = resolvePhysics('ChargedParticle').C ** 2;
+        const relativistic = this.reference && this.reference.relativistic;
+        const velocities = this.velocityBuffer;
+
+        for (let i = 0; i < this.count; i++) {
+            const gamma = relativistic
+                ? Math.sqrt(1 + (this.ux[i] ** 2 + this.uy[i] ** 2 + this.uz[i] ** 2) / c2)
+                : 1;
+            velocities[i] = u[i] / gamma;
+        }
+
+        return { positions: plane === 'y' ? this.y : this.x, velocities };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParticleBeam };
+}
@@ -0,0 +1,271 @@
+/**
+ * COULOMB CHARGE SYSTEM
+ *
+ * Electrostatic engine for point charges:
+ * - Superposition E-field and potential
+ * - Sampled vector grids for the renderer
+ * - Field lines tagged by source polarity (traced by FieldLineTracer)
+ * - Optional conductor correction from a grid solver (see PoissonSolver)
+ *
+ * Positions are in "coordinate units" (canvas pixels or world meters);
+ * `lengthScale` converts them to meters so all outputs are in SI
+ * (V, V/m). Charges are stored in coulombs.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+class ChargeSystem {
+    // 1 / (4πε₀) in N·m²/C²
+    static COULOMB_K = 8.9875517923e9;
+    // Vacuum permittivity in F/m
+    static EPSILON_0 = 8.8541878128e-12;
+
+    constructor(options = {}) {
+        this.charges = [];
+        this.nextId = 1;
+
+        // Meters per coordinate unit
+        this.lengthScale = options.lengthScale || 1;
+
+        // Field-line tracing settings (coordinate units); linesPerCharge
+        // is the count for the largest |q|, lineStep the initial RK45 step
+        this.linesPerCharge = options.linesPerCharge || 16;
+        this.lineStep = options.lineStep || 4;
+        this.lineTolerance = options.lineTolerance || null;
+        this.lineMaxSteps = options.lineMaxSteps || 800;
+        this.lineStartRadius = options.lineStartRadius || 10;
+
+        // Seeding: 'charges', 'line' (through seedLine, a polyline of
+        // {x, y}) or 'spaced' (lineSeparation apart, default 8·lineStep)
+        this.lineSeeding = options.lineSeeding || 'charges';
+        this.seedLine = null;
+        this.seedLineCount = options.seedLineCount || 24;
+        this.lineSeparation = options.lineSeparation || null;
+
+        // Conductor solver whose correction is added in the charge plane
+        // (potentialAt, fieldAt, conductorAt, fieldLineSeeds), or null.
+        // Its grid is in world meters, so it needs lengthScale = 1.
+        this.solver = null;
+
+        // Change listeners (e.g. renderer caches)
+        this.listeners = [];
+    }
+
+    // ==========================================
+    // CHARGE MANAGEMENT
+    // ==========================================
+
+    addCharge(x, y, charge) {
+        const entry = { id: this.nextId++, x, y, charge };
+        this.charges.push(entry);
+        this.notify('add', entry);
+        return entry;
+    }
+
+    removeCharge(id) {
+        const index = this.charges.findIndex(c => c.id === id);
+        if (index === -1) return false;
+
+        const [removed] = this.charges.splice(index, 1);
+        this.notify('remove', removed);
+        return true;
+    }
+
+    moveCharge(id, x, y) {
+        const entry = this.getCharge(id);
+        if (!entry) return false;
+
+        entry.x = x;
+        entry.y = y;
+        this.notify('move', entry);
+        return true;
+    }
+
+    setChargeValue(id, charge) {
+        const entry = this.getCharge(id);
+        if (!entry) return false;
+
+        entry.charge = charge;
+        this.notify('update', entry);
+        return true;
+    }
+
+    getCharge(id) {
+        return this.charges.find(c => c.id === id) || null;
+    }
+
+    /**
+     * Nearest charge within `radius` coordinate units of (x, y)
+     * @returns {Object|null}
+     */
+    chargeAt(x, y, radius) {
+        let best = null;
+        let bestDist = radius * radius;
+
+        for (const c of this.charges) {
+            const d2 = (c.x - x) ** 2 + (c.y - y) ** 2;
+            if (d2 <= bestDist) {
+                best = c;
+                bestDist = d2;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Conductor of the attached solver covering (x, y), or null
+     */
+    conductorAt(x, y) {
+        return this.solver ? this.solver.conductorAt(x, y) : null;
+    }
+
+    clear() {
+        this.charges = [];
+        this.notify('clear', null);
+    }
+
+    totalCharge() {
+        return this.charges.reduce((sum, c) => sum + c.charge, 0);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(type, charge) {
+        for (const listener of this.listeners) {
+            listener(type, charge);
+        }
+    }
+
+    // ==========================================
+    // FIELD EVALUATION (SUPERPOSITION)
+    // ==========================================
+
+    /**
+     * Electric field at (x, y) in V/m
+     * A charge sitting exactly on the sample point contributes nothing.
+     * In the plane the conductor correction is added, and the field
+     * inside a conductor is zero.
+     * @param {number} z - Height above the charge plane (coordinate units);
+     *   off the plane the field gains an Ez component
+     * @returns {{Ex: number, Ey: number, Ez: number, magnitude: number}}
+     */
+    fieldAt(x, y, z = 0) {
+        const solver = z === 0 ? this.solver : null;
+        if (solver && solver.conductorAt(x, y)) {
+            return { Ex: 0, Ey: 0, Ez: 0, magnitude: 0 };
+        }
+
+        const L = this.lengthScale;
+        const dz = z * L;
+        let Ex = 0, Ey = 0, Ez = 0;
+
+        for (const c of this.charges) {
+            const dx = (x - c.x) * L;
+            const dy = (y - c.y) * L;
+            const r2 = dx * dx + dy * dy + dz * dz;
+            if (r2 === 0) continue;
+
+            const factor = ChargeSystem.COULOMB_K * c.charge / (r2 * Math.sqrt(r2));
+            Ex += factor * dx;
+            Ey += factor * dy;
+            Ez += factor * dz;
+        }
+
+        if (solver) {
+            const correction = solver.fieldAt(x, y);
+            Ex += correction.Ex;
+            Ey += correction.Ey;
+        }
+
+        return { Ex, Ey, Ez, magnitude: Math.sqrt(Ex * Ex + Ey * Ey + Ez * Ez) };
+    }
+
+    /**
+     * Electric potential at (x, y) in volts, including the conductor
+     * correction; a conductor is at its own fixed potential
+     * Returns ±Infinity on top of a charge.
+     */
+    potentialAt(x, y) {
+        if (!this.solver) return this.pointPotentialAt(x, y);
+
+        const conductor = this.solver.conductorAt(x, y);
+        if (conductor) return conductor.V;
+        return this.pointPotentialAt(x, y) + this.solver.potentialAt(x, y);
+    }
+
+    /**
+     * Potential of the point charges alone, referenced to zero at infinity
+     */
+    pointPotentialAt(x, y) {
+        const L = this.lengthScale;
+        let V = 0;
+
+        for (const c of this.charges) {
+            const r = Math.hypot(x - c.x, y - c.y) * L;
+            if (r === 0) return c.charge >= 0 ? Infinity : -Infinity;
+            V += ChargeSystem.COULOMB_K * c.charge / r;
+        }
+
+        return V;
+    }
+
+    /**
+     * Sample the field on a regular grid
+     * @param {Object} bounds - {x, y, width, height} in coordinate units
+     * @param {number} spacing - Grid spacing in coordinate units
+     * @returns {Array<{x, y, Ex, Ey, magnitude}>}
+     */
+    getFieldVectors(bounds, spacing = 40) {
+        const vectors = [];
+        const x0 = bounds.x || 0;
+        const y0 = bounds.y || 0;
+
+        for (let y = y0 + spacing / 2; y < y0 + bounds.height; y += spacing) {
+            for (let x = x0 + spacing / 2; x < x0 + bounds.width; x += spacing) {
+                if (this.conductorAt(x, y)) continue;
+                const E = this.fieldAt(x, y);
+                if (!isFinite(E.magnitude)) continue;
+                vectors.push({ x, y, Ex: E.Ex, Ey: E.Ey, magnitude: E.magnitude });
+            }
+        }
+
+        return vectors;
+    }
+
+    // ==========================================
+    // FIELD LINES
+    // ==========================================
+
+    /**
+     * Field lines over `bounds` with the current seeding strategy (see
+     * FieldLineTracer): around the charges in proportion to |q|, through
+     * `seedLine` when one is set, or evenly spaced
+     * @param {Object} bounds - {x, y, width, height} in coordinate units
+     * @returns {Array<{points: Array<{x, y}>, fromPositive: boolean}>}
+     */
+    getFieldLines(bounds) {
+        const Tracer = resolvePhysics('FieldLineTracer');
+        const tracer = new Tracer(this, {
+            bounds,
+            step: this.lineStep,
+            tolerance: this.lineTolerance,
+            maxSteps: this.lineMaxSteps,
+            captureRadius: this.lineStartRadius
+        });
+
+        if (this.lineSeeding === 'line' && this.seedLine && this.seedLine.length >= 2) {
+            return tracer.alongLine(this.seedLine, this.seedLineCount);
+        }
+        if (this.lineSeeding === 'spaced') {
+            return tracer.evenlySpaced(this.lineSeparation || 8 * this.lineStep);
+        }
+        return tracer.aroundCharges(this.linesPerCharge);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChargeSystem };
+}
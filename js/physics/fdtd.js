@@ -0,0 +1,822 @@
+/**
+ * FDTD SOLVERS
+ *
+ * Yee-grid finite-difference time-domain engines:
+ * - FDTD1D: Ez/Hy line with abc, pec or periodic edges
+ * - FDTD2D: TMz plane (Ez, Hx, Hy) with a convolutional PML
+ * - Soft sources: sinusoidal, Gaussian pulse, Ricker wavelet
+ * - Per-cell relative permittivity and conductivity
+ * - Drude/Lorentz dispersion from the materials library (ADE method)
+ *
+ * Magnetic fields are stored scaled by the free-space impedance η₀ so
+ * E and H share units of V/m and the update coefficients stay
+ * dimensionless.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+/**
+ * Look up a material by name in the shared library (materials.js).
+ * Resolved lazily so script load order doesn't matter in the browser.
+ */
+function resolveFDTDMaterial(material) {
+    if (material && typeof material === 'object') return material;
+
+    const library = resolvePhysics('materialLibrary');
+    const resolved = library ? library.get(material) : null;
+
+    if (!resolved) {
+        throw new Error(`Unknown material: ${material}`);
+    }
+    return resolved;
+}
+
+/**
+ * Auxiliary differential equation (ADE) state for dispersive cells.
+ * Every pole evolves a polarization P through
+ *   P'' + γP' + ω0²P = ε0·s·E
+ * with ω0 = 0, s = ωp² for Drude and s = Δε·ω0² for Lorentz, and
+ * contributes the half-step polarization current J = dP/dt.
+ */
+class DispersivePoles {
+    static EPSILON_0 = 8.8541878128e-12;
+
+    constructor(dt) {
+        this.dt = dt;
+        this.entries = [];
+    }
+
+    add(index, pole) {
+        const dt = this.dt;
+        const gamma = 2 * Math.PI * pole.damping;
+        let omega0 = 0, strength;
+
+        if (pole.type === 'drude') {
+            const wp = 2 * Math.PI * pole.plasmaFrequency;
+            strength = wp * wp;
+        } else {
+            omega0 = 2 * Math.PI * pole.resonanceFrequency;
+            strength = pole.deltaEpsilon * omega0 * omega0;
+        }
+
+        const den = 1 + gamma * dt / 2;
+        this.entries.push({
+            index,
+            c1: (2 - omega0 * omega0 * dt * dt) / den,
+            c2: -(1 - gamma * dt / 2) / den,
+            c3: DispersivePoles.EPSILON_0 * strength * dt * dt / den,
+            P: 0,
+            Pprev: 0
+        });
+    }
+
+    get isEmpty() {
+        return this.entries.length === 0;
+    }
+
+    /**
+     * Advance every pole from E^n and accumulate J^{n+½} into `J`
+     * @param {Function} readE - index → Ez at time n
+     * @param {Float64Array} J - Flat current buffer (zeroed here)
+     */
+    step(readE, J) {
+        for (const e of this.entries) J[e.index] = 0;
+
+        for (const e of this.entries) {
+            const next = e.c1 * e.P + e.c2 * e.Pprev + e.c3 * readE(e.index);
+            J[e.index] += (next - e.P) / this.dt;
+            e.Pprev = e.P;
+            e.P = next;
+        }
+    }
+}
+
+class FDTD1D {
+    static C0 = 299792458;
+    static EPSILON_0 = 8.8541878128e-12;
+
+    constructor(options = {}) {
+        this.numCells = options.numCells || 400;
+        this.dx = options.dx || 15e-9;              // Cell size (m)
+        this.courant = options.courant || 0.5;      // c·dt/dx
+        this.dt = this.courant * this.dx / FDTD1D.C0;
+
+        this.sourcePosition = options.sourcePosition ?? Math.floor(this.numCells / 4);
+        this.sourceType = options.sourceType || 'sinusoidal';
+        this.frequency = options.frequency || 500e12; // Hz
+        this.amplitude = options.amplitude ?? 1;
+
+        this.leftBoundary = options.leftBoundary || 'abc';
+        this.rightBoundary = options.rightBoundary || 'abc';
+
+        // Material arrays
+        this.epsilon_r = new Float64Array(this.numCells).fill(1);
+        this.sigma = new Float64Array(this.numCells);
+        this.materialNames = new Array(this.numCells).fill('vacuum');
+
+        this.reset();
+    }
+
+    reset() {
+        const n = this.numCells;
+        this.Ez = new Float64Array(n);
+        this.Hy = new Float64Array(n);
+
+        // Mur ABC history (previous-step edge values)
+        this.murLeft = [0, 0];
+        this.murRight = [0, 0];
+
+        this.timeStep = 0;
+        this.time = 0;
+        this.peak = 1e-10;
+
+        this.updateCoefficients();
+    }
+
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+
+    setSourceType(type) {
+        this.sourceType = type;
+        this.timeStep = 0;
+        this.time = 0;
+    }
+
+    setFrequency(frequency) {
+        this.frequency = frequency;
+    }
+
+    setAmplitude(amplitude) {
+        this.amplitude = amplitude;
+    }
+
+    /**
+     * Boundaries: 'abc' (first-order Mur), 'pec' (Ez = 0) or 'periodic'.
+     * Periodic wraps the grid onto itself, so selecting it on either edge
+     * joins both edges.
+     */
+    setBoundaries(left, right) {
+        this.leftBoundary = left;
+        this.rightBoundary = right;
+    }
+
+    /**
+     * Non-dispersive region with explicit ε_r and σ
+     */
+    setMaterialRegion(start, end, epsilonR, sigma = 0) {
+        const i0 = Math.max(0, Math.floor(start));
+        const i1 = Math.min(this.numCells, Math.ceil(end));
+        for (let i = i0; i < i1; i++) {
+            this.epsilon_r[i] = epsilonR;
+            this.sigma[i] = sigma;
+            this.materialNames[i] = null;
+        }
+        this.updateCoefficients();
+    }
+
+    /**
+     * Fill cells [start, end) with a material from the library
+     * @param {string|Object} material - Registered name or material object
+     */
+    applyMaterial(start, end, material) {
+        const resolved = resolveFDTDMaterial(material);
+        const i0 = Math.max(0, Math.floor(start));
+        const i1 = Math.min(this.numCells, Math.ceil(end));
+        for (let i = i0; i < i1; i++) {
+            this.epsilon_r[i] = resolved.epsilonInf;
+            this.sigma[i] = resolved.sigma;
+            this.materialNames[i] = resolved.name;
+        }
+        this.updateCoefficients();
+    }
+
+    clearMaterials() {
+        this.epsilon_r.fill(1);
+        this.sigma.fill(0);
+        this.materialNames.fill('vacuum');
+        this.updateCoefficients();
+    }
+
+    /**
+     * Whether any cell was filled from the named library material
+     */
+    usesMaterial(name) {
+        return this.materialNames.includes(name);
+    }
+
+    updateCoefficients() {
+        const n = this.numCells;
+        this.ca = new Float64Array(n);
+        this.cb = new Float64Array(n);
+        this.cj = new Float64Array(n);
+        this.J = new Float64Array(n);
+        this.dispersion = new DispersivePoles(this.dt);
+
+        for (let i = 0; i < n; i++) {
+            const eps = this.epsilon_r[i] * FDTD1D.EPSILON_0;
+            const loss = this.sigma[i] * this.dt / (2 * eps);
+            this.ca[i] = (1 - loss) / (1 + loss);
+            this.cb[i] = (this.courant / this.epsilon_r[i]) / (1 + loss);
+            this.cj[i] = (this.dt / eps) / (1 + loss);
+
+            const name = this.materialNames[i];
+            if (name && name !== 'vacuum') {
+                for (const pole of resolveFDTDMaterial(name).poles) {
+                    this.dispersion.add(i, pole);
+                }
+            }
+        }
+    }
+
+    isPeriodic() {
+        return this.leftBoundary === 'periodic' || this.rightBoundary === 'periodic';
+    }
+
+    // ==========================================
+    // SOURCE WAVEFORMS
+    // ==========================================
+
+    sourceValue(t) {
+        return FDTD1D.waveform(this.sourceType, this.frequency, t);
+    }
+
+    /**
+     * Unit-amplitude source waveform shared by the 1D and 2D solvers
+     * @param {string} type - 'sinusoidal' | 'gaussian' | 'ricker'
+     * @param {number} f - Frequency in Hz
+     * @param {number} t - Time in seconds
+     */
+    static waveform(type, f, t) {
+        switch (type) {
+            case 'gaussian': {
+                // Baseband pulse whose spectrum extends to ~f
+                const tau = 1 / (Math.PI * f);
+                const t0 = 4 * tau;
+                return Math.exp(-(((t - t0) / tau) ** 2));
+            }
+            case 'ricker': {
+                const t0 = 1.5 / f;
+                const a = (Math.PI * f * (t - t0)) ** 2;
+                return (1 - 2 * a) * Math.exp(-a);
+            }
+            case 'sinusoidal':
+            default: {
+                // Ramp over three periods to avoid a broadband turn-on transient
+                const ramp = Math.min(1, t * f / 3);
+                return ramp * Math.sin(2 * Math.PI * f * t);
+            }
+        }
+    }
+
+    // ==========================================
+    // TIME STEPPING
+    // ==========================================
+
+    step(count = 1) {
+        for (let s = 0; s < count; s++) {
+            this.stepOnce();
+        }
+    }
+
+    stepOnce() {
+        const n = this.numCells;
+        const Ez = this.Ez, Hy = this.Hy;
+        const S = this.courant;
+        const periodic = this.isPeriodic();
+
+        // Save edge values for Mur ABC
+        this.murLeft[0] = Ez[0];
+        this.murLeft[1] = Ez[1];
+        this.murRight[0] = Ez[n - 1];
+        this.murRight[1] = Ez[n - 2];
+
+        // H update: Hy[i] sits between Ez[i] and Ez[i + 1]
+        for (let i = 0; i < n - 1; i++) {
+            Hy[i] += S * (Ez[i + 1] - Ez[i]);
+        }
+        Hy[n - 1] = periodic ? Hy[n - 1] + S * (Ez[0] - Ez[n - 1]) : 0;
+
+        // Polarization currents from E^n
+        const dispersive = !this.dispersion.isEmpty;
+        if (dispersive) {
+            this.dispersion.step(k => Ez[k], this.J);
+        }
+
+        // E update
+        for (let i = 1; i < n; i++) {
+            Ez[i] = this.ca[i] * Ez[i] + this.cb[i] * (Hy[i] - Hy[i - 1]);
+        }
+        if (periodic) {
+            Ez[0] = this.ca[0] * Ez[0] + this.cb[0] * (Hy[0] - Hy[n - 1]);
+        }
+        if (dispersive) {
+            for (const e of this.dispersion.entries) {
+                Ez[e.index] -= this.cj[e.index] * this.J[e.index];
+            }
+        }
+
+        // Soft source
+        this.time = this.timeStep * this.dt;
+        Ez[this.sourcePosition] += this.amplitude * this.sourceValue(this.time);
+
+        if (!periodic) {
+            this.applyBoundary('left');
+            this.applyBoundary('right');
+        }
+
+        this.timeStep++;
+        this.time = this.timeStep * this.dt;
+    }
+
+    applyBoundary(side) {
+        const n = this.numCells;
+        const Ez = this.Ez;
+        const type = side === 'left' ? this.leftBoundary : this.rightBoundary;
+        const edge = side === 'left' ? 0 : n - 1;
+        const inner = side === 'left' ? 1 : n - 2;
+        const history = side === 'left' ? this.murLeft : this.murRight;
+
+        if (type === 'pec') {
+            Ez[edge] = 0;
+        } else {
+            // First-order Mur using the local phase velocity
+            const s = this.courant / Math.sqrt(this.epsilon_r[edge]);
+            const coeff = (s - 1) / (s + 1);
+            Ez[edge] = history[1] + coeff * (Ez[inner] - history[0]);
+        }
+    }
+
+    // ==========================================
+    // OUTPUT
+    // ==========================================
+
+    /**
+     * Fields scaled to roughly [-1, 1] with a slowly decaying peak hold,
+     * so pulses remain visible after they leave the grid.
+     * @returns {{Ez: Float64Array, Hy: Float64Array}}
+     */
+    getNormalizedFields() {
+        let max = 0;
+        for (let i = 0; i < this.numCells; i++) {
+            max = Math.max(max, Math.abs(this.Ez[i]), Math.abs(this.Hy[i]));
+        }
+        this.peak = Math.max(max, this.peak * 0.995, 1e-10);
+
+        const Ez = new Float64Array(this.numCells);
+        const Hy = new Float64Array(this.numCells);
+        for (let i = 0; i < this.numCells; i++) {
+            Ez[i] = this.Ez[i] / this.peak;
+            Hy[i] = this.Hy[i] / this.peak;
+        }
+
+        return { Ez, Hy };
+    }
+
+    /**
+     * Electromagnetic energy per unit transverse area (J/m²)
+     */
+    getEnergy() {
+        let sum = 0;
+        for (let i = 0; i < this.numCells; i++) {
+            sum += this.epsilon_r[i] * this.Ez[i] ** 2 + this.Hy[i] ** 2;
+        }
+        return 0.5 * FDTD1D.EPSILON_0 * sum * this.dx;
+    }
+}
+
+class FDTD2D {
+    static C0 = 299792458;
+    static EPSILON_0 = 8.8541878128e-12;
+    static ETA_0 = 376.730313668;
+
+    constructor(options = {}) {
+        this.nx = options.nx || 200;
+        this.ny = options.ny || 200;
+        this.dx = options.dx || 15e-9;              // Square cell size (m)
+        this.courant = options.courant || 0.5;      // c·dt/dx, must stay below 1/√2
+        this.dt = this.courant * this.dx / FDTD2D.C0;
+
+        this.pmlThickness = options.pmlThickness || 12;
+        this.pmlOrder = 3;
+
+        this.sourceType = options.sourceType || 'sinusoidal';
+        this.frequency = options.frequency || 500e12;
+        this.amplitude = options.amplitude ?? 1;
+        this.sources = [];
+
+        // 'abc' (CPML), 'pec' or 'periodic' on the x edges; y edges are always CPML
+        this.leftBoundary = options.leftBoundary || 'abc';
+        this.rightBoundary = options.rightBoundary || 'abc';
+
+        // Per-cell material grids
+        this.epsilon_r = this.createGrid(1);
+        this.sigma = this.createGrid(0);
+        this.pec = [];
+        this.materialNames = [];
+        for (let i = 0; i < this.nx; i++) {
+            this.pec.push(new Uint8Array(this.ny));
+            this.materialNames.push(new Array(this.ny).fill('vacuum'));
+        }
+
+        this.reset();
+    }
+
+    createGrid(fill = 0) {
+        const grid = [];
+        for (let i = 0; i < this.nx; i++) {
+            grid.push(new Float64Array(this.ny).fill(fill));
+        }
+        return grid;
+    }
+
+    reset() {
+        this.Ez = this.createGrid();
+        this.Hx = this.createGrid();
+        this.Hy = this.createGrid();
+
+        // CPML auxiliary fields
+        this.psiEzx = this.createGrid();
+        this.psiEzy = this.createGrid();
+        this.psiHyx = this.createGrid();
+        this.psiHxy = this.createGrid();
+
+        this.timeStep = 0;
+        this.time = 0;
+
+        this.updateCoefficients();
+        this.buildPML();
+    }
+
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+
+    setSourceType(type) {
+        this.sourceType = type;
+        this.timeStep = 0;
+        this.time = 0;
+    }
+
+    setFrequency(frequency) {
+        this.frequency = frequency;
+        this.buildPML();
+    }
+
+    setAmplitude(amplitude) {
+        this.amplitude = amplitude;
+    }
+
+    setBoundaries(left, right) {
+        this.leftBoundary = left;
+        this.rightBoundary = right;
+        this.buildPML();
+    }
+
+    isPeriodic() {
+        return this.leftBoundary === 'periodic' || this.rightBoundary === 'periodic';
+    }
+
+    addPointSource(i, j) {
+        this.sources.push({ type: 'point', cells: [[Math.round(i), Math.round(j)]] });
+    }
+
+    /**
+     * Line source rasterised between two cells (inclusive)
+     */
+    addLineSource(i0, j0, i1, j1) {
+        const cells = [];
+        const steps = Math.max(Math.abs(i1 - i0), Math.abs(j1 - j0), 1);
+        for (let k = 0; k <= steps; k++) {
+            const i = Math.round(i0 + (i1 - i0) * k / steps);
+            const j = Math.round(j0 + (j1 - j0) * k / steps);
+            cells.push([i, j]);
+        }
+        this.sources.push({ type: 'line', cells });
+    }
+
+    clearSources() {
+        this.sources = [];
+    }
+
+    /**
+     * Fill an axis-aligned block of cells [i0, i1) × [j0, j1)
+     * @param {Object} props - {material} from the library, or raw {epsilonR, sigma, pec}
+     */
+    setRectRegion(i0, j0, i1, j1, props = {}) {
+        this.forEachCell((i, j) => i >= i0 && i < i1 && j >= j0 && j < j1, props);
+    }
+
+    setCircleRegion(ci, cj, radius, props = {}) {
+        this.forEachCell((i, j) => (i - ci) ** 2 + (j - cj) ** 2 <= radius * radius, props);
+    }
+
+    forEachCell(inside, props) {
+        const material = props.material ? resolveFDTDMaterial(props.material) : null;
+
+        for (let i = 0; i < this.nx; i++) {
+            for (let j = 0; j < this.ny; j++) {
+                if (!inside(i, j)) continue;
+                if (material) {
+                    this.epsilon_r[i][j] = material.epsilonInf;
+                    this.sigma[i][j] = material.sigma;
+                    this.materialNames[i][j] = material.name;
+                } else if (props.epsilonR !== undefined || props.sigma !== undefined) {
+                    this.materialNames[i][j] = null;
+                }
+                if (props.epsilonR !== undefined) this.epsilon_r[i][j] = props.epsilonR;
+                if (props.sigma !== undefined) this.sigma[i][j] = props.sigma;
+                if (props.pec !== undefined) this.pec[i][j] = props.pec ? 1 : 0;
+            }
+        }
+        this.updateCoefficients();
+    }
+
+    clearMaterials() {
+        for (let i = 0; i < this.nx; i++) {
+            this.epsilon_r[i].fill(1);
+            this.sigma[i].fill(0);
+            this.pec[i].fill(0);
+            this.materialNames[i].fill('vacuum');
+        }
+        this.updateCoefficients();
+    }
+
+    /**
+     * Whether any cell was filled from the named library material
+     */
+    usesMaterial(name) {
+        return this.materialNames.some(column => column.includes(name));
+    }
+
+    /**
+     * Built-in scenes
+     * @param {string} name - 'point' | 'double-slit' | 'waveguide'
+     */
+    loadPreset(name) {
+        const nx = this.nx, ny = this.ny;
+        const pml = this.pmlThickness;
+        const cy = Math.floor(ny / 2);
+
+        this.clearMaterials();
+        this.clearSources();
+
+        switch (name) {
+            case 'double-slit': {
+                // PEC screen with two apertures, lit by a plane-wave line source
+                const wall = Math.floor(nx * 0.35);
+                const halfGap = Math.round(ny * 0.15);
+                const halfWidth = 4;
+                this.setRectRegion(wall, 0, wall + 2, ny, { pec: true });
+                this.setRectRegion(wall, cy - halfGap - halfWidth, wall + 2, cy - halfGap + halfWidth, { pec: false });
+                this.setRectRegion(wall, cy + halfGap - halfWidth, wall + 2, cy + halfGap + halfWidth, { pec: false });
+                this.addLineSource(pml + 4, pml, pml + 4, ny - pml - 1);
+                break;
+            }
+            case 'waveguide': {
+                // High-index slab core (n = 2) fed by a point source on axis
+                const halfCore = 8;
+                this.setRectRegion(0, cy - halfCore, nx, cy + halfCore, { epsilonR: 4 });
+                this.addPointSource(pml + 10, cy);
+                break;
+            }
+            case 'point':
+            default:
+                this.addPointSource(Math.floor(nx / 2), cy);
+                break;
+        }
+
+        this.scene = name;
+        this.reset();
+    }
+
+    updateCoefficients() {
+        this.ca = this.createGrid();
+        this.cb = this.createGrid();
+        this.cj = this.createGrid();
+        this.J = new Float64Array(this.nx * this.ny);
+        this.dispersion = new DispersivePoles(this.dt);
+
+        for (let i = 0; i < this.nx; i++) {
+            for (let j = 0; j < this.ny; j++) {
+                const epsR = this.epsilon_r[i][j];
+                const loss = this.sigma[i][j] * this.dt / (2 * epsR * FDTD2D.EPSILON_0);
+                this.ca[i][j] = (1 - loss) / (1 + loss);
+                this.cb[i][j] = (this.courant / epsR) / (1 + loss);
+                this.cj[i][j] = (this.dt / (epsR * FDTD2D.EPSILON_0)) / (1 + loss);
+
+                // Outer ring is held at Ez = 0, so it carries no polarization
+                const interior = i > 0 && i < this.nx - 1 && j > 0 && j < this.ny - 1;
+                const name = this.materialNames[i][j];
+                if (interior && name && name !== 'vacuum') {
+                    for (const pole of resolveFDTDMaterial(name).poles) {
+                        this.dispersion.add(i * this.ny + j, pole);
+                    }
+                }
+            }
+        }
+    }
+
+    // ==========================================
+    // CONVOLUTIONAL PML (κ = 1, CFS α)
+    // ==========================================
+
+    /**
+     * Precompute the recursive-convolution coefficients b and a for the
+     * integer (E) and half-integer (H) node positions along each axis.
+     */
+    buildPML() {
+        const periodic = this.isPeriodic();
+        const x = this.buildAxisProfile(this.nx, !periodic && this.leftBoundary === 'abc', !periodic && this.rightBoundary === 'abc');
+        const y = this.buildAxisProfile(this.ny, true, true);
+
+        this.pmlX = x;
+        this.pmlY = y;
+    }
+
+    buildAxisProfile(n, lowSide, highSide) {
+        const N = this.pmlThickness;
+        const m = this.pmlOrder;
+        const sigmaMax = 0.8 * (m + 1) / (FDTD2D.ETA_0 * this.dx);
+        const alphaMax = 2 * Math.PI * this.frequency * FDTD2D.EPSILON_0 * 0.1;
+        const eps0 = FDTD2D.EPSILON_0;
+        const dt = this.dt;
+
+        const profile = {
+            bE: new Float64Array(n), aE: new Float64Array(n),
+            bH: new Float64Array(n), aH: new Float64Array(n),
+            indicesE: [], indicesH: []
+        };
+
+        const coefficients = (pos) => {
+            let depth = 0;
+            if (lowSide && pos < N) depth = (N - pos) / N;
+            if (highSide && pos > n - 1 - N) depth = (pos - (n - 1 - N)) / N;
+            if (depth <= 0) return null;
+
+            depth = Math.min(depth, 1);
+            const sigma = sigmaMax * depth ** m;
+            const alpha = alphaMax * (1 - depth);
+            const b = Math.exp(-(sigma + alpha) * dt / eps0);
+            const a = sigma > 0 ? sigma / (sigma + alpha) * (b - 1) : 0;
+            return { a, b };
+        };
+
+        for (let k = 0; k < n; k++) {
+            const e = coefficients(k);
+            if (e) {
+                profile.bE[k] = e.b;
+                profile.aE[k] = e.a;
+                profile.indicesE.push(k);
+            }
+
+            const h = coefficients(k + 0.5);
+            if (h) {
+                profile.bH[k] = h.b;
+                profile.aH[k] = h.a;
+                profile.indicesH.push(k);
+            }
+        }
+
+        return profile;
+    }
+
+    // ==========================================
+    // TIME STEPPING
+    // ==========================================
+
+    step(count = 1) {
+        for (let s = 0; s < count; s++) {
+            this.stepOnce();
+        }
+    }
+
+    stepOnce() {
+        const nx = this.nx, ny = this.ny;
+        const S = this.courant;
+        const Ez = this.Ez, Hx = this.Hx, Hy = this.Hy;
+        const periodic = this.isPeriodic();
+        const px = this.pmlX, py = this.pmlY;
+
+        // Hx update (Hx[i][j] sits at i, j + ½)
+        for (let i = 0; i < nx; i++) {
+            const ez = Ez[i], hx = Hx[i];
+            for (let j = 0; j < ny - 1; j++) {
+                hx[j] -= S * (ez[j + 1] - ez[j]);
+            }
+        }
+
+        // Hy update (Hy[i][j] sits at i + ½, j)
+        for (let i = 0; i < nx; i++) {
+            const next = i < nx - 1 ? Ez[i + 1] : (periodic ? Ez[0] : null);
+            if (!next) continue;
+            const ez = Ez[i], hy = Hy[i];
+            for (let j = 0; j < ny; j++) {
+                hy[j] += S * (next[j] - ez[j]);
+            }
+        }
+
+        // CPML corrections for H
+        for (const j of py.indicesH) {
+            if (j >= ny - 1) continue;
+            for (let i = 0; i < nx; i++) {
+                const psi = this.psiHxy[i];
+                psi[j] = py.bH[j] * psi[j] + py.aH[j] * (Ez[i][j + 1] - Ez[i][j]);
+                Hx[i][j] -= S * psi[j];
+            }
+        }
+        for (const i of px.indicesH) {
+            if (i >= nx - 1) continue;
+            const psi = this.psiHyx[i];
+            for (let j = 0; j < ny; j++) {
+                psi[j] = px.bH[i] * psi[j] + px.aH[i] * (Ez[i + 1][j] - Ez[i][j]);
+                Hy[i][j] += S * psi[j];
+            }
+        }
+
+        // Polarization currents from E^n (flat index k = i·ny + j)
+        const dispersive = !this.dispersion.isEmpty;
+        if (dispersive) {
+            this.dispersion.step(k => Ez[Math.floor(k / ny)][k % ny], this.J);
+        }
+
+        // Ez update; outer ring stays zero (PEC backing) unless wrapped in x
+        const iStart = periodic ? 0 : 1;
+        const iEnd = periodic ? nx : nx - 1;
+        for (let i = iStart; i < iEnd; i++) {
+            const prev = i > 0 ? Hy[i - 1] : Hy[nx - 1];
+            const ez = Ez[i], hy = Hy[i], hx = Hx[i];
+            const ca = this.ca[i], cb = this.cb[i];
+            for (let j = 1; j < ny - 1; j++) {
+                ez[j] = ca[j] * ez[j] + cb[j] * ((hy[j] - prev[j]) - (hx[j] - hx[j - 1]));
+            }
+        }
+
+        // CPML corrections for E
+        for (const i of px.indicesE) {
+            if (i === 0 || i === nx - 1) continue;
+            const psi = this.psiEzx[i];
+            for (let j = 1; j < ny - 1; j++) {
+                psi[j] = px.bE[i] * psi[j] + px.aE[i] * (Hy[i][j] - Hy[i - 1][j]);
+                Ez[i][j] += this.cb[i][j] * psi[j];
+            }
+        }
+        for (const j of py.indicesE) {
+            if (j === 0 || j === ny - 1) continue;
+            for (let i = iStart; i < iEnd; i++) {
+                const psi = this.psiEzy[i];
+                psi[j] = py.bE[j] * psi[j] + py.aE[j] * (Hx[i][j] - Hx[i][j - 1]);
+                Ez[i][j] -= this.cb[i][j] * psi[j];
+            }
+        }
+
+        if (dispersive) {
+            for (const e of this.dispersion.entries) {
+                const i = Math.floor(e.index / ny), j = e.index % ny;
+                Ez[i][j] -= this.cj[i][j] * this.J[e.index];
+            }
+        }
+
+        // Soft sources
+        this.time = this.timeStep * this.dt;
+        const value = this.amplitude * FDTD1D.waveform(this.sourceType, this.frequency, this.time);
+        for (const source of this.sources) {
+            for (const [i, j] of source.cells) {
+                if (i >= 0 && i < nx && j >= 0 && j < ny) Ez[i][j] += value;
+            }
+        }
+
+        // Perfect conductors
+        for (let i = 0; i < nx; i++) {
+            const mask = this.pec[i], ez = Ez[i];
+            for (let j = 0; j < ny; j++) {
+                if (mask[j]) ez[j] = 0;
+            }
+        }
+
+        this.timeStep++;
+        this.time = this.timeStep * this.dt;
+    }
+
+    // ==========================================
+    // OUTPUT
+    // ==========================================
+
+    /**
+     * Electromagnetic energy per unit length in z (J/m)
+     */
+    getEnergy() {
+        let sum = 0;
+        for (let i = 0; i < this.nx; i++) {
+            const ez = this.Ez[i], hx = this.Hx[i], hy = this.Hy[i], eps = this.epsilon_r[i];
+            for (let j = 0; j < this.ny; j++) {
+                sum += eps[j] * ez[j] ** 2 + hx[j] ** 2 + hy[j] ** 2;
+            }
+        }
+        return 0.5 * FDTD2D.EPSILON_0 * sum * this.dx * this.dx;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FDTD1D, FDTD2D, DispersivePoles };
+}
@@ -0,0 +1,235 @@
+/**
+ * FIELD INTEGRALS
+ *
+ * Numerical checks of the integral laws for a ChargeSystem:
+ * - Gauss's law: E-flux through a closed contour vs Q_enc/ε₀
+ * - Line integral ∫E·dl along an open path vs ΔV = V(a) − V(b)
+ *
+ * The charges are 3D point charges in the z = 0 plane, so a closed contour
+ * drawn in the plane stands for the surface swept by extruding it along z
+ * (an infinite prism); Gauss's law holds for that surface, not for the
+ * contour itself. The flux is integrated numerically in both directions:
+ * midpoint rule along the contour, and a sinh-mapped trapezoid rule in z,
+ * which converges quickly on the 1/z² tails.
+ *
+ * Contours and paths are arrays of {x, y} in the charge system's
+ * coordinate units; results are SI. The Gauss check covers the point
+ * charges alone: an attached solver's correction is only defined in the
+ * plane, and Q_enc leaves out induced and bound charge.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+class FieldIntegrals {
+    // Gauss–Legendre nodes and weights on [-1, 1]
+    static GL4 = {
+        nodes: [-0.8611363115940526, -0.3399810435848563, 0.3399810435848563, 0.8611363115940526],
+        weights: [0.3478548451374538, 0.6521451548625461, 0.6521451548625461, 0.3478548451374538]
+    };
+
+    // ==========================================
+    // GEOMETRY
+    // ==========================================
+
+    /**
+     * Counter-clockwise polygon approximating a circle
+     */
+    static circle(cx, cy, radius, segments = 256) {
+        const points = [];
+        for (let k = 0; k < segments; k++) {
+            const a = 2 * Math.PI * k / segments;
+            points.push({ x: cx + radius * Math.cos(a), y: cy + radius * Math.sin(a) });
+        }
+        return points;
+    }
+
+    /**
+     * Positive for counter-clockwise vertices (y up)
+     */
+    static signedArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+
+    static contains(points, x, y) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i], b = points[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    static pathLength(points, closed = false) {
+        let length = 0;
+        const count = closed ? points.length : points.length - 1;
+        for (let i = 0; i < count; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            length += Math.hypot(b.x - a.x, b.y - a.y);
+        }
+        return length;
+    }
+
+    // ==========================================
+    // GAUSS'S LAW
+    // ==========================================
+
+    /**
+     * @returns {{charge: number, count: number}} Enclosed charge (C) and number of charges
+     */
+    static enclosedCharge(chargeSystem, points) {
+        let charge = 0, magnitude = 0, count = 0;
+        for (const c of chargeSystem.charges) {
+            if (FieldIntegrals.contains(points, c.x, c.y)) {
+                charge += c.charge;
+                magnitude += Math.abs(c.charge);
+                count++;
+            }
+        }
+
+        // Cancelling charges sum to exactly zero, not to rounding noise
+        if (Math.abs(charge) < 1e-12 * magnitude) charge = 0;
+        return { charge, count };
+    }
+
+    /**
+     * Outward E-flux through the contour extruded along z
+     * @param {Object} options - {samples: contour samples, zStep, zExtent: sinh-map range}
+     * @returns {number} Φ in V·m
+     */
+    static prismFlux(chargeSystem, points, options = {}) {
+        const samples = options.samples || 720;
+        const h = options.zStep || 0.2;
+        const T = options.zExtent || 12;
+        const L = chargeSystem.lengthScale;
+
+        const orientation = FieldIntegrals.signedArea(points) < 0 ? -1 : 1;
+        const perimeter = FieldIntegrals.pathLength(points, true);
+        if (perimeter === 0) return 0;
+
+        let flux = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+
+            // Outward normal: right of the edge for a counter-clockwise contour
+            const nx = orientation * (b.y - a.y) / length;
+            const ny = -orientation * (b.x - a.x) / length;
+            const m = Math.max(1, Math.round(samples * length / perimeter));
+
+            for (let k = 0; k < m; k++) {
+                const t = (k + 0.5) / m;
+                const x = a.x + (b.x - a.x) * t;
+                const y = a.y + (b.y - a.y) * t;
+
+                // z = s·sinh(u) with s the distance to the nearest charge,
+                // so every sample resolves its own near-field peak
+                const s = FieldIntegrals.nearestChargeDistance(chargeSystem, x, y) || perimeter;
+                let column = 0;
+                for (let j = 0; j * h <= T; j++) {
+                    const u = j * h;
+                    const E = chargeSystem.fieldAt(x, y, s * Math.sinh(u));
+                    const weight = (j === 0 ? 1 : 2) * s * Math.cosh(u) * h;
+                    column += (E.Ex * nx + E.Ey * ny) * weight;
+                }
+
+                flux += column * L * (length / m) * L;
+            }
+        }
+
+        return flux;
+    }
+
+    static nearestChargeDistance(chargeSystem, x, y) {
+        let best = Infinity;
+        for (const c of chargeSystem.charges) {
+            best = Math.min(best, Math.hypot(x - c.x, y - c.y));
+        }
+        return isFinite(best) ? best : 0;
+    }
+
+    /**
+     * Gauss's-law comparison for a closed contour
+     * @returns {{flux, expected, charge, count}} Φ and Q_enc/ε₀ in V·m
+     */
+    static gaussCheck(chargeSystem, points, options = {}) {
+        const enclosed = FieldIntegrals.enclosedCharge(chargeSystem, points);
+        return {
+            flux: FieldIntegrals.prismFlux(chargeSystem, points, options),
+            expected: enclosed.charge / resolvePhysics('ChargeSystem').EPSILON_0,
+            charge: enclosed.charge,
+            count: enclosed.count
+        };
+    }
+
+    // ==========================================
+    // LINE INTEGRAL
+    // ==========================================
+
+    /**
+     * ∫E·dl along an open polyline (composite 4-point Gauss–Legendre)
+     * @returns {number} Volts
+     */
+    static lineIntegral(chargeSystem, points, options = {}) {
+        const intervals = options.intervals || 400;
+        const L = chargeSystem.lengthScale;
+        const total = FieldIntegrals.pathLength(points);
+        if (total === 0) return 0;
+
+        const { nodes, weights } = FieldIntegrals.GL4;
+        let integral = 0;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i], b = points[i + 1];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+
+            const m = Math.max(1, Math.round(intervals * length / total));
+            const dx = (b.x - a.x) / m;
+            const dy = (b.y - a.y) / m;
+
+            for (let k = 0; k < m; k++) {
+                for (let q = 0; q < 4; q++) {
+                    const t = k + (nodes[q] + 1) / 2;
+                    const E = chargeSystem.fieldAt(a.x + dx * t, a.y + dy * t);
+                    integral += weights[q] / 2 * (E.Ex * dx + E.Ey * dy) * L;
+                }
+            }
+        }
+
+        return integral;
+    }
+
+    /**
+     * Line integral vs the potential drop between the path ends
+     * @returns {{integral, deltaV, Va, Vb}} Volts
+     */
+    static pathCheck(chargeSystem, points, options = {}) {
+        const start = points[0];
+        const end = points[points.length - 1];
+        const Va = chargeSystem.potentialAt(start.x, start.y);
+        const Vb = chargeSystem.potentialAt(end.x, end.y);
+
+        return {
+            integral: FieldIntegrals.lineIntegral(chargeSystem, points, options),
+            deltaV: Va - Vb,
+            Va,
+            Vb
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FieldIntegrals };
+}
@@ -0,0 +1,457 @@
+/**
+ * FIELD-LINE TRACER
+ *
+ * Electric field lines of a ChargeSystem for the flow-particle layer:
+ * - Adaptive Dormand–Prince RK45 along the unit field direction (so the
+ *   parameter is arc length); the embedded 4th-order solution sets the
+ *   step, which also stays under half the distance to the nearest charge
+ *   so a sink is approached rather than jumped over
+ * - Lines end at the center of a charge of the sink sign, on a conductor
+ *   surface, at a null point (the direction flips within one step), or
+ *   clipped exactly at the bounds
+ *
+ * Seeding strategies:
+ * - aroundCharges: evenly spaced around each charge, in numbers
+ *   proportional to |q| so line density follows field strength; negative
+ *   charges only add the lines the positive ones don't deliver, placed in
+ *   the widest gaps between the arrivals
+ * - alongLine: seeds on a polyline at equal steps of the flux ∫|E·n| dl
+ *   through it, each traced both ways
+ * - evenlySpaced: Jobard–Lefer streamlines, new seeds one separation to
+ *   either side of existing lines and lines stopped where they come
+ *   within half a separation of another (except close to a charge, where
+ *   lines converge anyway)
+ *
+ * Lengths are in the system's coordinate units. Every line is
+ * {points: [{x, y}], fromPositive, startCharge, endCharge} with its points
+ * running along E.
+ */
+
+class FieldLineTracer {
+    // Dormand–Prince 5(4): stage coefficients, 5th-order weights and the
+    // difference to the embedded 4th-order weights (the error estimate)
+    static A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    static B = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+    static E = [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40];
+
+    // Safety cap on lines from one seeding pass
+    static MAX_LINES = 400;
+
+    /**
+     * @param {ChargeSystem} system
+     * @param {Object} options - {bounds, step (initial), minStep, maxStep,
+     *   tolerance (position error per step), maxSteps, captureRadius}
+     */
+    constructor(system, options = {}) {
+        this.system = system;
+        this.bounds = options.bounds || null;
+        this.step = options.step || 4;
+        this.minStep = options.minStep || this.step / 32;
+        this.maxStep = options.maxStep || this.step * 8;
+        this.tolerance = options.tolerance || this.step / 100;
+        this.maxSteps = options.maxSteps || 800;
+        this.captureRadius = options.captureRadius || this.step * 2.5;
+    }
+
+    // ==========================================
+    // INTEGRATION
+    // ==========================================
+
+    /**
+     * Integrate one line from `start` along direction·E
+     * @param {Object|null} source - Charge the line leaves (never captured)
+     * @param {Function} accept - Optional (x, y) → false to end the line
+     *   before that point (streamline separation)
+     * @returns {{points, endCharge, endConductor}}
+     */
+    trace(start, direction, source = null, accept = null) {
+        const system = this.system;
+        const points = [{ x: start.x, y: start.y }];
+        let x = start.x, y = start.y;
+        let h = this.step;
+        let previous = null;
+        let endCharge = null;
+        let endConductor = null;
+
+        const dir = (px, py) => {
+            const E = system.fieldAt(px, py);
+            if (E.magnitude === 0 || !isFinite(E.magnitude)) return null;
+            return { x: direction * E.Ex / E.magnitude, y: direction * E.Ey / E.magnitude };
+        };
+
+        for (let attempt = 0; attempt < this.maxSteps; attempt++) {
+            h = Math.max(this.minStep, Math.min(h, this.maxStep, 0.5 * this.nearestCharge(x, y)));
+            const stage = FieldLineTracer.dormandPrince(x, y, h, dir);
+
+            if (!stage) {
+                // A stage landed inside a conductor (zero field): close in,
+                // then end on its surface
+                if (h > this.minStep) {
+                    h /= 4;
+                    continue;
+                }
+                const k = dir(x, y);
+                const conductor = k && system.conductorAt(x + k.x * h, y + k.y * h);
+                if (conductor) {
+                    points.push({ x: x + k.x * h, y: y + k.y * h });
+                    endConductor = conductor;
+                }
+                break;
+            }
+
+            const growth = stage.error > 0 ? 0.9 * (this.tolerance / stage.error) ** 0.2 : 5;
+            if (stage.error > this.tolerance && h > this.minStep) {
+                h *= Math.max(0.2, growth);
+                continue;
+            }
+
+            // The direction flipped within one step: a null point
+            if (previous && previous.x * stage.k1.x + previous.y * stage.k1.y < 0) break;
+            previous = stage.k1;
+
+            const exit = this.exitPoint(x, y, stage.x, stage.y);
+            if (exit) {
+                points.push(exit);
+                break;
+            }
+            if (accept && !accept(stage.x, stage.y)) break;
+
+            x = stage.x;
+            y = stage.y;
+
+            // Terminate at the center of a charge of opposite sign
+            const hit = system.chargeAt(x, y, this.captureRadius);
+            if (hit && hit !== source && Math.sign(hit.charge) === -direction) {
+                points.push({ x: hit.x, y: hit.y });
+                endCharge = hit;
+                break;
+            }
+
+            points.push({ x, y });
+
+            endConductor = system.conductorAt(x, y);
+            if (endConductor) break;
+
+            h *= Math.min(5, Math.max(0.2, growth));
+        }
+
+        return { points, endCharge, endConductor };
+    }
+
+    /**
+     * One Dormand–Prince step of dp/ds = dir(p)
+     * @returns {{x, y, error, k1}|null} null when a stage has no direction
+     */
+    static dormandPrince(x, y, h, dir) {
+        const { A, B, E } = FieldLineTracer;
+        const kx = [], ky = [];
+
+        for (let s = 0; s < 7; s++) {
+            let px = x, py = y;
+            for (let m = 0; m < s; m++) {
+                px += h * A[s][m] * kx[m];
+                py += h * A[s][m] * ky[m];
+            }
+            const k = dir(px, py);
+            if (!k) return null;
+            kx.push(k.x);
+            ky.push(k.y);
+        }
+
+        let nx = x, ny = y, ex = 0, ey = 0;
+        for (let s = 0; s < 7; s++) {
+            nx += h * B[s] * kx[s];
+            ny += h * B[s] * ky[s];
+            ex += h * E[s] * kx[s];
+            ey += h * E[s] * ky[s];
+        }
+
+        return { x: nx, y: ny, error: Math.hypot(ex, ey), k1: { x: kx[0], y: ky[0] } };
+    }
+
+    /**
+     * Trace both ways from a seed and join into one line along E
+     */
+    traceThrough(seed, accept = null) {
+        const forward = this.trace(seed, 1, null, accept);
+        const backward = this.trace(seed, -1, null, accept);
+        const startCharge = backward.endCharge;
+        const endCharge = forward.endCharge;
+
+        return {
+            points: [...backward.points].reverse().concat(forward.points.slice(1)),
+            fromPositive: !!startCharge || !endCharge,
+            startCharge,
+            endCharge
+        };
+    }
+
+    nearestCharge(x, y) {
+        let best = Infinity;
+        for (const c of this.system.charges) {
+            best = Math.min(best, Math.hypot(x - c.x, y - c.y));
+        }
+        return best;
+    }
+
+    inBounds(x, y) {
+        const b = this.bounds;
+        return !b || (x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height);
+    }
+
+    /**
+     * Where the step (x0, y0) → (x1, y1) leaves the bounds, or null if it doesn't
+     */
+    exitPoint(x0, y0, x1, y1) {
+        if (this.inBounds(x1, y1)) return null;
+
+        const b = this.bounds;
+        let t = 1;
+        if (x1 < b.x) t = Math.min(t, (b.x - x0) / (x1 - x0));
+        if (x1 > b.x + b.width) t = Math.min(t, (b.x + b.width - x0) / (x1 - x0));
+        if (y1 < b.y) t = Math.min(t, (b.y - y0) / (y1 - y0));
+        if (y1 > b.y + b.height) t = Math.min(t, (b.y + b.height - y0) / (y1 - y0));
+        t = Math.max(0, t);
+
+        return { x: x0 + (x1 - x0) * t, y: y0 + (y1 - y0) * t };
+    }
+
+    // ==========================================
+    // SEEDING
+    // ==========================================
+
+    /**
+     * Lines leaving every charge, `density` of them for the largest |q| and
+     * proportionally fewer (at least one) for the others; charged conductor
+     * surfaces seed 2·density lines by their induced charge
+     */
+    aroundCharges(density) {
+        const system = this.system;
+        const charges = system.charges.filter(c => c.charge !== 0 && !system.conductorAt(c.x, c.y));
+        const largest = Math.max(0, ...charges.map(c => Math.abs(c.charge)));
+        const count = (c) => Math.max(1, Math.round(density * Math.abs(c.charge) / largest));
+
+        const lines = [];
+        const arrivals = new Map();
+
+        for (const source of charges.filter(c => c.charge > 0)) {
+            const n = count(source);
+            for (let k = 0; k < n; k++) {
+                const trace = this.trace(this.ringPoint(source, 2 * Math.PI * k / n), 1, source);
+                const { endCharge, points } = trace;
+                lines.push({ points: [{ x: source.x, y: source.y }, ...points], fromPositive: true, startCharge: source, endCharge });
+
+                // Direction the line comes in from, seen from its sink
+                if (endCharge) {
+                    const before = points[Math.max(0, points.length - 2)];
+                    if (!arrivals.has(endCharge)) arrivals.set(endCharge, []);
+                    arrivals.get(endCharge).push(Math.atan2(before.y - endCharge.y, before.x - endCharge.x));
+                }
+            }
+        }
+
+        // Negative charges top up to their own count; lines that reach a
+        // positive charge or a conductor would duplicate existing ones
+        for (const sink of charges.filter(c => c.charge < 0)) {
+            const received = arrivals.get(sink) || [];
+            for (const angle of FieldLineTracer.gapAngles(received, count(sink) - received.length)) {
+                const trace = this.trace(this.ringPoint(sink, angle), -1, sink);
+                if (trace.endCharge || trace.endConductor) continue;
+
+                const points = [...trace.points].reverse();
+                points.push({ x: sink.x, y: sink.y });
+                lines.push({ points, fromPositive: false, startCharge: null, endCharge: sink });
+            }
+        }
+
+        const seeds = system.solver ? system.solver.fieldLineSeeds(2 * density) : [];
+        for (const seed of seeds) {
+            const fromPositive = seed.sign > 0;
+            const trace = this.trace(seed, seed.sign, null);
+            if (!fromPositive && (trace.endCharge || trace.endConductor)) continue;
+
+            lines.push({
+                points: fromPositive ? trace.points : [...trace.points].reverse(),
+                fromPositive,
+                startCharge: fromPositive ? null : trace.endCharge,
+                endCharge: fromPositive ? trace.endCharge : null
+            });
+        }
+
+        return lines;
+    }
+
+    /**
+     * `count` lines through a polyline, spaced so each carries the same
+     * share of the flux crossing it (evenly by length where no flux does)
+     * @param {Array<{x, y}>} polyline
+     */
+    alongLine(polyline, count) {
+        const samples = [];
+        let flux = 0;
+        let length = 0;
+
+        for (let k = 0; k + 1 < polyline.length; k++) {
+            const a = polyline[k], b = polyline[k + 1];
+            const segment = Math.hypot(b.x - a.x, b.y - a.y);
+            if (segment === 0) continue;
+
+            const nx = (a.y - b.y) / segment, ny = (b.x - a.x) / segment;
+            const parts = Math.max(1, Math.ceil(segment / this.step));
+            for (let m = 0; m < parts; m++) {
+                const f = (m + 0.5) / parts;
+                const x = a.x + (b.x - a.x) * f, y = a.y + (b.y - a.y) * f;
+                const E = this.system.fieldAt(x, y);
+                const weight = isFinite(E.magnitude) ? Math.abs(E.Ex * nx + E.Ey * ny) * segment / parts : 0;
+                flux += weight;
+                length += segment / parts;
+                samples.push({ x, y, flux, length });
+            }
+        }
+        if (samples.length === 0 || count <= 0) return [];
+
+        const key = flux > 0 ? 'flux' : 'length';
+        const total = flux > 0 ? flux : length;
+        const lines = [];
+        let s = 0;
+
+        for (let n = 0; n < count; n++) {
+            const target = total * (n + 0.5) / count;
+            while (s < samples.length - 1 && samples[s][key] < target) s++;
+            lines.push(this.traceThrough(samples[s]));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Jobard–Lefer evenly spaced lines over the bounds
+     * @param {number} separation - Distance between neighbouring lines
+     */
+    evenlySpaced(separation) {
+        const system = this.system;
+        const test = separation / 2;
+        const cells = new Map();
+        const cellKey = (x, y) => `${Math.floor(x / separation)},${Math.floor(y / separation)}`;
+
+        const clearOf = (x, y, distance) => {
+            const cx = Math.floor(x / separation), cy = Math.floor(y / separation);
+            for (let i = cx - 1; i <= cx + 1; i++) {
+                for (let j = cy - 1; j <= cy + 1; j++) {
+                    for (const p of cells.get(`${i},${j}`) || []) {
+                        if ((p.x - x) ** 2 + (p.y - y) ** 2 < distance * distance) return false;
+                    }
+                }
+            }
+            return true;
+        };
+        const nearCharge = (x, y) => this.nearestCharge(x, y) < separation;
+
+        // Lines enter the grid sampled finer than the test distance
+        const occupy = (points) => {
+            for (let k = 0; k < points.length; k++) {
+                const a = points[k], b = points[k + 1] || a;
+                const parts = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / (test / 2)));
+                for (let m = 0; m < parts; m++) {
+                    const p = { x: a.x + (b.x - a.x) * m / parts, y: a.y + (b.y - a.y) * m / parts };
+                    const key = cellKey(p.x, p.y);
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(p);
+                }
+            }
+        };
+
+        const lines = [];
+        const queue = [];
+        const accept = (x, y) => nearCharge(x, y) || clearOf(x, y, test);
+        const tryseed = (seed) => {
+            if (lines.length >= FieldLineTracer.MAX_LINES) return;
+            if (!this.inBounds(seed.x, seed.y) || system.conductorAt(seed.x, seed.y)) return;
+            if (!clearOf(seed.x, seed.y, separation)) return;
+
+            const line = this.traceThrough(seed, accept);
+            if (line.points.length < 3) return;
+            occupy(line.points);
+            lines.push(line);
+            queue.push(line);
+        };
+
+        // Start next to the charges, strongest first, then mid-view
+        const initial = [...system.charges]
+            .sort((a, b) => Math.abs(b.charge) - Math.abs(a.charge))
+            .flatMap(c => [0, 1, 2, 3].map(k => this.ringPoint(c, k * Math.PI / 2, 1.5)));
+        if (this.bounds) {
+            initial.push({ x: this.bounds.x + this.bounds.width / 2, y: this.bounds.y + this.bounds.height / 2 });
+        }
+
+        for (const seed of initial) {
+            tryseed(seed);
+
+            // New seeds one separation to either side along each line
+            while (queue.length > 0) {
+                const { points } = queue.shift();
+                let travelled = 0;
+                for (let k = 1; k < points.length; k++) {
+                    const a = points[k - 1], b = points[k];
+                    const segment = Math.hypot(b.x - a.x, b.y - a.y);
+                    travelled += segment;
+                    if (segment === 0 || travelled < test) continue;
+                    travelled = 0;
+
+                    const nx = (a.y - b.y) / segment, ny = (b.x - a.x) / segment;
+                    tryseed({ x: b.x + nx * separation, y: b.y + ny * separation });
+                    tryseed({ x: b.x - nx * separation, y: b.y - ny * separation });
+                }
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Point on the start circle around a charge
+     * @param {number} factor - Radius in capture radii
+     */
+    ringPoint(charge, angle, factor = 1) {
+        const r = this.captureRadius * factor;
+        return { x: charge.x + Math.cos(angle) * r, y: charge.y + Math.sin(angle) * r };
+    }
+
+    /**
+     * `count` new angles placed in the widest gaps between `angles`
+     * (evenly around the circle when there are none)
+     */
+    static gapAngles(angles, count) {
+        if (count <= 0) return [];
+        if (angles.length === 0) {
+            return Array.from({ length: count }, (_, k) => 2 * Math.PI * k / count);
+        }
+
+        const sorted = angles.map(a => (a + 2 * Math.PI) % (2 * Math.PI)).sort((a, b) => a - b);
+        const gaps = sorted.map((start, k) => ({
+            start,
+            width: k + 1 < sorted.length ? sorted[k + 1] - start : sorted[0] + 2 * Math.PI - start,
+            added: 0
+        }));
+
+        // Each new line goes where it leaves the widest spacing
+        for (let n = 0; n < count; n++) {
+            const widest = gaps.reduce((best, g) => g.width / (g.added + 1) > best.width / (best.added + 1) ? g : best);
+            widest.added++;
+        }
+
+        return gaps.flatMap(g => Array.from({ length: g.added }, (_, k) => g.start + g.width * (k + 1) / (g.added + 1)));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FieldLineTracer };
+}
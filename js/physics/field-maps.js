@@ -0,0 +1,149 @@
+/**
+ * PARTICLE FIELD MAPS
+ *
+ * Spatially varying E and B fields for the particle pusher:
+ * - Point charges (and conductors) of the electrostatic engine
+ * - Wires and segments of the magnetostatic engine
+ * - Magnetic bottle: axial mirror field with the paraxial radial terms
+ * - Quadrupole lens: transverse gradient over a finite length
+ *
+ * A map is {name, label, fieldAt(x, y, z), potentialAt?(x, y, z)}.
+ * The analytic maps also keep the `options` they were built from, so a
+ * physics worker can rebuild them (see describe / fromDescription); the
+ * charge and current maps read live engines and stay on the page.
+ * fieldAt returns any of {Ex, Ey, Ez, Bx, By, Bz} in V/m and tesla
+ * (missing components are zero); potentialAt, when present, gives the
+ * electrostatic potential in volts so the particle can report a
+ * conserved total energy. Positions are world meters, y up.
+ */
+
+class FieldMap {
+    // Factory per analytic map name
+    static ANALYTIC = { bottle: 'magneticBottle', quadrupole: 'quadrupole' };
+
+    /**
+     * Electrostatic engine as a field source
+     * Off the charge plane the point charges gain Ez and the conductor
+     * correction (a plane solve) is dropped.
+     */
+    static fromChargeSystem(chargeSystem) {
+        return {
+            name: 'charges',
+            label: 'Electrostatic charges',
+            fieldAt: (x, y, z = 0) => {
+                const E = chargeSystem.fieldAt(x, y, z);
+                return { Ex: E.Ex, Ey: E.Ey, Ez: E.Ez };
+            },
+            potentialAt: (x, y, z = 0) => {
+                if (z === 0) return chargeSystem.potentialAt(x, y);
+
+                let V = 0;
+                for (const c of chargeSystem.charges) {
+                    const r = Math.hypot(x - c.x, y - c.y, z) * chargeSystem.lengthScale;
+                    V += ChargeSystem.COULOMB_K * c.charge / r;
+                }
+                return V;
+            }
+        };
+    }
+
+    /**
+     * Magnetostatic engine as a field source
+     * Wires are infinite along z, so their field holds at any height;
+     * in-plane segments are evaluated in the plane.
+     */
+    static fromCurrentSystem(currentSystem) {
+        return {
+            name: 'currents',
+            label: 'Magnetostatic currents',
+            fieldAt: (x, y) => {
+                const B = currentSystem.fieldAt(x, y);
+                return { Bx: B.Bx, By: B.By, Bz: B.Bz };
+            }
+        };
+    }
+
+    /**
+     * Magnetic bottle with its axis along x
+     * Bx = B0 (1 + (R − 1) x² / L²) peaks at R·B0 in the mirror throats
+     * x = ±L; the radial terms By = −(y/2) ∂Bx/∂x, Bz = −(z/2) ∂Bx/∂x keep
+     * ∇·B = 0 to first order off axis. Particles with a pitch angle above
+     * asin(1/√R) at the center are trapped.
+     * @param {Object} options - {B0 (T), mirrorRatio, length L (m)}
+     */
+    static magneticBottle(options = {}) {
+        const B0 = options.B0 ?? 1;
+        const ratio = options.mirrorRatio ?? 4;
+        const L = options.length ?? 3;
+        const curvature = B0 * (ratio - 1) / (L * L);
+
+        return {
+            name: 'bottle',
+            label: 'Magnetic bottle',
+            B0,
+            mirrorRatio: ratio,
+            length: L,
+            lossConeAngle: Math.asin(1 / Math.sqrt(ratio)),
+            options: { B0, mirrorRatio: ratio, length: L },
+            fieldAt: (x, y, z = 0) => {
+                const dBx = 2 * curvature * x;
+                return { Bx: B0 + curvature * x * x, By: -y * dBx / 2, Bz: -z * dBx / 2 };
+            }
+        };
+    }
+
+    /**
+     * Quadrupole lens with its axis along x, hard-edged over
+     * |x − center| ≤ length/2: Bz = G·y, By = G·z
+     * A particle moving along +x is focused in y and defocused in z when
+     * q·G > 0; the thin-lens focal length is f = p / (|q| |G| length).
+     * @param {Object} options - {gradient G (T/m), center (m), length (m)}
+     */
+    static quadrupole(options = {}) {
+        const G = options.gradient ?? 1;
+        const center = options.center ?? 0;
+        const length = options.length ?? 1;
+
+        return {
+            name: 'quadrupole',
+            label: 'Quadrupole lens',
+            gradient: G,
+            center,
+            length,
+            focalLength: (momentum, charge) => momentum / (Math.abs(charge * G) * length),
+            options: { gradient: G, center, length },
+            fieldAt: (x, y, z = 0) => {
+                if (Math.abs(x - center) > length / 2) return {};
+                return { By: G * z, Bz: G * y };
+            }
+        };
+    }
+
+    /**
+     * Whether the map can be rebuilt elsewhere from its description
+     * (no map, the uniform case, counts)
+     */
+    static isPortable(map) {
+        return !map || FieldMap.ANALYTIC[map.name] !== undefined;
+    }
+
+    /**
+     * @returns {?{name, options}} null for no map
+     */
+    static describe(map) {
+        if (!map) return null;
+        if (!FieldMap.isPortable(map)) {
+            throw new Error(`The ${map.label} map reads a live engine and can't be described`);
+        }
+        return { name: map.name, options: map.options };
+    }
+
+    static fromDescription(description) {
+        if (!description) return null;
+        return FieldMap[FieldMap.ANALYTIC[description.name]](description.options);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FieldMap };
+}
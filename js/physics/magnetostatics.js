@@ -0,0 +1,459 @@
+/**
+ * MAGNETOSTATIC CURRENT SYSTEM
+ *
+ * Biot–Savart engine for steady currents:
+ * - Out-of-plane line currents (infinite wires along z)
+ * - In-plane current segments of finite length
+ * - B-field, vector potential Az and B-line tracing
+ *
+ * A wire's field circles it in the plane, B = μ₀I / (2πr) φ̂, with
+ * +I flowing out of the page (+z). An in-plane segment's field in its
+ * own plane is purely out of plane (Bz), so it shows up in |B| but adds
+ * no in-plane B-lines. Az comes from the wires alone and is referenced
+ * to zero at 1 m from each wire; its level sets are the B-lines.
+ *
+ * Positions are world meters, currents amperes; outputs are SI (T, T·m).
+ */
+
+class CurrentSystem {
+    // Vacuum permeability in H/m
+    static MU_0 = 1.25663706212e-6;
+
+    constructor(options = {}) {
+        this.wires = [];
+        this.segments = [];
+        this.nextId = 1;
+
+        // B-line tracing settings (meters)
+        this.linesPerWire = options.linesPerWire || 10;
+        this.lineStep = options.lineStep || 0.04;
+        this.lineMaxSteps = options.lineMaxSteps || 4000;
+        this.lineStartRadius = options.lineStartRadius || 0.1;
+
+        // Change listeners (e.g. renderer caches)
+        this.listeners = [];
+    }
+
+    // ==========================================
+    // CURRENT MANAGEMENT
+    // ==========================================
+
+    /**
+     * Line current along z through (x, y); +I flows out of the page
+     */
+    addWire(x, y, current) {
+        const entry = { id: this.nextId++, x, y, current };
+        this.wires.push(entry);
+        this.notify('add', entry);
+        return entry;
+    }
+
+    /**
+     * In-plane segment carrying I from (x1, y1) to (x2, y2)
+     */
+    addSegment(x1, y1, x2, y2, current) {
+        const entry = { id: this.nextId++, x1, y1, x2, y2, current };
+        this.segments.push(entry);
+        this.notify('add', entry);
+        return entry;
+    }
+
+    /**
+     * Closed polygonal loop of segments, counter-clockwise for I > 0
+     */
+    addLoop(points, current) {
+        return points.map((a, i) => {
+            const b = points[(i + 1) % points.length];
+            return this.addSegment(a.x, a.y, b.x, b.y, current);
+        });
+    }
+
+    remove(id) {
+        for (const list of [this.wires, this.segments]) {
+            const index = list.findIndex(e => e.id === id);
+            if (index === -1) continue;
+
+            const [removed] = list.splice(index, 1);
+            this.notify('remove', removed);
+            return true;
+        }
+        return false;
+    }
+
+    moveWire(id, x, y) {
+        const entry = this.wires.find(w => w.id === id);
+        if (!entry) return false;
+
+        entry.x = x;
+        entry.y = y;
+        this.notify('move', entry);
+        return true;
+    }
+
+    /**
+     * Shift a segment by (dx, dy), keeping its length and direction
+     */
+    translateSegment(id, dx, dy) {
+        const entry = this.segments.find(s => s.id === id);
+        if (!entry) return false;
+
+        entry.x1 += dx;
+        entry.y1 += dy;
+        entry.x2 += dx;
+        entry.y2 += dy;
+        this.notify('move', entry);
+        return true;
+    }
+
+    setCurrent(id, current) {
+        const entry = this.get(id);
+        if (!entry) return false;
+
+        entry.current = current;
+        this.notify('update', entry);
+        return true;
+    }
+
+    get(id) {
+        return this.wires.find(w => w.id === id) || this.segments.find(s => s.id === id) || null;
+    }
+
+    static isSegment(entry) {
+        return !!entry && entry.x1 !== undefined;
+    }
+
+    clear() {
+        this.wires = [];
+        this.segments = [];
+        this.notify('clear', null);
+    }
+
+    /**
+     * Net current through the plane (out of the page positive)
+     */
+    totalCurrent() {
+        return this.wires.reduce((sum, w) => sum + w.current, 0);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(type, entry) {
+        for (const listener of this.listeners) {
+            listener(type, entry);
+        }
+    }
+
+    // ==========================================
+    // FIELD EVALUATION (BIOT–SAVART)
+    // ==========================================
+
+    /**
+     * Magnetic flux density at (x, y) in tesla
+     * A wire exactly on the sample point contributes nothing, as does a
+     * segment collinear with it.
+     * @returns {{Bx: number, By: number, Bz: number, magnitude: number}}
+     */
+    fieldAt(x, y) {
+        const mu = CurrentSystem.MU_0;
+        let Bx = 0, By = 0, Bz = 0;
+
+        for (const w of this.wires) {
+            const dx = x - w.x;
+            const dy = y - w.y;
+            const r2 = dx * dx + dy * dy;
+            if (r2 === 0) continue;
+
+            // ẑ × r̂ / r
+            const factor = mu * w.current / (2 * Math.PI * r2);
+            Bx -= factor * dy;
+            By += factor * dx;
+        }
+
+        for (const s of this.segments) {
+            Bz += CurrentSystem.segmentBz(s, x, y);
+        }
+
+        return { Bx, By, Bz, magnitude: Math.sqrt(Bx * Bx + By * By + Bz * Bz) };
+    }
+
+    /**
+     * Bz of a finite straight segment at a point in its plane:
+     * μ₀I / (4πd) · (u₂/√(u₂² + d²) − u₁/√(u₁² + d²)), with d the signed
+     * distance off the segment's line and u₁, u₂ the ends measured along it
+     */
+    static segmentBz(s, x, y) {
+        const lx = s.x2 - s.x1;
+        const ly = s.y2 - s.y1;
+        const length = Math.hypot(lx, ly);
+        if (length === 0) return 0;
+
+        const tx = lx / length, ty = ly / length;
+        const px = x - s.x1, py = y - s.y1;
+        const d = tx * py - ty * px;
+        if (Math.abs(d) < 1e-12 * length) return 0;
+
+        const u1 = -(tx * px + ty * py);
+        const u2 = u1 + length;
+        const d2 = d * d;
+        return CurrentSystem.MU_0 * s.current / (4 * Math.PI * d) *
+            (u2 / Math.sqrt(u2 * u2 + d2) - u1 / Math.sqrt(u1 * u1 + d2));
+    }
+
+    /**
+     * z-component of the vector potential in T·m from the wires,
+     * Az = −μ₀I / (2π) · ln(r / 1 m); ±Infinity on top of a wire
+     */
+    vectorPotentialAt(x, y) {
+        let Az = 0;
+
+        for (const w of this.wires) {
+            const r = Math.hypot(x - w.x, y - w.y);
+            if (r === 0) return w.current >= 0 ? Infinity : -Infinity;
+            Az -= CurrentSystem.MU_0 * w.current / (2 * Math.PI) * Math.log(r);
+        }
+
+        return Az;
+    }
+
+    /**
+     * Force per unit length on each wire from all the others (N/m)
+     * Parallel currents attract, antiparallel ones repel.
+     * @returns {Array<{id, Fx, Fy}>}
+     */
+    wireForces() {
+        return this.wires.map(w => {
+            let Fx = 0, Fy = 0;
+            for (const other of this.wires) {
+                if (other === w) continue;
+                const dx = w.x - other.x;
+                const dy = w.y - other.y;
+                const r2 = dx * dx + dy * dy;
+                if (r2 === 0) continue;
+
+                // F' = I ẑ × B = −μ₀I₁I₂ / (2πr) r̂ (r̂ from the other wire)
+                const factor = -CurrentSystem.MU_0 * w.current * other.current / (2 * Math.PI * r2);
+                Fx += factor * dx;
+                Fy += factor * dy;
+            }
+            return { id: w.id, Fx, Fy };
+        });
+    }
+
+    // ==========================================
+    // FIELD LINES
+    // ==========================================
+
+    /**
+     * Trace B-lines of the wires as level sets of Az
+     * Lines are seeded where Az crosses evenly spaced levels, along a ray
+     * out of each wire (pointing away from the other wires) and around the
+     * edge of the bounds, so their density follows |B|. Each level is
+     * traced once per connected piece: seeds lying on an already traced
+     * line of the same level are skipped. Closed loops are returned whole;
+     * lines leaving the bounds are traced both ways from their seed.
+     * @param {Object} bounds - {x, y, width, height} in meters
+     * @returns {Array<{points: Array<{x, y}>, fromPositive: boolean, closed: boolean}>}
+     *   Points run along B; fromPositive when the line circles positive
+     *   (out-of-page) current
+     */
+    getFieldLines(bounds) {
+        if (this.wires.length === 0) return [];
+
+        const h = this.lineStep;
+        const r0 = this.lineStartRadius;
+        const reach = Math.hypot(bounds.width, bounds.height);
+        const peak = Math.max(...this.wires.map(w => Math.abs(w.current)));
+        if (peak === 0) return [];
+
+        // One level per linesPerWire-th of a lone peak wire's Az drop from r0 out to the view size
+        const spacing = CurrentSystem.MU_0 * peak / (2 * Math.PI) * Math.log(reach / r0) / this.linesPerWire;
+
+        const seeds = [];
+        for (const w of this.wires) {
+            if (w.current === 0) continue;
+            const direction = this.seedDirection(w);
+            const path = [];
+            for (let r = r0; r <= reach; r += h) {
+                const x = w.x + direction.x * r;
+                const y = w.y + direction.y * r;
+                if (this.wires.some(o => o !== w && Math.hypot(x - o.x, y - o.y) < r0)) break;
+                if (!this.inBounds(x, y, bounds, 0)) break;
+                path.push({ x, y });
+            }
+            this.collectSeeds(path, spacing, seeds);
+        }
+
+        const { x: bx, y: by, width, height } = bounds;
+        const corners = [
+            { x: bx, y: by }, { x: bx + width, y: by },
+            { x: bx + width, y: by + height }, { x: bx, y: by + height }
+        ];
+        const edge = [];
+        corners.forEach((a, i) => {
+            const b = corners[(i + 1) % 4];
+            const n = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / h));
+            for (let k = 0; k < n; k++) {
+                edge.push({ x: a.x + (b.x - a.x) * k / n, y: a.y + (b.y - a.y) * k / n });
+            }
+        });
+        edge.push(corners[0]);
+        this.collectSeeds(edge, spacing, seeds);
+
+        const lines = [];
+        const byLevel = new Map();
+        const onTraced = (seed) => (byLevel.get(seed.level) || []).some(line =>
+            line.points.some(p => Math.abs(p.x - seed.x) < 2 * h && Math.abs(p.y - seed.y) < 2 * h));
+
+        for (const seed of seeds) {
+            if (onTraced(seed)) continue;
+
+            const forward = this.traceFieldLine(seed, 1, bounds);
+            let points = forward.points;
+            if (!forward.closed) {
+                const backward = this.traceFieldLine(seed, -1, bounds);
+                points = backward.points.slice(1).reverse().concat(points);
+            }
+            if (points.length < 2) continue;
+
+            const line = { points, fromPositive: this.circlesPositive(points, forward.closed), closed: forward.closed };
+            lines.push(line);
+            if (!byLevel.has(seed.level)) byLevel.set(seed.level, []);
+            byLevel.get(seed.level).push(line);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Unit vector from a wire away from the current-weighted centre of
+     * the others (+x for a lone wire)
+     */
+    seedDirection(wire) {
+        let cx = 0, cy = 0, weight = 0;
+        for (const o of this.wires) {
+            if (o === wire) continue;
+            const w = Math.abs(o.current);
+            cx += o.x * w;
+            cy += o.y * w;
+            weight += w;
+        }
+        if (weight === 0) return { x: 1, y: 0 };
+
+        const dx = wire.x - cx / weight;
+        const dy = wire.y - cy / weight;
+        const length = Math.hypot(dx, dy);
+        return length > 0 ? { x: dx / length, y: dy / length } : { x: 1, y: 0 };
+    }
+
+    /**
+     * Points along a polyline where Az crosses a multiple of `spacing`
+     */
+    collectSeeds(path, spacing, seeds) {
+        let previous = null;
+        for (const p of path) {
+            const A = this.vectorPotentialAt(p.x, p.y);
+            if (!isFinite(A)) {
+                previous = null;
+                continue;
+            }
+
+            if (previous) {
+                const a = previous.A / spacing;
+                const b = A / spacing;
+                const lo = Math.min(a, b), hi = Math.max(a, b);
+                for (let level = Math.floor(lo) + 1; level <= hi && level - lo < 1000; level++) {
+                    const t = (level - a) / (b - a);
+                    seeds.push({
+                        x: previous.x + (p.x - previous.x) * t,
+                        y: previous.y + (p.y - previous.y) * t,
+                        level
+                    });
+                }
+            }
+            previous = { x: p.x, y: p.y, A };
+        }
+    }
+
+    /**
+     * Whether a line circles current flowing out of the page: a closed
+     * loop runs counter-clockwise; an open one takes the sign of the wire
+     * that dominates B at its midpoint
+     */
+    circlesPositive(points, closed) {
+        if (closed) {
+            let area = 0;
+            for (let i = 0; i < points.length - 1; i++) {
+                area += points[i].x * points[i + 1].y - points[i + 1].x * points[i].y;
+            }
+            return area > 0;
+        }
+
+        const mid = points[Math.floor(points.length / 2)];
+        let best = null, strongest = -Infinity;
+        for (const w of this.wires) {
+            const strength = Math.abs(w.current) / Math.hypot(mid.x - w.x, mid.y - w.y);
+            if (strength > strongest) {
+                strongest = strength;
+                best = w;
+            }
+        }
+        return !!best && best.current > 0;
+    }
+
+    inBounds(x, y, bounds, margin) {
+        return x >= bounds.x - margin && x <= bounds.x + bounds.width + margin &&
+            y >= bounds.y - margin && y <= bounds.y + bounds.height + margin;
+    }
+
+    /**
+     * Integrate one B-line with fixed-step RK4 along the unit in-plane
+     * field, stopping when it closes on its start, leaves the bounds or
+     * reaches maxSteps
+     * @param {number} direction - +1 along B, −1 against it
+     * @returns {{points: Array<{x, y}>, closed: boolean}}
+     */
+    traceFieldLine(start, direction, bounds) {
+        const points = [{ x: start.x, y: start.y }];
+        const h = this.lineStep;
+        const margin = h * 4;
+        let x = start.x, y = start.y;
+        let travelled = 0;
+
+        const dir = (px, py) => {
+            const B = this.fieldAt(px, py);
+            const magnitude = Math.hypot(B.Bx, B.By);
+            if (magnitude === 0 || !isFinite(magnitude)) return null;
+            return { x: direction * B.Bx / magnitude, y: direction * B.By / magnitude };
+        };
+
+        for (let step = 0; step < this.lineMaxSteps; step++) {
+            const k1 = dir(x, y);
+            if (!k1) break;
+            const k2 = dir(x + k1.x * h / 2, y + k1.y * h / 2);
+            const k3 = k2 && dir(x + k2.x * h / 2, y + k2.y * h / 2);
+            const k4 = k3 && dir(x + k3.x * h, y + k3.y * h);
+            if (!k4) break;
+
+            x += (k1.x + 2 * k2.x + 2 * k3.x + k4.x) * h / 6;
+            y += (k1.y + 2 * k2.y + 2 * k3.y + k4.y) * h / 6;
+            travelled += h;
+            points.push({ x, y });
+
+            // Back at the start after going round: close the loop
+            if (travelled > 4 * h && Math.hypot(x - start.x, y - start.y) < h) {
+                points[points.length - 1] = { x: start.x, y: start.y };
+                return { points, closed: true };
+            }
+
+            if (!this.inBounds(x, y, bounds, margin)) break;
+        }
+
+        return { points, closed: false };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CurrentSystem };
+}
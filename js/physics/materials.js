@@ -0,0 +1,234 @@
+/**
+ * MATERIALS LIBRARY
+ *
+ * Registry of electromagnetic media shared by the FDTD solvers and
+ * the renderer:
+ * - Static relative permittivity (ε∞) and conductivity σ (S/m)
+ * - Optional Drude and Lorentz dispersion poles
+ * - Complex permittivity, refractive index and normal reflectance
+ *
+ * Pole frequencies are ordinary frequencies in Hz; they are converted
+ * to angular frequencies internally (e^{-iωt} convention):
+ *
+ *   Drude:   ε(ω) = ε∞ − ωp² / (ω² + iγω)
+ *   Lorentz: ε(ω) = ε∞ + Δε·ω0² / (ω0² − ω² − iγω)
+ */
+
+class MaterialLibrary {
+    static EPSILON_0 = 8.8541878128e-12;
+
+    static DEFAULTS = {
+        vacuum: { label: 'Vacuum (n=1.0)', epsilonInf: 1, color: '#05050A' },
+        glass: { label: 'Glass (n=1.5)', epsilonInf: 2.25, color: '#1565C0' },
+        water: { label: 'Water (n=1.33)', epsilonInf: 1.7689, color: '#1565C0' },
+        silicon: { label: 'Silicon (n=3.4)', epsilonInf: 11.56, color: '#1565C0' },
+        silver: {
+            label: 'Silver (Drude)',
+            epsilonInf: 3.7,
+            color: '#9898A0',
+            poles: [{ type: 'drude', plasmaFrequency: 2.18e15, damping: 4.35e12 }]
+        },
+        gold: {
+            label: 'Gold (Drude)',
+            epsilonInf: 9.5,
+            color: '#E65100',
+            poles: [{ type: 'drude', plasmaFrequency: 2.16e15, damping: 1.6e13 }]
+        },
+        plasma: {
+            label: 'Plasma Slab (fp=600 THz)',
+            epsilonInf: 1,
+            color: '#4CAF50',
+            poles: [{ type: 'drude', plasmaFrequency: 600e12, damping: 1e12 }]
+        },
+        resonant: {
+            label: 'Resonant Dielectric (Lorentz)',
+            epsilonInf: 2.25,
+            color: '#1565C0',
+            poles: [{ type: 'lorentz', deltaEpsilon: 1.5, resonanceFrequency: 750e12, damping: 30e12 }]
+        }
+    };
+
+    constructor() {
+        this.materials = new Map();
+        this.listeners = [];
+
+        for (const [name, props] of Object.entries(MaterialLibrary.DEFAULTS)) {
+            this.register(name, props);
+        }
+    }
+
+    // ==========================================
+    // REGISTRY
+    // ==========================================
+
+    /**
+     * Add or replace a material; grids copy a material's coefficients when
+     * it is applied, so onChange listeners rebuild the ones using it
+     * @param {string} name - Registry key, e.g. 'ito'
+     * @param {Object} props - {label, epsilonInf, sigma, color, poles}
+     * @returns {Object} The normalized material
+     */
+    register(name, props = {}) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Material name must be a non-empty string');
+        }
+
+        const epsilonInf = props.epsilonInf ?? props.epsilon_r ?? 1;
+        const sigma = props.sigma ?? 0;
+
+        if (!(epsilonInf >= 1)) {
+            throw new Error(`Material "${name}": epsilonInf must be a number ≥ 1`);
+        }
+        if (!(sigma >= 0)) {
+            throw new Error(`Material "${name}": sigma must be a number ≥ 0`);
+        }
+
+        const poles = (props.poles || []).map((pole, index) => this.validatePole(name, pole, index));
+
+        const material = {
+            name,
+            label: props.label || name,
+            epsilonInf,
+            sigma,
+            color: props.color || '#1565C0',
+            poles
+        };
+
+        this.materials.set(name, material);
+        this.notify(material);
+        return material;
+    }
+
+    validatePole(name, pole, index) {
+        const where = `Material "${name}" pole ${index}`;
+
+        if (pole.type === 'drude') {
+            if (!(pole.plasmaFrequency > 0)) throw new Error(`${where}: plasmaFrequency must be > 0`);
+            if (!(pole.damping >= 0)) throw new Error(`${where}: damping must be ≥ 0`);
+            return { type: 'drude', plasmaFrequency: pole.plasmaFrequency, damping: pole.damping };
+        }
+
+        if (pole.type === 'lorentz') {
+            if (!(pole.deltaEpsilon > 0)) throw new Error(`${where}: deltaEpsilon must be > 0`);
+            if (!(pole.resonanceFrequency > 0)) throw new Error(`${where}: resonanceFrequency must be > 0`);
+            if (!(pole.damping >= 0)) throw new Error(`${where}: damping must be ≥ 0`);
+            return {
+                type: 'lorentz',
+                deltaEpsilon: pole.deltaEpsilon,
+                resonanceFrequency: pole.resonanceFrequency,
+                damping: pole.damping
+            };
+        }
+
+        throw new Error(`${where}: type must be 'drude' or 'lorentz'`);
+    }
+
+    get(name) {
+        return this.materials.get(name) || null;
+    }
+
+    has(name) {
+        return this.materials.has(name);
+    }
+
+    list() {
+        return Array.from(this.materials.values());
+    }
+
+    isDispersive(name) {
+        const material = this.get(name);
+        return !!material && material.poles.length > 0;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(material) {
+        for (const listener of this.listeners) {
+            listener(material);
+        }
+    }
+
+    // ==========================================
+    // OPTICAL RESPONSE
+    // ==========================================
+
+    /**
+     * Complex relative permittivity at frequency f (Hz), e^{-iωt} convention
+     * @returns {{re: number, im: number}}
+     */
+    permittivityAt(name, f) {
+        const material = this.get(name);
+        if (!material) throw new Error(`Unknown material: ${name}`);
+
+        const omega = 2 * Math.PI * f;
+        let re = material.epsilonInf;
+        let im = material.sigma / (omega * MaterialLibrary.EPSILON_0);
+
+        for (const pole of material.poles) {
+            const gamma = 2 * Math.PI * pole.damping;
+            let num, denRe, denIm;
+
+            if (pole.type === 'drude') {
+                const wp = 2 * Math.PI * pole.plasmaFrequency;
+                // −ωp² / (ω² + iγω)
+                num = -wp * wp;
+                denRe = omega * omega;
+                denIm = gamma * omega;
+            } else {
+                const w0 = 2 * Math.PI * pole.resonanceFrequency;
+                // Δε·ω0² / (ω0² − ω² − iγω)
+                num = pole.deltaEpsilon * w0 * w0;
+                denRe = w0 * w0 - omega * omega;
+                denIm = -gamma * omega;
+            }
+
+            const den2 = denRe * denRe + denIm * denIm;
+            re += num * denRe / den2;
+            im -= num * denIm / den2;
+        }
+
+        return { re, im };
+    }
+
+    /**
+     * Complex refractive index n + iκ (principal root, κ ≥ 0)
+     */
+    refractiveIndexAt(name, f) {
+        const eps = this.permittivityAt(name, f);
+        const modulus = Math.hypot(eps.re, eps.im);
+        const n = Math.sqrt((modulus + eps.re) / 2);
+        const kappa = Math.sqrt(Math.max(0, (modulus - eps.re) / 2));
+        return { n, kappa };
+    }
+
+    /**
+     * Normal-incidence power reflectance from vacuum
+     */
+    reflectanceAt(name, f) {
+        const { n, kappa } = this.refractiveIndexAt(name, f);
+        return ((1 - n) ** 2 + kappa ** 2) / ((1 + n) ** 2 + kappa ** 2);
+    }
+
+    /**
+     * Shading opacity used by the renderer for a material region
+     */
+    shadeAlpha(name) {
+        const material = this.get(name);
+        if (!material || name === 'vacuum') return 0;
+        if (material.poles.length > 0 || material.sigma > 0) return 0.3;
+        return Math.min(0.25, (material.epsilonInf - 1) / 15);
+    }
+}
+
+// Shared registry
+const materialLibrary = new MaterialLibrary();
+
+if (typeof window !== 'undefined') {
+    window.materialLibrary = materialLibrary;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MaterialLibrary, materialLibrary };
+}
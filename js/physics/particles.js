@@ -0,0 +1,348 @@
+/**
+ * CHARGED PARTICLE DYNAMICS
+ *
+ * Boris-pusher integrator for a point charge in E and B fields:
+ * - Species table (electron, proton, positron, alpha)
+ * - Classical or relativistic momentum (γ correction)
+ * - Uniform applied fields plus an optional spatially varying field map
+ *   (see FieldMap)
+ * - Bounded trajectory trail and energy history for the renderer
+ *
+ * Positions are in meters (y up), fields in V/m and tesla. Motion is
+ * three-dimensional so in-plane B (mirrors, wires) can act; the plane
+ * view shows the x–y projection and z stays 0 unless a field or the
+ * launch pitch moves the particle out of the plane. The Boris rotation
+ * is exactly norm-preserving, so a pure magnetic field leaves the
+ * kinetic energy unchanged to round-off.
+ */
+
+class ChargedParticle {
+    static C = 299792458;
+    static ELEMENTARY_CHARGE = 1.602176634e-19;
+
+    // Classical launches are capped at this fraction of c, where γ − 1 is
+    // still under 0.5 %; above it the classical model is meaningless
+    static MAX_CLASSICAL_BETA = 0.1;
+
+    static SPECIES = {
+        electron: { name: 'Electron', symbol: 'e⁻', charge: -1.602176634e-19, mass: 9.1093837015e-31 },
+        proton: { name: 'Proton', symbol: 'p⁺', charge: 1.602176634e-19, mass: 1.67262192369e-27 },
+        positron: { name: 'Positron', symbol: 'e⁺', charge: 1.602176634e-19, mass: 9.1093837015e-31 },
+        alpha: { name: 'Alpha', symbol: 'α²⁺', charge: 3.204353268e-19, mass: 6.6446573357e-27 }
+    };
+
+    constructor(options = {}) {
+        this.relativistic = options.relativistic ?? true;
+        this.launchCapped = false;
+        this.maxTrajectoryLength = options.maxTrajectoryLength || 600;
+        this.maxEnergyHistory = options.maxEnergyHistory || 300;
+        this.trajectoryInterval = options.trajectoryInterval || 1;
+
+        // Uniform applied fields
+        this.Ex = options.Ex || 0;
+        this.Ey = options.Ey || 0;
+        this.Bz = options.Bz ?? 0;
+
+        // Spatially varying fields added to the uniform ones, or null
+        this.fieldMap = options.fieldMap || null;
+
+        this.setSpecies(options.species || 'electron');
+
+        this.initialState = {
+            x: options.x || 0,
+            y: options.y || 0,
+            vx: options.vx || 0,
+            vy: options.vy || 0,
+            z: options.z || 0,
+            vz: options.vz || 0
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        const s = this.initialState;
+        this.x = s.x;
+        this.y = s.y;
+        this.z = s.z || 0;
+        this.setVelocity(s.vx, s.vy, s.vz || 0);
+
+        this.time = 0;
+        this.stepCount = 0;
+        this.trajectory = [{ x: this.x, y: this.y, z: this.z, t: 0 }];
+        this.energyHistory = [];
+        this.recordEnergy();
+    }
+
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+
+    setSpecies(type) {
+        const species = ChargedParticle.SPECIES[type];
+        if (!species) {
+            throw new Error(`Unknown particle species: ${type}`);
+        }
+
+        // Preserve velocity across species changes when already moving
+        const v = this.ux !== undefined ? this.getVelocity() : null;
+
+        this.species = type;
+        this.charge = species.charge;
+        this.mass = species.mass;
+
+        if (v) this.setVelocity(v.vx, v.vy, v.vz);
+    }
+
+    /**
+     * Switch momentum models, keeping the velocity; a classical speed at
+     * or above c is scaled to just below it
+     */
+    setRelativistic(enabled) {
+        const v = this.getVelocity();
+        const speed = Math.hypot(v.vx, v.vy, v.vz);
+        const limit = ChargedParticle.C * (1 - 1e-9);
+        const scale = enabled && speed > limit ? limit / speed : 1;
+
+        this.relativistic = enabled;
+        this.setVelocity(v.vx * scale, v.vy * scale, v.vz * scale);
+    }
+
+    setFields(Ex, Ey, Bz) {
+        this.Ex = Ex;
+        this.Ey = Ey;
+        this.Bz = Bz;
+    }
+
+    /**
+     * @param {Object} fieldMap - {fieldAt, potentialAt?} (see FieldMap), or null
+     */
+    setFieldMap(fieldMap) {
+        this.fieldMap = fieldMap;
+    }
+
+    setInitialState(x, y, vx, vy, z = 0, vz = 0) {
+        this.initialState = { x, y, vx, vy, z, vz };
+    }
+
+    /**
+     * Initial state from a kinetic energy (J), launch angle in the plane
+     * and pitch out of the plane (rad)
+     */
+    launchWithKineticEnergy(x, y, kineticEnergy, angle = 0, pitch = 0) {
+        this.launch(x, y, this.speedFromKineticEnergy(kineticEnergy), angle, pitch);
+    }
+
+    /**
+     * Initial state from a momentum magnitude (kg·m/s), launch angle in the
+     * plane and pitch out of the plane (rad)
+     * The same momentum gives the same gyroradius r = p / |qB| in both the
+     * classical and relativistic models.
+     */
+    launchWithMomentum(x, y, momentum, angle = 0, pitch = 0) {
+        const u = momentum / this.mass;
+        const gamma = this.relativistic ? Math.sqrt(1 + (u / ChargedParticle.C) ** 2) : 1;
+        this.launch(x, y, u / gamma, angle, pitch);
+    }
+
+    /**
+     * Initial state from a speed (m/s); in classical mode the speed is
+     * capped at MAX_CLASSICAL_BETA·c and `launchCapped` says whether it was
+     */
+    launch(x, y, speed, angle, pitch) {
+        const cap = ChargedParticle.MAX_CLASSICAL_BETA * ChargedParticle.C;
+        this.launchCapped = !this.relativistic && speed > cap;
+        if (this.launchCapped) speed = cap;
+
+        const inPlane = speed * Math.cos(pitch);
+        this.setInitialState(x, y, inPlane * Math.cos(angle), inPlane * Math.sin(angle), 0, speed * Math.sin(pitch));
+        this.reset();
+    }
+
+    speedFromKineticEnergy(kineticEnergy) {
+        if (!this.relativistic) {
+            return Math.sqrt(2 * kineticEnergy / this.mass);
+        }
+        const restEnergy = this.mass * ChargedParticle.C ** 2;
+        const gamma = 1 + kineticEnergy / restEnergy;
+        return ChargedParticle.C * Math.sqrt(1 - 1 / (gamma * gamma));
+    }
+
+    // ==========================================
+    // STATE
+    // ==========================================
+
+    /**
+     * Momentum is stored as u = γv (γ = 1 in classical mode)
+     */
+    setVelocity(vx, vy, vz = 0) {
+        let gamma = 1;
+        if (this.relativistic) {
+            const beta2 = (vx * vx + vy * vy + vz * vz) / ChargedParticle.C ** 2;
+            if (beta2 >= 1) {
+                throw new Error('Relativistic particle speed must be below c');
+            }
+            gamma = 1 / Math.sqrt(1 - beta2);
+        }
+        this.ux = gamma * vx;
+        this.uy = gamma * vy;
+        this.uz = gamma * vz;
+    }
+
+    get gamma() {
+        if (!this.relativistic) return 1;
+        return Math.sqrt(1 + (this.ux * this.ux + this.uy * this.uy + this.uz * this.uz) / ChargedParticle.C ** 2);
+    }
+
+    getVelocity() {
+        const gamma = this.gamma;
+        return { vx: this.ux / gamma, vy: this.uy / gamma, vz: this.uz / gamma };
+    }
+
+    get speed() {
+        const v = this.getVelocity();
+        return Math.hypot(v.vx, v.vy, v.vz);
+    }
+
+    /**
+     * Momentum magnitude in kg·m/s
+     */
+    get momentum() {
+        return this.mass * Math.hypot(this.ux, this.uy, this.uz);
+    }
+
+    kineticEnergy() {
+        if (this.relativistic) {
+            return (this.gamma - 1) * this.mass * ChargedParticle.C ** 2;
+        }
+        return 0.5 * this.mass * (this.ux * this.ux + this.uy * this.uy + this.uz * this.uz);
+    }
+
+    potentialEnergy() {
+        return this.charge * this.potentialAt(this.x, this.y, this.z);
+    }
+
+    /**
+     * Potential in volts of the uniform E field (zero at the origin) plus
+     * the field map's potential when it has one
+     */
+    potentialAt(x, y, z = 0) {
+        let V = -(this.Ex * x + this.Ey * y);
+        if (this.fieldMap && this.fieldMap.potentialAt) {
+            const mapped = this.fieldMap.potentialAt(x, y, z);
+            if (isFinite(mapped)) V += mapped;
+        }
+        return V;
+    }
+
+    /**
+     * Total field at (x, y, z): uniform applied fields plus the field map
+     * @returns {{Ex, Ey, Ez, Bx, By, Bz}}
+     */
+    fieldAt(x, y, z = 0) {
+        const field = { Ex: this.Ex, Ey: this.Ey, Ez: 0, Bx: 0, By: 0, Bz: this.Bz };
+        if (!this.fieldMap) return field;
+
+        const mapped = this.fieldMap.fieldAt(x, y, z);
+        for (const key in field) {
+            if (mapped[key]) field[key] += mapped[key];
+        }
+        return field;
+    }
+
+    /**
+     * Time step resolving the cyclotron orbit in the local |B| with
+     * `stepsPerOrbit` steps, falling back to a 1 cm travel distance when
+     * B = 0.
+     * @param {number} maxStepLength - Optional cap on the distance travelled
+     *   per step (m), for field maps that vary faster than the orbit
+     */
+    suggestTimeStep(stepsPerOrbit = 100, maxStepLength = Infinity) {
+        const field = this.fieldAt(this.x, this.y, this.z);
+        const B = Math.hypot(field.Bx, field.By, field.Bz);
+        const omega = Math.abs(this.charge * B) / (this.gamma * this.mass);
+        const speed = Math.max(this.speed, 1e3);
+        if (omega > 0) {
+            return Math.min(2 * Math.PI / (omega * stepsPerOrbit), maxStepLength / speed);
+        }
+        return Math.min(0.01, maxStepLength) / speed;
+    }
+
+    // ==========================================
+    // BORIS INTEGRATOR
+    // ==========================================
+
+    step(dt, count = 1) {
+        for (let n = 0; n < count; n++) {
+            this.stepOnce(dt);
+        }
+    }
+
+    stepOnce(dt) {
+        const field = this.fieldAt(this.x, this.y, this.z);
+        ChargedParticle.borisPush(this, field, this.charge / this.mass, dt, this.relativistic);
+
+        const gamma = this.gamma;
+        this.x += (this.ux / gamma) * dt;
+        this.y += (this.uy / gamma) * dt;
+        this.z += (this.uz / gamma) * dt;
+
+        this.time += dt;
+        this.stepCount++;
+
+        if (this.stepCount % this.trajectoryInterval === 0) {
+            this.trajectory.push({ x: this.x, y: this.y, z: this.z, t: this.time });
+            if (this.trajectory.length > this.maxTrajectoryLength) {
+                this.trajectory.shift();
+            }
+            this.recordEnergy();
+        }
+    }
+
+    /**
+     * Boris momentum update of `state.{ux, uy, uz}` (u = γv) in place:
+     * half electric kick, rotation about B, second half kick
+     * Shared with ParticleBeam, which pushes many particles per step.
+     */
+    static borisPush(state, field, qm, dt, relativistic) {
+        const c2 = ChargedParticle.C ** 2;
+
+        // Half electric kick
+        let ux = state.ux + qm * field.Ex * dt / 2;
+        let uy = state.uy + qm * field.Ey * dt / 2;
+        let uz = state.uz + qm * field.Ez * dt / 2;
+
+        // Magnetic rotation about B: u' = u + u × t, u⁺ = u + u' × s
+        const gammaMinus = relativistic ? Math.sqrt(1 + (ux * ux + uy * uy + uz * uz) / c2) : 1;
+        const f = qm * dt / (2 * gammaMinus);
+        const tx = f * field.Bx, ty = f * field.By, tz = f * field.Bz;
+        const sf = 2 / (1 + tx * tx + ty * ty + tz * tz);
+        const sx = sf * tx, sy = sf * ty, sz = sf * tz;
+
+        const uxPrime = ux + uy * tz - uz * ty;
+        const uyPrime = uy + uz * tx - ux * tz;
+        const uzPrime = uz + ux * ty - uy * tx;
+        ux += uyPrime * sz - uzPrime * sy;
+        uy += uzPrime * sx - uxPrime * sz;
+        uz += uxPrime * sy - uyPrime * sx;
+
+        // Second half electric kick
+        state.ux = ux + qm * field.Ex * dt / 2;
+        state.uy = uy + qm * field.Ey * dt / 2;
+        state.uz = uz + qm * field.Ez * dt / 2;
+    }
+
+    recordEnergy() {
+        const kinetic = this.kineticEnergy();
+        const potential = this.potentialEnergy();
+
+        this.energyHistory.push({ time: this.time, kinetic, potential, total: kinetic + potential });
+        if (this.energyHistory.length > this.maxEnergyHistory) {
+            this.energyHistory.shift();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChargedParticle };
+}
@@ -0,0 +1,57 @@
+/**
+ * PHYSICS CLASS LOOKUP
+ *
+ * The physics scripts run as page globals, inside the physics worker
+ * (importScripts) and as CommonJS modules under Node. resolvePhysics(name)
+ * finds a class (or the shared materialLibrary) in whichever of those it
+ * was loaded: the global when the page or worker has it, else its module.
+ *
+ * Each user takes the function with
+ *   var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+ * On the page and in the worker this script loads first and the line
+ * keeps the global (var, unlike const, may repeat across classic
+ * scripts); under Node it requires this module.
+ */
+
+// Global accessor (typeof-guarded, so an unloaded script reads as
+// undefined) and module file relative to js/physics
+const PHYSICS_CLASSES = {
+    ChargeSystem: [() => typeof ChargeSystem !== 'undefined' ? ChargeSystem : undefined, './coulomb.js'],
+    FieldLineTracer: [() => typeof FieldLineTracer !== 'undefined' ? FieldLineTracer : undefined, './field-lines.js'],
+    FieldIntegrals: [() => typeof FieldIntegrals !== 'undefined' ? FieldIntegrals : undefined, './field-integrals.js'],
+    PoissonSolver: [() => typeof PoissonSolver !== 'undefined' ? PoissonSolver : undefined, './poisson.js'],
+    FDTD1D: [() => typeof FDTD1D !== 'undefined' ? FDTD1D : undefined, './fdtd.js'],
+    FDTD2D: [() => typeof FDTD2D !== 'undefined' ? FDTD2D : undefined, './fdtd.js'],
+    DispersivePoles: [() => typeof DispersivePoles !== 'undefined' ? DispersivePoles : undefined, './fdtd.js'],
+    MaterialLibrary: [() => typeof MaterialLibrary !== 'undefined' ? MaterialLibrary : undefined, './materials.js'],
+    materialLibrary: [() => typeof materialLibrary !== 'undefined' ? materialLibrary : undefined, './materials.js'],
+    ChargedParticle: [() => typeof ChargedParticle !== 'undefined' ? ChargedParticle : undefined, './particles.js'],
+    FieldMap: [() => typeof FieldMap !== 'undefined' ? FieldMap : undefined, './field-maps.js'],
+    ParticleBeam: [() => typeof ParticleBeam !== 'undefined' ? ParticleBeam : undefined, './beam.js'],
+    PhysicsHost: [() => typeof PhysicsHost !== 'undefined' ? PhysicsHost : undefined, './physics-host.js']
+};
+
+/**
+ * @param {string} name - Key of PHYSICS_CLASSES
+ * @returns {*} undefined when the script is not loaded (or, under Node,
+ *   its file is missing); errors raised while loading a module propagate
+ */
+function resolvePhysics(name) {
+    const entry = PHYSICS_CLASSES[name];
+    if (!entry) throw new Error(`Unknown physics class: ${name}`);
+
+    const [global, file] = entry;
+    const loaded = global();
+    if (loaded !== undefined || typeof require !== 'function') return loaded;
+
+    try {
+        return require(file)[name];
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND' && error.message.includes(file.slice(2))) return undefined;
+        throw error;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { resolvePhysics };
+}
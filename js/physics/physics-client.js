@@ -0,0 +1,149 @@
+/**
+ * PHYSICS CLIENT
+ *
+ * Page-side end of the physics offload: sends PhysicsHost requests to a
+ * Web Worker (js/physics/physics-worker.js) and resolves a promise per
+ * reply, so solvers grind while the page keeps drawing and handling input.
+ *
+ * Where a worker can't be started (Node, file:// pages in some browsers,
+ * a failed load) the same host runs in this thread on the live engines:
+ * every request completes before its call returns and the promise is
+ * already settled. `synchronous` tells callers which case they are in;
+ * with a worker, the page's engines are mirrors that take the fields
+ * back with PhysicsHost.applyFields.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+class PhysicsClient {
+    static WORKER_URL = 'js/physics/physics-worker.js';
+
+    /**
+     * @param {Object} options - {worker: false to stay in-thread, url}
+     */
+    constructor(options = {}) {
+        this.worker = null;
+        this.host = null;
+        this.pending = new Map();
+        this.nextId = 1;
+
+        // Called after a worker failure switched to the in-thread host
+        this.onFallback = null;
+
+        if (options.worker !== false && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(options.url || PhysicsClient.WORKER_URL);
+                this.worker.onmessage = (event) => this.receive(event.data);
+                this.worker.onerror = (event) => this.fallback(event.message || 'Physics worker failed');
+            } catch (error) {
+                this.worker = null;
+            }
+        }
+
+        if (!this.worker) {
+            this.host = new (resolvePhysics('PhysicsHost'))();
+        }
+    }
+
+    get synchronous() {
+        return this.host !== null;
+    }
+
+    // ==========================================
+    // PROTOCOL
+    // ==========================================
+
+    /**
+     * Register an engine under `name`: a snapshot for the worker, or the
+     * live object in-thread; re-send after structural changes
+     * @param {Object} links - Rebuilt references (see PhysicsHost.KINDS)
+     */
+    init(name, engine, links = {}) {
+        if (this.synchronous) {
+            return this.request({ type: 'init', engine: name, instance: engine, links });
+        }
+        return this.request({
+            type: 'init',
+            engine: name,
+            kind: resolvePhysics('PhysicsHost').kindOf(engine),
+            state: resolvePhysics('PhysicsHost').snapshot(engine, false),
+            links
+        });
+    }
+
+    /**
+     * @param {Object} options - {dt} for particles, {budgetMs} for Poisson
+     */
+    step(name, count = 1, options = {}) {
+        return this.request({ ...options, type: 'step', engine: name, count });
+    }
+
+    /**
+     * @returns {Promise<Object>} {kind, ...Float32Array fields}
+     */
+    getFields(name) {
+        return this.request({ type: 'getFields', engine: name });
+    }
+
+    setParameter(name, parameter, value) {
+        return this.request({ type: 'setParameter', engine: name, name: parameter, value });
+    }
+
+    snapshot(name) {
+        return this.request({ type: 'snapshot', engine: name });
+    }
+
+    request(message) {
+        const id = this.nextId++;
+
+        if (this.synchronous) {
+            const { reply } = this.host.handle({ ...message, id });
+            return reply.ok ? Promise.resolve(reply.result) : Promise.reject(new Error(reply.error));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    receive(reply) {
+        const request = this.pending.get(reply.id);
+        if (!request) return;
+
+        this.pending.delete(reply.id);
+        if (reply.ok) {
+            request.resolve(reply.result);
+        } else {
+            request.reject(new Error(reply.error));
+        }
+    }
+
+    /**
+     * Drop the worker, fail what it still owed and continue in-thread
+     */
+    fallback(reason) {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.host = new (resolvePhysics('PhysicsHost'))();
+
+        for (const request of this.pending.values()) {
+            request.reject(new Error(reason));
+        }
+        this.pending.clear();
+
+        if (this.onFallback) this.onFallback(reason);
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.pending.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhysicsClient };
+}
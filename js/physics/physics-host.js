@@ -0,0 +1,353 @@
+/**
+ * PHYSICS HOST
+ *
+ * Message handler that owns the engines stepped off the drawing loop:
+ * - FDTD1D / FDTD2D wave grids
+ * - PoissonSolver (conductors and dielectrics, point charges as source)
+ * - ChargedParticle and ParticleBeam (uniform fields or an analytic map)
+ *
+ * It runs inside the physics worker, or in the page itself when workers
+ * are unavailable (see PhysicsClient). Requests are plain objects
+ * {id, type, engine, ...}:
+ * - init {kind, state, links} restores an engine from a snapshot, or
+ *   {instance, links} attaches a live engine in-thread
+ * - step {count, dt?, budgetMs?} advances it (Poisson: SOR sweeps)
+ * - getFields returns its field arrays as Float32Array copies, listed for
+ *   transfer so the worker hands them over instead of cloning them
+ * - setParameter {name, value} calls the engine's set<Name>(...value)
+ * - snapshot returns its complete state (structured-clone safe)
+ * Replies are {id, ok, result} or {id, ok: false, error}.
+ *
+ * Properties that point at functions or other engines (the Poisson source,
+ * a particle's field map, a beam's reference) are not in snapshots; init
+ * rebuilds them from `links`.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+class PhysicsHost {
+    // Per engine class: how to step it, which arrays leave as fields, how a
+    // mirror takes them back, and how links are rebuilt after a restore
+    static KINDS = {
+        FDTD1D: {
+            type: () => resolvePhysics('FDTD1D'),
+            step: (engine, count) => engine.step(count),
+            fields: (engine) => ({
+                time: engine.time,
+                timeStep: engine.timeStep,
+                peak: engine.peak,
+                Ez: Float32Array.from(engine.Ez),
+                Hy: Float32Array.from(engine.Hy)
+            }),
+            apply: (engine, fields) => {
+                engine.Ez.set(fields.Ez);
+                engine.Hy.set(fields.Hy);
+                engine.time = fields.time;
+                engine.timeStep = fields.timeStep;
+                engine.peak = fields.peak;
+            },
+            restore: (engine) => {
+                engine.dispersion = Object.assign(Object.create(resolvePhysics('DispersivePoles').prototype), engine.dispersion);
+            }
+        },
+
+        FDTD2D: {
+            type: () => resolvePhysics('FDTD2D'),
+            step: (engine, count) => engine.step(count),
+            // Grids are columns Ez[i][j]; flattened at i·ny + j
+            fields: (engine) => ({
+                time: engine.time,
+                timeStep: engine.timeStep,
+                nx: engine.nx,
+                ny: engine.ny,
+                Ez: PhysicsHost.flatten(engine.Ez, engine.ny),
+                Hx: PhysicsHost.flatten(engine.Hx, engine.ny),
+                Hy: PhysicsHost.flatten(engine.Hy, engine.ny)
+            }),
+            apply: (engine, fields) => {
+                PhysicsHost.unflatten(fields.Ez, engine.Ez, engine.ny);
+                PhysicsHost.unflatten(fields.Hx, engine.Hx, engine.ny);
+                PhysicsHost.unflatten(fields.Hy, engine.Hy, engine.ny);
+                engine.time = fields.time;
+                engine.timeStep = fields.timeStep;
+            },
+            restore: (engine) => {
+                engine.dispersion = Object.assign(Object.create(resolvePhysics('DispersivePoles').prototype), engine.dispersion);
+            }
+        },
+
+        PoissonSolver: {
+            type: () => resolvePhysics('PoissonSolver'),
+            links: ['source'],
+            step: (engine, count, options) => engine.relax(count, options.budgetMs ?? Infinity),
+            fields: (engine) => ({
+                converged: engine.converged,
+                sweeps: engine.sweeps,
+                residual: engine.residual,
+                scale: engine.scale,
+                psi: Float32Array.from(engine.psi),
+                Ex: Float32Array.from(engine.Ex),
+                Ey: Float32Array.from(engine.Ey)
+            }),
+            apply: (engine, fields) => {
+                // The boundary pass also fills φ_q, which boundCharge reads
+                if (engine.boundaryDirty) engine.applyBoundary();
+                engine.psi.set(fields.psi);
+                engine.Ex.set(fields.Ex);
+                engine.Ey.set(fields.Ey);
+                engine.converged = fields.converged;
+                engine.sweeps = fields.sweeps;
+                engine.residual = fields.residual;
+                engine.scale = fields.scale;
+                engine.surface = null;
+                engine.bound = null;
+            },
+            // links: {charges: [{x, y, charge}], lengthScale}
+            restore: (engine, links, entry) => {
+                entry.charges = new (resolvePhysics('ChargeSystem'))({ lengthScale: links.lengthScale });
+                engine.source = (x, y) => entry.charges.pointPotentialAt(x, y);
+                PhysicsHost.KINDS.PoissonSolver.parameters.charges(engine, links.charges || [], entry);
+            },
+            parameters: {
+                // In-thread the source already reads the live charges
+                charges: (engine, charges, entry) => {
+                    if (entry.charges) {
+                        entry.charges.charges = charges.map(({ x, y, charge }) => ({ x, y, charge }));
+                    }
+                    engine.markDirty();
+                }
+            }
+        },
+
+        ChargedParticle: {
+            type: () => resolvePhysics('ChargedParticle'),
+            links: ['fieldMap'],
+            step: (engine, count, options) => engine.step(options.dt, count),
+            // Trajectory as (x, y, z, t) and energy as (time, kinetic,
+            // potential, total) per point
+            fields: (engine) => {
+                const trajectory = new Float32Array(engine.trajectory.length * 4);
+                engine.trajectory.forEach((p, k) => trajectory.set([p.x, p.y, p.z, p.t], k * 4));
+                const energy = new Float64Array(engine.energyHistory.length * 4);
+                engine.energyHistory.forEach((e, k) => energy.set([e.time, e.kinetic, e.potential, e.total], k * 4));
+
+                const { x, y, z, ux, uy, uz, time, stepCount } = engine;
+                return { x, y, z, ux, uy, uz, time, stepCount, trajectory, energy };
+            },
+            apply: (engine, fields) => {
+                for (const key of ['x', 'y', 'z', 'ux', 'uy', 'uz', 'time', 'stepCount']) {
+                    engine[key] = fields[key];
+                }
+
+                const t = fields.trajectory, e = fields.energy;
+                engine.trajectory = [];
+                for (let k = 0; k < t.length; k += 4) {
+                    engine.trajectory.push({ x: t[k], y: t[k + 1], z: t[k + 2], t: t[k + 3] });
+                }
+                engine.energyHistory = [];
+                for (let k = 0; k < e.length; k += 4) {
+                    engine.energyHistory.push({ time: e[k], kinetic: e[k + 1], potential: e[k + 2], total: e[k + 3] });
+                }
+            },
+            // links: {fieldMap: FieldMap.describe(map)}
+            restore: (engine, links) => {
+                engine.fieldMap = resolvePhysics('FieldMap').fromDescription(links.fieldMap);
+            },
+            parameters: {
+                fieldMap: (engine, description) => engine.setFieldMap(resolvePhysics('FieldMap').fromDescription(description))
+            }
+        },
+
+        ParticleBeam: {
+            type: () => resolvePhysics('ParticleBeam'),
+            links: ['reference'],
+            step: (engine, count, options) => engine.step(options.dt, count),
+            fields: (engine) => {
+                const fields = { count: engine.count, time: engine.time };
+                for (const key of resolvePhysics('ParticleBeam').STATE) {
+                    fields[key] = Float32Array.from(engine[key]);
+                }
+                return fields;
+            },
+            // The mirror records its own diagnostics sample, as step() would
+            apply: (engine, fields) => {
+                if (engine.count !== fields.count) engine.allocate(fields.count);
+                for (const key of resolvePhysics('ParticleBeam').STATE) {
+                    engine[key].set(fields[key]);
+                }
+                engine.time = fields.time;
+                engine.record();
+            },
+            // links: {reference: name of the particle engine}
+            restore: (engine, links, entry, host) => {
+                engine.reference = host.engine(links.reference);
+            }
+        }
+    };
+
+    constructor() {
+        // name → {kind, engine, charges?}
+        this.engines = new Map();
+    }
+
+    // ==========================================
+    // MESSAGES
+    // ==========================================
+
+    /**
+     * Run one request
+     * @returns {{reply: Object, transfer: ArrayBuffer[]}}
+     */
+    handle(message) {
+        const { id } = message;
+        try {
+            const result = this.dispatch(message);
+            const transfer = message.type === 'getFields' ? PhysicsHost.transferList(result) : [];
+            return { reply: { id, ok: true, result }, transfer };
+        } catch (error) {
+            return { reply: { id, ok: false, error: error.message }, transfer: [] };
+        }
+    }
+
+    dispatch(message) {
+        if (message.type === 'init') {
+            return this.init(message);
+        }
+
+        const entry = this.entry(message.engine);
+        const adapter = PhysicsHost.KINDS[entry.kind];
+
+        switch (message.type) {
+            case 'step':
+                adapter.step(entry.engine, message.count ?? 1, message);
+                return null;
+            case 'getFields':
+                return { kind: entry.kind, ...adapter.fields(entry.engine) };
+            case 'setParameter':
+                PhysicsHost.setParameter(entry.engine, message.name, message.value, entry);
+                return null;
+            case 'snapshot':
+                return PhysicsHost.snapshot(entry.engine);
+            default:
+                throw new Error(`Unknown physics request: ${message.type}`);
+        }
+    }
+
+    init(message) {
+        const links = message.links || {};
+        const entry = message.instance
+            ? { kind: PhysicsHost.kindOf(message.instance), engine: message.instance }
+            : { kind: message.kind, engine: null };
+
+        const adapter = PhysicsHost.KINDS[entry.kind];
+        if (!adapter) {
+            throw new Error(`Unknown physics engine kind: ${entry.kind}`);
+        }
+
+        if (!entry.engine) {
+            entry.engine = Object.assign(Object.create(adapter.type().prototype), message.state);
+            if (adapter.restore) adapter.restore(entry.engine, links, entry, this);
+        }
+
+        this.engines.set(message.engine, entry);
+        return null;
+    }
+
+    entry(name) {
+        const entry = this.engines.get(name);
+        if (!entry) {
+            throw new Error(`No physics engine named ${name}`);
+        }
+        return entry;
+    }
+
+    engine(name) {
+        return this.entry(name).engine;
+    }
+
+    // ==========================================
+    // ENGINE STATE
+    // ==========================================
+
+    static kindOf(engine) {
+        // Kinds whose class isn't loaded (e.g. only some modules under Node) can't match
+        const kind = Object.keys(PhysicsHost.KINDS).find(k => {
+            const type = PhysicsHost.KINDS[k].type();
+            return type && engine instanceof type;
+        });
+        if (!kind) {
+            throw new Error('Not a physics engine');
+        }
+        return kind;
+    }
+
+    /**
+     * Own data properties minus links and functions, deep-copied unless
+     * `copy` is false (postMessage clones it anyway)
+     */
+    static snapshot(engine, copy = true) {
+        const links = PhysicsHost.KINDS[PhysicsHost.kindOf(engine)].links || [];
+        const state = {};
+        for (const [key, value] of Object.entries(engine)) {
+            if (typeof value === 'function' || links.includes(key)) continue;
+            state[key] = value;
+        }
+        return copy && typeof structuredClone === 'function' ? structuredClone(state) : state;
+    }
+
+    /**
+     * Copy fields from getFields into an engine of the same kind
+     */
+    static applyFields(engine, fields) {
+        PhysicsHost.KINDS[fields.kind].apply(engine, fields);
+    }
+
+    /**
+     * Advance an engine in this thread with the same options as a step request
+     */
+    static stepEngine(engine, count, options = {}) {
+        PhysicsHost.KINDS[PhysicsHost.kindOf(engine)].step(engine, count, options);
+    }
+
+    /**
+     * Kind-specific parameter, else the engine's set<Name> method with an
+     * array value spread into its arguments
+     */
+    static setParameter(engine, name, value, entry = {}) {
+        const adapter = PhysicsHost.KINDS[PhysicsHost.kindOf(engine)];
+        if (adapter.parameters && adapter.parameters[name]) {
+            adapter.parameters[name](engine, value, entry);
+            return;
+        }
+
+        const setter = 'set' + name[0].toUpperCase() + name.slice(1);
+        if (typeof engine[setter] !== 'function') {
+            throw new Error(`Unknown parameter ${name}`);
+        }
+        engine[setter](...(Array.isArray(value) ? value : [value]));
+    }
+
+    static transferList(fields) {
+        return Object.values(fields)
+            .filter(value => ArrayBuffer.isView(value))
+            .map(value => value.buffer);
+    }
+
+    static flatten(grid, ny) {
+        const flat = new Float32Array(grid.length * ny);
+        for (let i = 0; i < grid.length; i++) {
+            flat.set(grid[i], i * ny);
+        }
+        return flat;
+    }
+
+    static unflatten(flat, grid, ny) {
+        for (let i = 0; i < grid.length; i++) {
+            grid[i].set(flat.subarray(i * ny, (i + 1) * ny));
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhysicsHost };
+}
@@ -0,0 +1,26 @@
+/**
+ * PHYSICS WORKER
+ *
+ * Worker entry point: loads the engines and answers PhysicsHost requests
+ * from PhysicsClient. Field arrays in replies are transferred, not copied.
+ */
+
+importScripts(
+    'physics-classes.js',
+    'coulomb.js',
+    'field-integrals.js',
+    'poisson.js',
+    'materials.js',
+    'fdtd.js',
+    'particles.js',
+    'field-maps.js',
+    'beam.js',
+    'physics-host.js'
+);
+
+const host = new PhysicsHost();
+
+self.onmessage = (event) => {
+    const { reply, transfer } = host.handle(event.data);
+    self.postMessage(reply, transfer);
+};
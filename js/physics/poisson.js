@@ -0,0 +1,532 @@
+/**
+ * POISSON SOLVER
+ *
+ * Grid solver for conductors held at fixed potentials and dielectric
+ * regions of relative permittivity ε_r:
+ * - Plates (thick polylines), circles / rings and polygons
+ * - Red-black SOR with the optimal over-relaxation factor, run a few
+ *   milliseconds per frame so the view stays live while it converges
+ * - Induced surface charge on every conductor, bound charge at every
+ *   dielectric interface
+ *
+ * Point charges are handled by superposition: the total potential is
+ * φ = φ_q + ψ, where φ_q is the exact vacuum point-charge potential
+ * (`source`) and ψ solves
+ *   ∇·(ε_r ∇ψ) = −∇·((ε_r − 1) ∇φ_q)
+ * with ψ = V_c − φ_q on conductor nodes and ψ = 0 on the domain edge (a
+ * grounded box). In vacuum the right-hand side vanishes, so ψ stays
+ * smooth next to a point charge and a coarse grid resolves it. Face
+ * permittivities are harmonic means of the node values, which keeps
+ * the normal D continuous across an interface. Conductors and
+ * dielectrics are outlines treated as long along z: φ equals V_c on
+ * every conductor node, and the correction elsewhere is the in-plane
+ * (2D) solution.
+ *
+ * Coordinates are world meters with y up; node (i, j) sits at
+ * (bounds.x + i·h, bounds.y + j·h), stored row-major at j·nx + i.
+ */
+
+var resolvePhysics = resolvePhysics || require('./physics-classes.js').resolvePhysics;
+
+class PoissonSolver {
+    // Node owners other than a conductor index
+    static FREE = -1;
+    static EDGE = -2;
+
+    constructor(options = {}) {
+        this.bounds = options.bounds || { x: -8, y: -6, width: 16, height: 12 };
+        this.spacing = options.spacing || 0.05;
+        this.tolerance = options.tolerance || 1e-6;
+
+        const h = this.spacing;
+        this.nx = Math.round(this.bounds.width / h) + 1;
+        this.ny = Math.round(this.bounds.height / h) + 1;
+        const n = this.nx * this.ny;
+
+        // Correction potential ψ (V) and its field −∇ψ (V/m)
+        this.psi = new Float64Array(n);
+        this.Ex = new Float64Array(n);
+        this.Ey = new Float64Array(n);
+
+        // Conductor index per node, or FREE / EDGE
+        this.owner = new Int16Array(n);
+
+        // Relative permittivity per node, harmonic means on the east and
+        // north faces, and the interface source −∇·((ε_r − 1)∇φ_q)·h²
+        this.epsilon = new Float64Array(n).fill(1);
+        this.epsEast = new Float64Array(n).fill(1);
+        this.epsNorth = new Float64Array(n).fill(1);
+        this.interfaceSource = new Float64Array(n);
+
+        // φ_q on every node, filled while dielectrics are present
+        this.external = new Float64Array(n);
+
+        // Optimal SOR factor from the Jacobi spectral radius
+        const rhoJ = (Math.cos(Math.PI / (this.nx - 1)) + Math.cos(Math.PI / (this.ny - 1))) / 2;
+        this.omega = 2 / (1 + Math.sqrt(1 - rhoJ * rhoJ));
+
+        // {type: 'plate', points, thickness, V} | {type: 'circle', x, y, radius, inner?, V}
+        // | {type: 'polygon', points, V}; lengths in m, V in volts
+        this.conductors = [];
+
+        // Same shapes with `epsilon` (ε_r) in place of V; where regions
+        // overlap the first one wins, and conductors win over dielectrics
+        this.dielectrics = [];
+
+        // External potential φ_q(x, y) in volts (the point charges), or null
+        this.source = null;
+
+        this.boundaryDirty = true;
+        this.converged = false;
+        this.sweeps = 0;
+        this.residual = Infinity;
+        this.scale = 0;
+
+        // Cached surfaceCharge() and boundCharge() results
+        this.surface = null;
+        this.bound = null;
+
+        this.rasterize();
+    }
+
+    get active() {
+        return this.conductors.length > 0 || this.dielectrics.length > 0;
+    }
+
+    setConductors(conductors) {
+        this.conductors = conductors;
+        this.rasterize();
+        this.markDirty();
+    }
+
+    setDielectrics(dielectrics) {
+        this.dielectrics = dielectrics;
+        this.rasterize();
+        this.markDirty();
+    }
+
+    /**
+     * Conductor values or the source changed: re-apply the boundary and relax
+     */
+    markDirty() {
+        this.boundaryDirty = true;
+        this.converged = false;
+        this.sweeps = 0;
+        this.surface = null;
+        this.bound = null;
+    }
+
+    nodeX(i) {
+        return this.bounds.x + i * this.spacing;
+    }
+
+    nodeY(j) {
+        return this.bounds.y + j * this.spacing;
+    }
+
+    // ==========================================
+    // GEOMETRY
+    // ==========================================
+
+    /**
+     * Whether a conductor covers (x, y); `pad` widens thin plates so
+     * they stay a connected wall of nodes. A 1 nm slack keeps mirror-image
+     * layouts symmetric despite rounding in the node coordinates.
+     */
+    static contains(conductor, x, y, pad = 0) {
+        const slack = 1e-9;
+        switch (conductor.type) {
+            case 'circle': {
+                const d = Math.hypot(x - conductor.x, y - conductor.y);
+                return d <= conductor.radius + slack && d >= (conductor.inner || 0) - slack;
+            }
+            case 'plate':
+                return PoissonSolver.polylineDistance(conductor.points, x, y) <= Math.max(conductor.thickness / 2, pad) + slack;
+            case 'polygon':
+                return resolvePhysics('FieldIntegrals').contains(conductor.points, x, y);
+            default:
+                return false;
+        }
+    }
+
+    static polylineDistance(points, x, y) {
+        let best = Infinity;
+
+        for (let k = 0; k < points.length - 1; k++) {
+            const a = points[k], b = points[k + 1];
+            const dx = b.x - a.x, dy = b.y - a.y;
+            const length2 = dx * dx + dy * dy;
+            const t = length2 > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / length2)) : 0;
+            best = Math.min(best, Math.hypot(x - a.x - dx * t, y - a.y - dy * t));
+        }
+
+        return best;
+    }
+
+    /**
+     * Assign every node to the first conductor covering it and its ε_r to
+     * the first dielectric, then average ε_r onto the faces
+     */
+    rasterize() {
+        const { nx, ny, owner, epsilon, epsEast, epsNorth } = this;
+        const pad = this.spacing * Math.SQRT1_2;
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                const x = this.nodeX(i), y = this.nodeY(j);
+                const region = this.dielectrics.find(d => PoissonSolver.contains(d, x, y, pad));
+                epsilon[k] = region ? region.epsilon : 1;
+
+                if (i === 0 || j === 0 || i === nx - 1 || j === ny - 1) {
+                    owner[k] = PoissonSolver.EDGE;
+                    continue;
+                }
+                owner[k] = this.conductors.findIndex(c => PoissonSolver.contains(c, x, y, pad));
+            }
+        }
+
+        const harmonic = (a, b) => 2 * a * b / (a + b);
+        for (let k = 0; k < nx * ny; k++) {
+            epsEast[k] = k % nx < nx - 1 ? harmonic(epsilon[k], epsilon[k + 1]) : 1;
+            epsNorth[k] = k < nx * (ny - 1) ? harmonic(epsilon[k], epsilon[k + nx]) : 1;
+        }
+    }
+
+    // ==========================================
+    // RELAXATION
+    // ==========================================
+
+    /**
+     * Fix ψ on conductor and edge nodes and rebuild the interface source
+     * @returns {number} Potential scale for the convergence test: the
+     *   largest |ψ| imposed or |φ_q| inside a dielectric
+     */
+    applyBoundary() {
+        const { nx, ny, psi, owner, external, epsilon } = this;
+        const dielectric = this.dielectrics.length > 0;
+        let scale = 0;
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                if (owner[k] === PoissonSolver.EDGE && !dielectric) {
+                    psi[k] = 0;
+                    continue;
+                }
+                if (owner[k] === PoissonSolver.FREE && !dielectric) continue;
+
+                const value = this.source ? this.source(this.nodeX(i), this.nodeY(j)) : 0;
+                external[k] = isFinite(value) ? value : 0;
+
+                if (owner[k] === PoissonSolver.EDGE) {
+                    psi[k] = 0;
+                } else if (owner[k] >= 0) {
+                    psi[k] = this.conductors[owner[k]].V - external[k];
+                    scale = Math.max(scale, Math.abs(psi[k]));
+                } else if (epsilon[k] !== 1) {
+                    scale = Math.max(scale, Math.abs(external[k]));
+                }
+            }
+        }
+
+        if (dielectric) this.buildInterfaceSource();
+
+        this.boundaryDirty = false;
+        this.scale = scale;
+        return scale;
+    }
+
+    /**
+     * Σ_faces (ε_f − 1)(φ_q,neighbour − φ_q) per free node: the bound
+     * charge a vacuum field would induce, zero away from dielectrics
+     */
+    buildInterfaceSource() {
+        const { nx, ny, owner, external: q, epsEast, epsNorth, interfaceSource } = this;
+        interfaceSource.fill(0);
+
+        for (let j = 1; j < ny - 1; j++) {
+            for (let i = 1; i < nx - 1; i++) {
+                const k = j * nx + i;
+                if (owner[k] !== PoissonSolver.FREE) continue;
+
+                interfaceSource[k] =
+                    (epsEast[k] - 1) * (q[k + 1] - q[k]) + (epsEast[k - 1] - 1) * (q[k - 1] - q[k]) +
+                    (epsNorth[k] - 1) * (q[k + nx] - q[k]) + (epsNorth[k - nx] - 1) * (q[k - nx] - q[k]);
+            }
+        }
+    }
+
+    /**
+     * One red-black SOR sweep over the free nodes
+     * @returns {number} Largest update |Δψ| in volts
+     */
+    sweep() {
+        const { nx, ny, psi, owner, epsEast: eE, epsNorth: eN, interfaceSource: b } = this;
+        const w = this.omega;
+        const FREE = PoissonSolver.FREE;
+        const dielectric = this.dielectrics.length > 0;
+        let change = 0;
+
+        for (let color = 0; color < 2; color++) {
+            for (let j = 1; j < ny - 1; j++) {
+                // First interior i with (i + j) of this color
+                for (let i = 1 + ((j + 1 + color) & 1); i < nx - 1; i += 2) {
+                    const k = j * nx + i;
+                    if (owner[k] !== FREE) continue;
+
+                    let target;
+                    if (dielectric) {
+                        const e = eE[k], wst = eE[k - 1], n = eN[k], s = eN[k - nx];
+                        target = (e * psi[k + 1] + wst * psi[k - 1] + n * psi[k + nx] + s * psi[k - nx] +
+                            b[k]) / (e + wst + n + s);
+                    } else {
+                        target = (psi[k - 1] + psi[k + 1] + psi[k - nx] + psi[k + nx]) / 4;
+                    }
+
+                    const delta = w * (target - psi[k]);
+                    psi[k] += delta;
+                    if (Math.abs(delta) > change) change = Math.abs(delta);
+                }
+            }
+        }
+
+        this.sweeps++;
+        return change;
+    }
+
+    /**
+     * Relax until converged, `maxSweeps` or the time budget runs out
+     * @param {number} budgetMs - Wall-clock limit (checked every few sweeps)
+     * @returns {boolean} Whether ψ has converged
+     */
+    relax(maxSweeps = 20000, budgetMs = Infinity) {
+        if (this.boundaryDirty) this.applyBoundary();
+        if (this.converged) return true;
+
+        const start = performance.now();
+        const limit = this.tolerance * Math.max(this.scale, 1e-12);
+
+        for (let s = 0; s < maxSweeps; s++) {
+            const change = this.sweep();
+            this.residual = change / Math.max(this.scale, 1e-12);
+            if (change <= limit) {
+                this.converged = true;
+                break;
+            }
+            if (s % 4 === 3 && performance.now() - start > budgetMs) break;
+        }
+
+        this.updateField();
+        this.surface = null;
+        this.bound = null;
+        return this.converged;
+    }
+
+    solve() {
+        return this.relax();
+    }
+
+    /**
+     * E = −∇ψ by central differences (one-sided on the edge)
+     */
+    updateField() {
+        const { nx, ny, psi, Ex, Ey } = this;
+        const h = this.spacing;
+
+        for (let j = 0; j < ny; j++) {
+            for (let i = 0; i < nx; i++) {
+                const k = j * nx + i;
+                const left = i > 0 ? k - 1 : k, right = i < nx - 1 ? k + 1 : k;
+                const down = j > 0 ? k - nx : k, up = j < ny - 1 ? k + nx : k;
+                Ex[k] = -(psi[right] - psi[left]) / ((right - left) * h);
+                Ey[k] = -(psi[up] - psi[down]) / ((up - down) / nx * h);
+            }
+        }
+    }
+
+    // ==========================================
+    // SAMPLING
+    // ==========================================
+
+    /**
+     * Bilinear sample of a node array; zero outside the domain (grounded)
+     */
+    sample(grid, x, y) {
+        const { nx, ny } = this;
+        const gx = (x - this.bounds.x) / this.spacing;
+        const gy = (y - this.bounds.y) / this.spacing;
+        if (!(gx >= 0 && gy >= 0 && gx <= nx - 1 && gy <= ny - 1)) return 0;
+
+        const i = Math.min(nx - 2, Math.floor(gx));
+        const j = Math.min(ny - 2, Math.floor(gy));
+        const tx = gx - i, ty = gy - j;
+        const k = j * nx + i;
+
+        return (grid[k] * (1 - tx) + grid[k + 1] * tx) * (1 - ty) +
+            (grid[k + nx] * (1 - tx) + grid[k + nx + 1] * tx) * ty;
+    }
+
+    /**
+     * Correction potential ψ at (x, y) in volts
+     */
+    potentialAt(x, y) {
+        return this.sample(this.psi, x, y);
+    }
+
+    /**
+     * Correction field −∇ψ at (x, y) in V/m
+     */
+    fieldAt(x, y) {
+        return { Ex: this.sample(this.Ex, x, y), Ey: this.sample(this.Ey, x, y) };
+    }
+
+    /**
+     * Conductor owning the node nearest (x, y), or null
+     */
+    conductorAt(x, y) {
+        const i = Math.round((x - this.bounds.x) / this.spacing);
+        const j = Math.round((y - this.bounds.y) / this.spacing);
+        if (i < 0 || j < 0 || i >= this.nx || j >= this.ny) return null;
+
+        const owner = this.owner[j * this.nx + i];
+        return owner >= 0 ? this.conductors[owner] : null;
+    }
+
+    // ==========================================
+    // INDUCED CHARGE
+    // ==========================================
+
+    /**
+     * Free surface charge on conductor nodes that face free space
+     * σ = D_n = ε₀ε_r·E_n from the potential step to the free neighbours;
+     * the per-conductor totals are charge per unit length along z.
+     * @returns {{nodes: Array<{x, y, sigma, nx, ny, conductor}>, lineCharge: Float64Array}}
+     *   σ in C/m², outward unit normal (nx, ny), lineCharge in C/m
+     */
+    surfaceCharge() {
+        if (this.surface) return this.surface;
+
+        const { nx, ny, psi, owner, epsEast, epsNorth } = this;
+        const h = this.spacing;
+        const eps0 = resolvePhysics('ChargeSystem').EPSILON_0;
+        const nodes = [];
+        const lineCharge = new Float64Array(this.conductors.length);
+        const neighbours = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        // ε_r on the face towards each neighbour
+        const faceEpsilon = (k, di, dj) => di === 1 ? epsEast[k] : di === -1 ? epsEast[k - 1]
+            : dj === 1 ? epsNorth[k] : epsNorth[k - nx];
+
+        for (let j = 1; j < ny - 1; j++) {
+            for (let i = 1; i < nx - 1; i++) {
+                const k = j * nx + i;
+                const index = owner[k];
+                if (index < 0) continue;
+
+                const V = this.conductors[index].V;
+                let drop = 0, count = 0, normalX = 0, normalY = 0;
+
+                for (const [di, dj] of neighbours) {
+                    const nb = k + di + dj * nx;
+                    if (owner[nb] !== PoissonSolver.FREE) continue;
+
+                    const external = this.source ? this.source(this.nodeX(i + di), this.nodeY(j + dj)) : 0;
+                    if (!isFinite(external)) continue;
+
+                    drop += faceEpsilon(k, di, dj) * (V - (psi[nb] + external));
+                    count++;
+                    normalX += di;
+                    normalY += dj;
+                }
+                if (count === 0) continue;
+
+                // Outward D_n ≈ ε₀ε_r (V_c − φ_neighbour) / h on each free side
+                lineCharge[index] += eps0 * drop;
+                const length = Math.hypot(normalX, normalY) || 1;
+                nodes.push({
+                    x: this.nodeX(i), y: this.nodeY(j),
+                    sigma: eps0 * drop / (count * h),
+                    nx: normalX / length, ny: normalY / length,
+                    conductor: index
+                });
+            }
+        }
+
+        this.surface = { nodes, lineCharge };
+        return this.surface;
+    }
+
+    /**
+     * Bound charge at dielectric interfaces: −∇·P with P = ε₀(ε_r − 1)E on
+     * the faces, lumped onto the free nodes where ε_r changes or a
+     * dielectric touches a conductor (so a neutral region sums to zero)
+     * @returns {{nodes: Array<{x, y, charge, sigma}>, peak: number}} Charge
+     *   per unit length along z (C/m), σ = charge / h (C/m²), peak |σ|
+     */
+    boundCharge() {
+        if (this.bound) return this.bound;
+
+        const { nx, ny, psi, owner, external, epsilon, epsEast, epsNorth } = this;
+        const eps0 = resolvePhysics('ChargeSystem').EPSILON_0;
+        const nodes = [];
+        let peak = 0;
+
+        if (this.dielectrics.length > 0) {
+            for (let j = 1; j < ny - 1; j++) {
+                for (let i = 1; i < nx - 1; i++) {
+                    const k = j * nx + i;
+                    if (owner[k] !== PoissonSolver.FREE) continue;
+
+                    // Interface nodes: ε_r changes, or a dielectric meets a conductor
+                    const e = epsilon[k];
+                    const neighbours = [k + 1, k - 1, k + nx, k - nx];
+                    if (neighbours.every(m => epsilon[m] === e && (e === 1 || owner[m] === PoissonSolver.FREE))) continue;
+
+                    // P vanishes inside a conductor, so its faces carry no flux
+                    const flux = (m, faceEpsilon) => owner[m] >= 0
+                        ? 0
+                        : (faceEpsilon - 1) * (psi[m] + external[m] - psi[k] - external[k]);
+                    const charge = eps0 * (flux(k + 1, epsEast[k]) + flux(k - 1, epsEast[k - 1]) +
+                        flux(k + nx, epsNorth[k]) + flux(k - nx, epsNorth[k - nx]));
+                    const sigma = charge / this.spacing;
+
+                    nodes.push({ x: this.nodeX(i), y: this.nodeY(j), charge, sigma });
+                    peak = Math.max(peak, Math.abs(sigma));
+                }
+            }
+        }
+
+        this.bound = { nodes, peak };
+        return this.bound;
+    }
+
+    /**
+     * Field-line start points spread over the surface in proportion to |σ|
+     * @param {number} count - Seeds for the whole surface
+     * @returns {Array<{x, y, sign}>} Just outside the surface; sign of σ
+     */
+    fieldLineSeeds(count) {
+        const { nodes } = this.surfaceCharge();
+        const total = nodes.reduce((sum, node) => sum + Math.abs(node.sigma), 0);
+        if (total === 0 || count <= 0) return [];
+
+        const seeds = [];
+        const step = total / count;
+        const offset = this.spacing * 0.75;
+        let accumulated = step / 2;
+
+        for (const node of nodes) {
+            accumulated += Math.abs(node.sigma);
+            while (accumulated >= step) {
+                accumulated -= step;
+                seeds.push({ x: node.x + node.nx * offset, y: node.y + node.ny * offset, sign: Math.sign(node.sigma) });
+            }
+        }
+
+        return seeds;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PoissonSolver };
+}
@@ -0,0 +1,215 @@
+/**
+ * CHARGE EDITOR COMPONENT
+ *
+ * Neural-Physical Instrument UI
+ * Direct manipulation of point charges on the simulation canvas:
+ * - Click empty space to place a charge (polarity + magnitude controls)
+ * - Drag a charge to move it with live field updates
+ * - Right-click or Delete/Backspace to remove
+ * - Select a charge to edit its value from the control panel
+ */
+
+class ChargeEditor {
+    constructor(canvas, chargeSystem, renderer, ui, options = {}) {
+        this.canvas = canvas;
+        this.chargeSystem = chargeSystem;
+        this.renderer = renderer;
+        this.ui = ui;
+        this.options = {
+            dragThreshold: options.dragThreshold || 4,
+            hitPadding: options.hitPadding || 4
+        };
+
+        this.enabled = true;
+        this.selectedId = null;
+
+        // Active gesture: {start, chargeId, moved}
+        this.gesture = null;
+
+        // Selection listeners (controller refreshes the info panel)
+        this.onSelectionChange = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.gesture = null;
+        this.canvas.style.cursor = '';
+        if (!enabled) this.select(null);
+    }
+
+    // ==========================================
+    // HIT TESTING
+    // ==========================================
+
+    /**
+     * Charge drawn under a canvas-pixel point (hit radius is in pixels,
+     * so it stays constant while zooming)
+     */
+    chargeAtPoint(point) {
+        let best = null;
+        let bestDist = Infinity;
+
+        for (const charge of this.chargeSystem.charges) {
+            const radius = this.renderer.chargeRadius(charge) + this.options.hitPadding;
+            const screen = this.renderer.toScreen(charge.x, charge.y);
+            const dist = Math.hypot(screen.x - point.x, screen.y - point.y);
+            if (dist <= radius && dist < bestDist) {
+                best = charge;
+                bestDist = dist;
+            }
+        }
+
+        return best;
+    }
+
+    // ==========================================
+    // MOUSE / KEYBOARD
+    // ==========================================
+
+    handleMouseDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        const hit = this.chargeAtPoint(point);
+
+        this.gesture = { start: point, chargeId: hit ? hit.id : null, moved: false };
+
+        if (hit) {
+            this.select(hit.id);
+            this.canvas.style.cursor = 'grabbing';
+        }
+
+        e.preventDefault();
+    }
+
+    handleMouseMove(e) {
+        if (!this.enabled) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+
+        if (!this.gesture) {
+            // Hover feedback
+            if (e.target === this.canvas) {
+                this.canvas.style.cursor = this.chargeAtPoint(point) ? 'grab' : 'crosshair';
+            }
+            return;
+        }
+
+        const distance = Math.hypot(point.x - this.gesture.start.x, point.y - this.gesture.start.y);
+        if (distance > this.options.dragThreshold) {
+            this.gesture.moved = true;
+        }
+
+        if (this.gesture.moved && this.gesture.chargeId !== null) {
+            const world = this.renderer.toWorld(point.x, point.y);
+            this.chargeSystem.moveCharge(this.gesture.chargeId, world.x, world.y);
+            this.notifySelection();
+        }
+    }
+
+    handleMouseUp(e) {
+        if (!this.enabled || !this.gesture) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+
+        if (gesture.chargeId !== null) {
+            this.canvas.style.cursor = 'grab';
+            return;
+        }
+
+        // Click on empty canvas: place a charge
+        if (!gesture.moved && e.target === this.canvas) {
+            const world = this.renderer.toWorld(gesture.start.x, gesture.start.y);
+            const added = this.chargeSystem.addCharge(world.x, world.y, this.chargeFromControls());
+            this.select(added.id);
+        }
+    }
+
+    handleContextMenu(e) {
+        if (!this.enabled) return;
+
+        const hit = this.chargeAtPoint(this.renderer.toCanvasCoords(e));
+        if (hit) {
+            e.preventDefault();
+            this.removeCharge(hit.id);
+        }
+    }
+
+    handleKeyDown(e) {
+        if (!this.enabled || this.selectedId === null) return;
+
+        // Leave form fields alone
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.removeCharge(this.selectedId);
+        } else if (e.key === 'Escape') {
+            this.select(null);
+        }
+    }
+
+    // ==========================================
+    // SELECTION
+    // ==========================================
+
+    select(id) {
+        if (this.selectedId === id) return;
+        this.selectedId = id;
+
+        // Reflect the selected charge in the polarity/magnitude controls
+        const charge = id !== null ? this.chargeSystem.getCharge(id) : null;
+        if (charge && this.ui) {
+            this.ui.setControlValue('charge-type', charge.charge < 0 ? 'negative' : 'positive');
+            this.ui.setControlValue('charge-magnitude', Math.abs(charge.charge) * 1e9);
+        }
+
+        this.notifySelection();
+    }
+
+    getSelected() {
+        return this.selectedId !== null ? this.chargeSystem.getCharge(this.selectedId) : null;
+    }
+
+    removeCharge(id) {
+        this.chargeSystem.removeCharge(id);
+        if (this.selectedId === id) this.select(null);
+    }
+
+    /**
+     * Push the polarity/magnitude controls onto the selected charge
+     */
+    applyControlsToSelection() {
+        if (this.selectedId === null) return;
+        this.chargeSystem.setChargeValue(this.selectedId, this.chargeFromControls());
+        this.notifySelection();
+    }
+
+    chargeFromControls() {
+        const type = this.ui ? this.ui.getChargeType() : 'positive';
+        const magnitude = this.ui ? this.ui.getChargeMagnitude() : 1;
+        return (type === 'negative' ? -1 : 1) * magnitude * 1e-9;
+    }
+
+    notifySelection() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelected());
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChargeEditor };
+}
@@ -0,0 +1,280 @@
+/**
+ * CONTOUR TOOL COMPONENT
+ *
+ * Neural-Physical Instrument UI
+ * Contours and paths for the integral-law checks:
+ * - Closed contour (Gauss's law): drag out a circle, or click polygon
+ *   vertices and click the first vertex to close
+ * - Open path (line integral): click vertices and click the last one
+ *   again to finish, or drag for a straight path
+ * - Escape cancels the contour being drawn
+ *
+ * Points are world coordinates; `onChange` fires whenever a finished
+ * contour or path changes, and `onFinish(geometry)` once when the user
+ * completes one (a tool that consumes shapes, e.g. conductor drawing).
+ */
+
+class ContourTool {
+    constructor(canvas, renderer, options = {}) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.options = {
+            closeRadius: options.closeRadius || 10,
+            dragThreshold: options.dragThreshold || 4,
+            // a/b labels on the ends of an open path
+            endLabels: options.endLabels ?? true
+        };
+
+        this.enabled = false;
+
+        // 'closed' (Gauss contour) or 'open' (line-integral path)
+        this.kind = 'closed';
+        // Closed contour shape: 'circle' or 'polygon'
+        this.shape = 'circle';
+
+        // Finished geometry: contour {points, circle: {x, y, radius} | null}, path {points}
+        this.contour = null;
+        this.path = null;
+
+        // Polygon / path being clicked out
+        this.draft = [];
+
+        // Active press: {start, world, moved}
+        this.gesture = null;
+
+        this.onChange = null;
+        this.onFinish = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.gesture = null;
+        this.draft = [];
+        this.canvas.style.cursor = enabled ? 'crosshair' : '';
+    }
+
+    setShape(shape) {
+        this.shape = shape;
+        this.draft = [];
+    }
+
+    clear() {
+        this.contour = null;
+        this.path = null;
+        this.draft = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+
+    finish(geometry) {
+        if (this.onFinish) this.onFinish(geometry);
+    }
+
+    // ==========================================
+    // MOUSE / KEYBOARD
+    // ==========================================
+
+    handleMouseDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        this.gesture = { start: point, world: this.renderer.toWorld(point.x, point.y), moved: false };
+        e.preventDefault();
+    }
+
+    handleMouseMove(e) {
+        if (!this.enabled || !this.gesture) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        const gesture = this.gesture;
+        if (Math.hypot(point.x - gesture.start.x, point.y - gesture.start.y) > this.options.dragThreshold) {
+            gesture.moved = true;
+        }
+
+        // Live circle while dragging out its radius
+        if (gesture.moved && this.kind === 'closed' && this.shape === 'circle') {
+            const world = this.renderer.toWorld(point.x, point.y);
+            this.setCircle(gesture.world, Math.hypot(world.x - gesture.world.x, world.y - gesture.world.y));
+        }
+    }
+
+    handleMouseUp(e) {
+        if (!this.enabled || !this.gesture) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+        const point = this.renderer.toCanvasCoords(e);
+        const world = this.renderer.toWorld(point.x, point.y);
+
+        if (this.kind === 'closed' && this.shape === 'circle') {
+            if (!gesture.moved && this.contour && this.contour.circle) {
+                // A plain click leaves the existing circle alone
+                return;
+            }
+            if (gesture.moved) {
+                this.setCircle(gesture.world, Math.hypot(world.x - gesture.world.x, world.y - gesture.world.y));
+                if (this.contour) this.finish(this.contour);
+            }
+            return;
+        }
+
+        // Straight path from a single drag
+        if (this.kind === 'open' && gesture.moved && this.draft.length === 0) {
+            this.path = { points: [gesture.world, world] };
+            this.notify();
+            this.finish(this.path);
+            return;
+        }
+
+        if (!gesture.moved) this.addVertex(gesture.start, gesture.world);
+    }
+
+    handleKeyDown(e) {
+        if (!this.enabled || e.key !== 'Escape') return;
+        this.draft = [];
+    }
+
+    setCircle(center, radius) {
+        this.contour = radius > 0
+            ? { points: FieldIntegrals.circle(center.x, center.y, radius), circle: { x: center.x, y: center.y, radius } }
+            : null;
+        this.notify();
+    }
+
+    /**
+     * Add a clicked vertex; clicking the first (polygon) or last (path)
+     * vertex again finishes the shape
+     */
+    addVertex(screen, world) {
+        const near = (p) => {
+            const s = this.renderer.toScreen(p.x, p.y);
+            return Math.hypot(s.x - screen.x, s.y - screen.y) <= this.options.closeRadius;
+        };
+        const draft = this.draft;
+
+        if (this.kind === 'closed' && draft.length >= 3 && near(draft[0])) {
+            this.contour = { points: draft, circle: null };
+            this.draft = [];
+            this.notify();
+            this.finish(this.contour);
+            return;
+        }
+        if (this.kind === 'open' && draft.length >= 2 && near(draft[draft.length - 1])) {
+            this.path = { points: draft };
+            this.draft = [];
+            this.notify();
+            this.finish(this.path);
+            return;
+        }
+        if (draft.length > 0 && near(draft[draft.length - 1])) return;
+
+        draft.push(world);
+    }
+
+    // ==========================================
+    // DRAWING
+    // ==========================================
+
+    draw() {
+        const r = this.renderer;
+        const ctx = r.ctx;
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+
+        if (this.contour) {
+            const screen = this.contour.points.map(p => r.toScreen(p.x, p.y));
+            this.tracePolyline(ctx, screen, true);
+            ctx.fillStyle = r.colors.cadmiumOrange + '14';
+            ctx.fill();
+            ctx.strokeStyle = r.colors.cadmiumOrange;
+            ctx.stroke();
+            this.drawNormals(ctx, screen);
+        }
+
+        if (this.path) {
+            const screen = this.path.points.map(p => r.toScreen(p.x, p.y));
+            this.tracePolyline(ctx, screen, false);
+            ctx.strokeStyle = r.colors.phosphorGreen;
+            ctx.stroke();
+            if (this.options.endLabels) this.drawEndLabels(ctx, screen);
+        }
+
+        // Shape being clicked out, with a rubber band to the pointer
+        if (this.enabled && this.draft.length > 0) {
+            const screen = this.draft.map(p => r.toScreen(p.x, p.y));
+            if (r.pointer) screen.push(r.pointer);
+            this.tracePolyline(ctx, screen, false);
+            ctx.setLineDash([4, 4]);
+            ctx.strokeStyle = this.kind === 'closed' ? r.colors.cadmiumOrange : r.colors.phosphorGreen;
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.restore();
+    }
+
+    tracePolyline(ctx, screen, closed) {
+        ctx.beginPath();
+        screen.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        if (closed) ctx.closePath();
+    }
+
+    /**
+     * Short outward-normal ticks about every 40 px
+     */
+    drawNormals(ctx, screen) {
+        // Screen y is flipped: a counter-clockwise world contour has negative area here
+        const orientation = FieldIntegrals.signedArea(screen) < 0 ? -1 : 1;
+        let carry = 0;
+
+        ctx.beginPath();
+        for (let i = 0; i < screen.length; i++) {
+            const a = screen[i];
+            const b = screen[(i + 1) % screen.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) continue;
+
+            const nx = orientation * (b.y - a.y) / length;
+            const ny = -orientation * (b.x - a.x) / length;
+            for (let d = 40 - carry; d < length; d += 40) {
+                const x = a.x + (b.x - a.x) * d / length;
+                const y = a.y + (b.y - a.y) * d / length;
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + nx * 8, y + ny * 8);
+            }
+            carry = (carry + length) % 40;
+        }
+        ctx.stroke();
+    }
+
+    drawEndLabels(ctx, screen) {
+        const color = this.renderer.colors.phosphorGreen;
+        ctx.fillStyle = color;
+        ctx.font = "600 11px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+
+        [[screen[0], 'a'], [screen[screen.length - 1], 'b']].forEach(([p, label]) => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillText(label, p.x, p.y - 8);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContourTool };
+}
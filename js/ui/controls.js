@@ -9,15 +9,50 @@ class UIControls {
     constructor() {
         this.currentMode = 'electrostatic';
         this.isPlaying = false;
+        this.isRecording = false;
+        this.isSeriesActive = false;
 
         // Mode transition handler
         this.modeTransition = null;
 
+        // Range inputs with a formatted readout (upgraded to dial sliders)
+        this.sliderConfigs = [
+            { id: 'speed-slider', displayId: 'speed-value', format: v => Math.round(v) },
+            { id: 'charge-magnitude', displayId: 'charge-value', format: v => v.toFixed(1) + ' nC' },
+            { id: 'conductor-voltage', displayId: 'conductor-voltage-value', format: v => Math.round(v) + ' V' },
+            { id: 'dielectric-epsilon', displayId: 'dielectric-epsilon-value', format: v => 'εr ' + v.toFixed(1) },
+            { id: 'current-magnitude', displayId: 'current-value', format: v => Math.round(v) + ' A' },
+            { id: 'wave-frequency', displayId: 'freq-value', format: v => v + ' THz' },
+            { id: 'wave-amplitude', displayId: 'amp-value', format: v => v.toFixed(1) },
+            { id: 'magnetic-field-z', displayId: 'bz-value', format: v => v.toFixed(2) + ' T' },
+            { id: 'electric-field-x', displayId: 'ex-value', format: v => v.toFixed(1) + ' MV/m' },
+            { id: 'electric-field-y', displayId: 'ey-value', format: v => v.toFixed(1) + ' MV/m' },
+            { id: 'launch-offset', displayId: 'launch-offset-value', format: v => v.toFixed(2) + ' m' },
+            { id: 'launch-pitch', displayId: 'launch-pitch-value', format: v => Math.round(v) + '°' },
+            { id: 'beam-count', displayId: 'beam-count-value', format: v => v > 1 ? Math.round(v) + ' particles' : 'Single' },
+            { id: 'beam-position-spread', displayId: 'beam-position-value', format: v => v.toFixed(2) + ' m' },
+            { id: 'beam-angle-spread', displayId: 'beam-angle-value', format: v => Math.round(v) + ' mrad' },
+            { id: 'beam-energy-spread', displayId: 'beam-energy-value', format: v => v.toFixed(1) + ' %' }
+        ];
+        this.dialSliders = {};
+
         // Callbacks
         this.onModeChange = null;
         this.onPlayToggle = null;
         this.onStep = null;
         this.onReset = null;
+        this.onResetView = null;
+        this.onSaveScene = null;
+        this.onLoadScene = null;
+        this.onRecordToggle = null;
+        this.onExportFrame = null;
+        this.onSeriesToggle = null;
+        this.onClearProbes = null;
+        this.onClearCut = null;
+        this.onClearContours = null;
+        this.onClearConductors = null;
+        this.onClearDielectrics = null;
+        this.onClearCurrents = null;
         this.onParameterChange = null;
 
         this.init();
@@ -26,20 +61,40 @@ class UIControls {
     init() {
         this.bindModeButtons();
         this.bindPlaybackControls();
+        this.bindViewControls();
+        this.bindSceneControls();
+        this.bindCaptureControls();
+        this.bindExportControls();
+        this.bindMeasurementControls();
+        this.bindConductorControls();
+        this.bindDielectricControls();
+        this.bindMagnetostaticControls();
         this.bindSliders();
         this.bindCheckboxes();
+        this.bindSelects();
+        this.bindWaveDimension();
+        this.bindMaterialSelect();
 
         // Initialize dial sliders (upgrade from range inputs)
         this.initDialSliders();
+
+        // Shared links: page defaults first, then whatever the hash overrides
+        this.controlDefaults = this.getControlState();
+        this.readHashState();
     }
 
-    bindModeButtons() {
-        const modeButtons = document.querySelectorAll('.mode-btn');
-        const panels = {
+    getModePanels() {
+        return {
             electrostatic: document.getElementById('panel-electrostatic'),
+            magnetostatic: document.getElementById('panel-magnetostatic'),
             waves: document.getElementById('panel-waves'),
             particles: document.getElementById('panel-particles')
         };
+    }
+
+    bindModeButtons() {
+        const modeButtons = document.querySelectorAll('.mode-btn');
+        const panels = this.getModePanels();
 
         modeButtons.forEach(btn => {
             btn.addEventListener('click', async () => {
@@ -77,6 +132,14 @@ class UIControls {
         });
     }
 
+    /**
+     * Show a mode's button and panel without firing onModeChange
+     */
+    setMode(modeId) {
+        if (modeId === this.currentMode) return;
+        this.switchMode(modeId, document.querySelectorAll('.mode-btn'), this.getModePanels());
+    }
+
     bindPlaybackControls() {
         const playBtn = document.getElementById('btn-play');
         const stepBtn = document.getElementById('btn-step');
@@ -113,6 +176,178 @@ class UIControls {
         }
     }
 
+    bindViewControls() {
+        const resetViewBtn = document.getElementById('btn-reset-view');
+
+        if (resetViewBtn) {
+            resetViewBtn.addEventListener('click', () => {
+                if (this.onResetView) {
+                    this.onResetView();
+                }
+            });
+        }
+    }
+
+    bindSceneControls() {
+        const saveBtn = document.getElementById('btn-save-scene');
+        const loadBtn = document.getElementById('btn-load-scene');
+        const fileInput = document.getElementById('scene-file');
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                if (this.onSaveScene) {
+                    this.onSaveScene();
+                }
+            });
+        }
+
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                if (!file || !this.onLoadScene) return;
+
+                this.onLoadScene(await file.text(), file.name);
+            });
+        }
+    }
+
+    bindCaptureControls() {
+        const recordBtn = document.getElementById('btn-record');
+        if (!recordBtn) return;
+
+        recordBtn.addEventListener('click', () => {
+            this.setRecording(!this.isRecording);
+
+            if (this.onRecordToggle) {
+                this.onRecordToggle(this.isRecording);
+            }
+        });
+    }
+
+    /**
+     * Reflect the recording state in the Record button (no callback)
+     */
+    setRecording(recording) {
+        this.isRecording = recording;
+
+        const btn = document.getElementById('btn-record');
+        if (!btn) return;
+
+        const icon = btn.querySelector('.icon');
+        const label = btn.querySelector('span:not(.icon)');
+        if (icon) icon.textContent = recording ? '⏹' : '⏺';
+        if (label) label.textContent = recording ? 'Stop' : 'Record';
+        btn.classList.toggle('recording', recording);
+    }
+
+    bindExportControls() {
+        const frameBtn = document.getElementById('btn-export-frame');
+        const seriesBtn = document.getElementById('btn-export-series');
+
+        if (frameBtn) {
+            frameBtn.addEventListener('click', () => {
+                if (this.onExportFrame) {
+                    this.onExportFrame();
+                }
+            });
+        }
+
+        if (seriesBtn) {
+            seriesBtn.addEventListener('click', () => {
+                this.setSeriesActive(!this.isSeriesActive);
+
+                if (this.onSeriesToggle) {
+                    this.onSeriesToggle(this.isSeriesActive);
+                }
+            });
+        }
+    }
+
+    /**
+     * Reflect time-series capture in the Series button (no callback)
+     */
+    setSeriesActive(active) {
+        this.isSeriesActive = active;
+
+        const btn = document.getElementById('btn-export-series');
+        if (!btn) return;
+
+        const icon = btn.querySelector('.icon');
+        const label = btn.querySelector('span:not(.icon)');
+        if (icon) icon.textContent = active ? '⏹' : '⏺';
+        if (label) label.textContent = active ? 'Stop' : 'Series';
+        btn.classList.toggle('recording', active);
+    }
+
+    bindMeasurementControls() {
+        const clearProbesBtn = document.getElementById('btn-clear-probes');
+        const clearCutBtn = document.getElementById('btn-clear-cut');
+        const clearContoursBtn = document.getElementById('btn-clear-contours');
+
+        if (clearProbesBtn) {
+            clearProbesBtn.addEventListener('click', () => {
+                if (this.onClearProbes) {
+                    this.onClearProbes();
+                }
+            });
+        }
+
+        if (clearCutBtn) {
+            clearCutBtn.addEventListener('click', () => {
+                if (this.onClearCut) {
+                    this.onClearCut();
+                }
+            });
+        }
+
+        if (clearContoursBtn) {
+            clearContoursBtn.addEventListener('click', () => {
+                if (this.onClearContours) {
+                    this.onClearContours();
+                }
+            });
+        }
+    }
+
+    bindConductorControls() {
+        const clearBtn = document.getElementById('btn-clear-conductors');
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (this.onClearConductors) {
+                    this.onClearConductors();
+                }
+            });
+        }
+    }
+
+    bindDielectricControls() {
+        const clearBtn = document.getElementById('btn-clear-dielectrics');
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (this.onClearDielectrics) {
+                    this.onClearDielectrics();
+                }
+            });
+        }
+    }
+
+    bindMagnetostaticControls() {
+        const clearBtn = document.getElementById('btn-clear-currents');
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                if (this.onClearCurrents) {
+                    this.onClearCurrents();
+                }
+            });
+        }
+    }
+
     updatePlayButton(btn) {
         const icon = btn.querySelector('.icon');
         const label = btn.querySelector('span:not(.icon)');
@@ -152,34 +387,179 @@ class UIControls {
         });
     }
 
+    bindSelects() {
+        const selects = document.querySelectorAll('.control-panel select');
+
+        selects.forEach(select => {
+            select.addEventListener('change', (e) => {
+                if (this.onParameterChange) {
+                    this.onParameterChange(select.id, e.target.value);
+                }
+            });
+        });
+    }
+
+    bindWaveDimension() {
+        const dimension = document.getElementById('wave-dimension');
+        const sceneGroup = document.getElementById('wave-scene-group');
+        if (!dimension || !sceneGroup) return;
+
+        // 2D scene presets only apply to the TMz solver
+        dimension.addEventListener('change', () => {
+            sceneGroup.classList.toggle('hidden', dimension.value !== '2d');
+        });
+    }
+
+    bindMaterialSelect() {
+        const select = document.getElementById('material-select');
+        if (!select || typeof materialLibrary === 'undefined') return;
+
+        // Mirror the registry, including materials registered at runtime
+        const populate = () => {
+            const current = select.value;
+            select.innerHTML = '';
+            materialLibrary.list().forEach(material => {
+                const option = document.createElement('option');
+                option.value = material.name;
+                option.textContent = material.label;
+                select.appendChild(option);
+            });
+            if (materialLibrary.has(current)) select.value = current;
+        };
+
+        populate();
+        materialLibrary.onChange(populate);
+    }
+
     initDialSliders() {
         // Upgrade sliders to dial style (if DialSlider is available)
         if (typeof upgradeToDialSlider === 'undefined') return;
 
-        const sliderConfigs = [
-            { id: 'speed-slider', displayId: 'speed-value', format: v => Math.round(v) },
-            { id: 'charge-magnitude', displayId: 'charge-value', format: v => v.toFixed(1) + ' nC' },
-            { id: 'wave-frequency', displayId: 'freq-value', format: v => v + ' THz' },
-            { id: 'wave-amplitude', displayId: 'amp-value', format: v => v.toFixed(1) },
-            { id: 'magnetic-field-z', displayId: 'bz-value', format: v => v.toFixed(2) + ' T' },
-            { id: 'electric-field-x', displayId: 'ex-value', format: v => v.toFixed(1) + ' MV/m' },
-            { id: 'electric-field-y', displayId: 'ey-value', format: v => v.toFixed(1) + ' MV/m' }
-        ];
-
-        sliderConfigs.forEach(config => {
+        this.sliderConfigs.forEach(config => {
             const slider = document.getElementById(config.id);
             const display = document.getElementById(config.displayId);
 
             if (slider && display) {
                 // Don't upgrade if already upgraded
                 if (!slider.dataset.upgraded) {
-                    upgradeToDialSlider(slider, display, config.format);
+                    this.dialSliders[config.id] = upgradeToDialSlider(slider, display, config.format);
                     slider.dataset.upgraded = 'true';
                 }
             }
         });
     }
 
+    /**
+     * Set a control programmatically without firing onParameterChange
+     * Keeps the upgraded dial, the value readout and the underlying
+     * input in sync.
+     * @param {string} id - Element id of a range, checkbox or select
+     * @param {number|boolean|string} value
+     */
+    setControlValue(id, value) {
+        const el = document.getElementById(id);
+        if (!el) return;
+
+        if (el.type === 'checkbox') {
+            el.checked = !!value;
+            return;
+        }
+
+        el.value = value;
+
+        const config = this.sliderConfigs.find(c => c.id === id);
+        if (config) {
+            const numeric = parseFloat(value);
+            const dial = this.dialSliders[id];
+            if (dial) dial.setValue(numeric);
+
+            const display = document.getElementById(config.displayId);
+            if (display) display.textContent = config.format(numeric);
+        }
+
+        if (id === 'wave-dimension') {
+            document.getElementById('wave-scene-group')?.classList.toggle('hidden', value !== '2d');
+        }
+    }
+
+    // ==========================================
+    // URL HASH STATE
+    // ==========================================
+
+    /**
+     * Current value of every control tracked in the URL hash
+     * @returns {Object} {id: value} (booleans for checkboxes, strings otherwise)
+     */
+    getControlState() {
+        const state = {};
+        if (typeof UrlState === 'undefined') return state;
+
+        for (const id of Object.keys(UrlState.CONTROL_KEYS)) {
+            const el = document.getElementById(id);
+            if (el) state[id] = el.type === 'checkbox' ? el.checked : String(el.value);
+        }
+        return state;
+    }
+
+    /**
+     * Apply mode and control values from the URL hash
+     * Charges are kept in `hashState` for the simulation controller.
+     */
+    readHashState(hash = window.location.hash) {
+        this.hashState = null;
+        if (typeof UrlState === 'undefined' || !hash) return;
+
+        const state = UrlState.decode(hash);
+
+        for (const [id, raw] of Object.entries(state.controls)) {
+            const value = this.parseControlValue(id, raw);
+            if (value !== null) this.setControlValue(id, value);
+        }
+
+        if (state.mode) this.setMode(state.mode);
+        this.hashState = state;
+    }
+
+    /**
+     * Validate a hash value against its widget (range limits, select options)
+     * @returns {number|boolean|string|null} null when unusable
+     */
+    parseControlValue(id, raw) {
+        const el = document.getElementById(id);
+        if (!el) return null;
+
+        if (el.type === 'checkbox') {
+            return raw === '1' ? true : raw === '0' ? false : null;
+        }
+
+        if (el.type === 'range') {
+            const value = parseFloat(raw);
+            if (!isFinite(value)) return null;
+            return Math.max(parseFloat(el.min), Math.min(parseFloat(el.max), value));
+        }
+
+        const options = Array.from(el.options || []);
+        return options.some(o => o.value === raw) ? raw : null;
+    }
+
+    /**
+     * Replace the URL hash with the current mode, changed controls and
+     * charges (history.replaceState, so no history entries pile up)
+     */
+    writeHashState(charges = null) {
+        if (typeof UrlState === 'undefined' || !window.history || !window.history.replaceState) return;
+
+        const controls = {};
+        const current = this.getControlState();
+        for (const [id, value] of Object.entries(current)) {
+            if (!this.controlDefaults || this.controlDefaults[id] !== value) controls[id] = value;
+        }
+
+        const hash = UrlState.encode({ mode: this.currentMode, controls, charges });
+        const base = window.location.pathname + window.location.search;
+        window.history.replaceState(null, '', hash ? `${base}#${hash}` : base);
+    }
+
     // Getters for current values
     getChargeType() {
         const select = document.getElementById('charge-type');
@@ -191,6 +571,57 @@ class UIControls {
         return slider ? parseFloat(slider.value) : 1;
     }
 
+    getConductorPreset() {
+        return document.getElementById('conductor-preset')?.value ?? 'none';
+    }
+
+    getConductorShape() {
+        return document.getElementById('conductor-shape')?.value ?? 'plate';
+    }
+
+    getConductorVoltage() {
+        const slider = document.getElementById('conductor-voltage');
+        return slider ? parseFloat(slider.value) : 10;
+    }
+
+    getDielectricPreset() {
+        return document.getElementById('dielectric-preset')?.value ?? 'none';
+    }
+
+    getDielectricShape() {
+        return document.getElementById('dielectric-shape')?.value ?? 'polygon';
+    }
+
+    getDielectricEpsilon() {
+        const slider = document.getElementById('dielectric-epsilon');
+        return slider ? parseFloat(slider.value) : 4;
+    }
+
+    getCurrentPreset() {
+        return document.getElementById('current-preset')?.value ?? 'wire';
+    }
+
+    getCurrentShape() {
+        return document.getElementById('current-shape')?.value ?? 'wire';
+    }
+
+    getCurrentDirection() {
+        return document.getElementById('current-direction')?.value ?? 'out';
+    }
+
+    getCurrentMagnitude() {
+        const slider = document.getElementById('current-magnitude');
+        return slider ? parseFloat(slider.value) : 10;
+    }
+
+    getMagnetostaticOptions() {
+        return {
+            showFieldLines: document.getElementById('show-b-lines')?.checked ?? true,
+            showMagnitude: document.getElementById('show-b-magnitude')?.checked ?? true,
+            showVectorPotential: document.getElementById('show-vector-potential')?.checked ?? false
+        };
+    }
+
     getSimulationSpeed() {
         const slider = document.getElementById('speed-slider');
         return slider ? parseInt(slider.value) : 10;
@@ -201,12 +632,53 @@ class UIControls {
             showFieldLines: document.getElementById('show-field-lines')?.checked ?? true,
             showVectors: document.getElementById('show-vectors')?.checked ?? false,
             showPotential: document.getElementById('show-potential')?.checked ?? false,
+            showPotentialMap: document.getElementById('show-potential-map')?.checked ?? false,
+            lineSeeding: document.getElementById('line-seeding')?.value ?? 'charges',
+            contourSpacing: document.getElementById('contour-spacing')?.value ?? 'symlog',
+            contourLabels: document.getElementById('contour-labels')?.checked ?? true,
             relativistic: document.getElementById('relativistic')?.checked ?? true
         };
     }
 
+    getColorOptions() {
+        return {
+            colormap: document.getElementById('colormap-select')?.value ?? 'auto',
+            scale: document.getElementById('color-scale')?.value ?? 'auto',
+            showColorbar: document.getElementById('show-colorbar')?.checked ?? true,
+            smooth: document.getElementById('smooth-heatmaps')?.checked ?? false
+        };
+    }
+
+    getRecordOptions() {
+        return {
+            format: document.getElementById('record-format')?.value ?? 'auto',
+            overlay: document.getElementById('record-overlay')?.checked ?? true
+        };
+    }
+
+    getTool() {
+        return document.getElementById('tool-select')?.value ?? 'edit';
+    }
+
+    getContourShape() {
+        return document.getElementById('contour-shape')?.value ?? 'circle';
+    }
+
+    getCutQuantity() {
+        return document.getElementById('cut-quantity')?.value ?? 'V';
+    }
+
+    getExportOptions() {
+        return {
+            dataset: document.getElementById('export-dataset')?.value ?? 'potential',
+            format: document.getElementById('export-format')?.value ?? 'csv'
+        };
+    }
+
     getWaveParameters() {
         return {
+            dimension: document.getElementById('wave-dimension')?.value ?? '1d',
+            scene: document.getElementById('wave-scene')?.value ?? 'point',
             sourceType: document.getElementById('source-type')?.value ?? 'sinusoidal',
             frequency: parseFloat(document.getElementById('wave-frequency')?.value ?? 500),
             amplitude: parseFloat(document.getElementById('wave-amplitude')?.value ?? 1),
@@ -221,7 +693,23 @@ class UIControls {
             type: document.getElementById('particle-type')?.value ?? 'electron',
             Bz: parseFloat(document.getElementById('magnetic-field-z')?.value ?? 1),
             Ex: parseFloat(document.getElementById('electric-field-x')?.value ?? 0),
-            Ey: parseFloat(document.getElementById('electric-field-y')?.value ?? 0)
+            Ey: parseFloat(document.getElementById('electric-field-y')?.value ?? 0),
+            field: document.getElementById('particle-field')?.value ?? 'uniform',
+            launchOffset: parseFloat(document.getElementById('launch-offset')?.value ?? 0),
+            launchPitch: parseFloat(document.getElementById('launch-pitch')?.value ?? 0)
+        };
+    }
+
+    /**
+     * Beam size and spreads in SI (angle in rad, energy as a fraction)
+     */
+    getBeamParameters() {
+        return {
+            count: Math.round(parseFloat(document.getElementById('beam-count')?.value ?? 1)),
+            positionSpread: parseFloat(document.getElementById('beam-position-spread')?.value ?? 0.1),
+            angleSpread: parseFloat(document.getElementById('beam-angle-spread')?.value ?? 10) / 1000,
+            energySpread: parseFloat(document.getElementById('beam-energy-spread')?.value ?? 1) / 100,
+            phasePlane: document.getElementById('phase-plane')?.value ?? 'x'
         };
     }
 
@@ -0,0 +1,363 @@
+/**
+ * LINE CUT TOOL COMPONENT
+ *
+ * Neural-Physical Instrument UI
+ * Measuring line dragged across the canvas:
+ * - Drag on the canvas to draw a cut, drag either end to adjust it
+ * - Length in meters with caliper-style ticks along the line
+ * - Profile plot of V(s) or |E|(s) sampled along the cut (Az(s) and |B|(s)
+ *   with the magnetic quantities)
+ *
+ * Drawn into an SVG layer of the technical calipers so it shares their
+ * styles. Field values come from `sampler(x, y)` at world coordinates,
+ * returning {V, E} in volts and V/m (NaN where undefined), or in the units
+ * of `quantities` when those are swapped.
+ */
+
+class LineCutTool {
+    static SVG_NS = 'http://www.w3.org/2000/svg';
+
+    static QUANTITIES = {
+        V: { name: 'V', label: 'V(s)', unit: 'V' },
+        E: { name: '|E|', label: '|E|(s)', unit: 'V/m' }
+    };
+
+    // Magnetostatics: the sampler's V and E slots carry Az and |B|
+    static MAGNETIC_QUANTITIES = {
+        V: { name: 'Az', label: 'Az(s)', unit: 'T·m' },
+        E: { name: '|B|', label: '|B|(s)', unit: 'T' }
+    };
+
+    constructor(canvas, renderer, layer, options = {}) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.layer = layer;
+        this.options = {
+            samples: options.samples || 200,
+            handleRadius: options.handleRadius || 10,
+            plotWidth: options.plotWidth || 300,
+            plotHeight: options.plotHeight || 120,
+            minorTicksPerMajor: options.minorTicksPerMajor || 5
+        };
+
+        this.enabled = false;
+        this.sampler = null;
+        this.quantity = 'V';
+        this.quantities = LineCutTool.QUANTITIES;
+
+        // Value formatter for labels, e.g. an SI-prefix formatter
+        this.format = (value, unit) => `${value.toPrecision(3)} ${unit}`;
+
+        // One cut per context (mode): {x1, y1, x2, y2} in world meters
+        this.cuts = {};
+        this.context = 'default';
+
+        // Active gesture: {end: 1 | 2}
+        this.gesture = null;
+
+        // Last sampled profile (see profile())
+        this.lastProfile = null;
+
+        if (layer) this.build();
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    }
+
+    get cut() {
+        return this.cuts[this.context] || null;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.gesture = null;
+        this.canvas.style.cursor = enabled ? 'crosshair' : '';
+    }
+
+    setContext(context) {
+        this.context = context;
+        this.gesture = null;
+        this.lastProfile = null;
+    }
+
+    clear() {
+        delete this.cuts[this.context];
+        this.lastProfile = null;
+    }
+
+    length() {
+        const cut = this.cut;
+        return cut ? Math.hypot(cut.x2 - cut.x1, cut.y2 - cut.y1) : 0;
+    }
+
+    // ==========================================
+    // PROFILE
+    // ==========================================
+
+    /**
+     * Sample the field along the cut
+     * @returns {?{s, x, y, V, E, quantities}} Float64Arrays, s in meters from
+     *   the first end; `quantities` names and units the V and E slots
+     */
+    profile() {
+        const cut = this.cut;
+        if (!cut || !this.sampler) return null;
+
+        const n = this.options.samples;
+        const length = this.length();
+        const profile = {
+            s: new Float64Array(n), x: new Float64Array(n), y: new Float64Array(n),
+            V: new Float64Array(n), E: new Float64Array(n),
+            quantities: this.quantities
+        };
+
+        for (let k = 0; k < n; k++) {
+            const t = k / (n - 1);
+            const x = cut.x1 + (cut.x2 - cut.x1) * t;
+            const y = cut.y1 + (cut.y2 - cut.y1) * t;
+            const sample = this.sampler(x, y);
+
+            profile.s[k] = length * t;
+            profile.x[k] = x;
+            profile.y[k] = y;
+            profile.V[k] = sample.V;
+            profile.E[k] = sample.E;
+        }
+
+        return profile;
+    }
+
+    // ==========================================
+    // MOUSE
+    // ==========================================
+
+    /**
+     * Cut end (1 or 2) under a canvas-pixel point, or 0
+     */
+    endAtPoint(point) {
+        const cut = this.cut;
+        if (!cut) return 0;
+
+        const a = this.renderer.toScreen(cut.x1, cut.y1);
+        const b = this.renderer.toScreen(cut.x2, cut.y2);
+        const da = Math.hypot(a.x - point.x, a.y - point.y);
+        const db = Math.hypot(b.x - point.x, b.y - point.y);
+        const r = this.options.handleRadius;
+
+        if (db <= r && db <= da) return 2;
+        if (da <= r) return 1;
+        return 0;
+    }
+
+    handleMouseDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        const end = this.endAtPoint(point);
+
+        if (end) {
+            this.gesture = { end };
+        } else {
+            // Start a new cut; the far end follows the pointer
+            const world = this.renderer.toWorld(point.x, point.y);
+            this.cuts[this.context] = { x1: world.x, y1: world.y, x2: world.x, y2: world.y };
+            this.gesture = { end: 2 };
+        }
+
+        e.preventDefault();
+    }
+
+    handleMouseMove(e) {
+        if (!this.enabled) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+
+        if (!this.gesture) {
+            if (e.target === this.canvas) {
+                this.canvas.style.cursor = this.endAtPoint(point) ? 'grab' : 'crosshair';
+            }
+            return;
+        }
+
+        const cut = this.cut;
+        const world = this.renderer.toWorld(point.x, point.y);
+        cut[`x${this.gesture.end}`] = world.x;
+        cut[`y${this.gesture.end}`] = world.y;
+    }
+
+    handleMouseUp() {
+        if (!this.enabled || !this.gesture) return;
+        this.gesture = null;
+
+        // A click without a drag leaves no usable line
+        if (this.cut && this.length() === 0) this.clear();
+    }
+
+    // ==========================================
+    // SVG
+    // ==========================================
+
+    build() {
+        const make = (tag, className, parent = this.layer) => {
+            const el = document.createElementNS(LineCutTool.SVG_NS, tag);
+            if (className) el.setAttribute('class', className);
+            parent.appendChild(el);
+            return el;
+        };
+
+        this.lineGroup = make('g');
+        this.tickPath = make('path', 'caliper-line major', this.lineGroup);
+        this.measureLine = make('path', 'caliper-measure', this.lineGroup);
+        this.labelBg = make('rect', 'caliper-bg', this.lineGroup);
+        this.label = make('text', 'caliper-text accent', this.lineGroup);
+        this.label.setAttribute('text-anchor', 'middle');
+
+        this.plotGroup = make('g');
+        this.plotBg = make('rect', 'caliper-bg', this.plotGroup);
+        this.plotFrame = make('path', 'caliper-line', this.plotGroup);
+        this.plotTrace = make('path', 'caliper-trace', this.plotGroup);
+        this.plotTitle = make('text', 'caliper-text accent', this.plotGroup);
+        this.plotMax = make('text', 'caliper-text', this.plotGroup);
+        this.plotMin = make('text', 'caliper-text', this.plotGroup);
+        this.plotStart = make('text', 'caliper-text', this.plotGroup);
+        this.plotEnd = make('text', 'caliper-text', this.plotGroup);
+        this.plotEnd.setAttribute('text-anchor', 'end');
+
+        this.layer.style.display = 'none';
+    }
+
+    /**
+     * Redraw the line and profile plot (called once per rendered frame)
+     */
+    update() {
+        const cut = this.cut;
+        this.lastProfile = cut ? this.profile() : null;
+        if (!this.layer) return;
+
+        if (!cut) {
+            this.layer.style.display = 'none';
+            return;
+        }
+        this.layer.style.display = '';
+
+        this.updateLine(cut);
+        this.updatePlot(this.lastProfile);
+    }
+
+    updateLine(cut) {
+        const r = this.renderer;
+        const a = r.toScreen(cut.x1, cut.y1);
+        const b = r.toScreen(cut.x2, cut.y2);
+        const pixels = Math.hypot(b.x - a.x, b.y - a.y);
+        const length = this.length();
+
+        // Unit normal in screen space for the jaws, ticks and label
+        const ux = pixels > 0 ? (b.x - a.x) / pixels : 1;
+        const uy = pixels > 0 ? (b.y - a.y) / pixels : 0;
+        const nx = -uy, ny = ux;
+        const segment = (x, y, half) =>
+            `M${x - nx * half},${y - ny * half}L${x + nx * half},${y + ny * half}`;
+
+        // Line with caliper jaws at both ends
+        this.measureLine.setAttribute('d',
+            `M${a.x},${a.y}L${b.x},${b.y}` + segment(a.x, a.y, 8) + segment(b.x, b.y, 8));
+
+        // Ticks on the same nice spacing as the rulers
+        const viewport = r.viewport;
+        const major = viewport ? viewport.niceSpacing(100) : 1;
+        const perMajor = this.options.minorTicksPerMajor;
+        const minor = major / perMajor;
+        let ticks = '';
+        if (length > 0 && length / minor <= 500) {
+            for (let n = 1; n * minor < length; n++) {
+                const t = n * minor / length;
+                ticks += segment(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, n % perMajor === 0 ? 4 : 2);
+            }
+        }
+        this.tickPath.setAttribute('d', ticks);
+
+        // Length label beside the midpoint
+        const text = this.format(length, 'm');
+        const side = ny > 0 ? -1 : 1;
+        const lx = (a.x + b.x) / 2 + nx * 16 * side;
+        const ly = (a.y + b.y) / 2 + ny * 16 * side;
+        const width = text.length * 5.5 + 10;
+        this.label.setAttribute('x', lx);
+        this.label.setAttribute('y', ly + 3);
+        this.label.textContent = text;
+        this.labelBg.setAttribute('x', lx - width / 2);
+        this.labelBg.setAttribute('y', ly - 7);
+        this.labelBg.setAttribute('width', width);
+        this.labelBg.setAttribute('height', 14);
+    }
+
+    updatePlot(profile) {
+        const { plotWidth: w, plotHeight: h } = this.options;
+        const x0 = Math.max(28, (this.renderer.width - w) / 2);
+        const y0 = 28;
+        const pad = { left: 8, right: 8, top: 18, bottom: 18 };
+        const quantity = this.quantities[this.quantity];
+        const values = profile[this.quantity];
+        const finite = Array.from(values).filter(isFinite);
+
+        this.plotBg.setAttribute('x', x0);
+        this.plotBg.setAttribute('y', y0);
+        this.plotBg.setAttribute('width', w);
+        this.plotBg.setAttribute('height', h);
+
+        const left = x0 + pad.left, right = x0 + w - pad.right;
+        const top = y0 + pad.top, bottom = y0 + h - pad.bottom;
+        this.plotFrame.setAttribute('d', `M${left},${top}L${left},${bottom}L${right},${bottom}`);
+
+        this.setText(this.plotTitle, x0 + pad.left, y0 + 11, `${quantity.label} [${quantity.unit}]`);
+        this.setText(this.plotStart, left, y0 + h - 5, '0');
+        this.setText(this.plotEnd, right, y0 + h - 5, this.format(profile.s[profile.s.length - 1], 'm'));
+
+        if (finite.length < 2) {
+            this.plotTrace.setAttribute('d', '');
+            this.setText(this.plotMax, left + 4, top + 10, 'not defined here');
+            this.setText(this.plotMin, left + 4, bottom - 4, '');
+            return;
+        }
+
+        let min = Math.min(...finite);
+        let max = Math.max(...finite);
+        if (max === min) {
+            max += Math.abs(max) * 0.5 || 1;
+            min -= Math.abs(min) * 0.5 || 1;
+        }
+
+        let d = '';
+        let drawing = false;
+        const n = values.length;
+        for (let k = 0; k < n; k++) {
+            if (!isFinite(values[k])) {
+                drawing = false;
+                continue;
+            }
+            const px = left + (right - left) * k / (n - 1);
+            const py = bottom - (bottom - top) * (values[k] - min) / (max - min);
+            d += `${drawing ? 'L' : 'M'}${px.toFixed(1)},${py.toFixed(1)}`;
+            drawing = true;
+        }
+        this.plotTrace.setAttribute('d', d);
+
+        this.setText(this.plotMax, left + 4, top + 10, this.format(max, quantity.unit));
+        this.setText(this.plotMin, left + 4, bottom - 4, this.format(min, quantity.unit));
+    }
+
+    setText(el, x, y, text) {
+        el.setAttribute('x', x);
+        el.setAttribute('y', y);
+        el.textContent = text;
+    }
+
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LineCutTool };
+}
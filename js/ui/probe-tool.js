@@ -0,0 +1,290 @@
+/**
+ * PROBE TOOL COMPONENT
+ *
+ * Neural-Physical Instrument UI
+ * Field measurement on the simulation canvas:
+ * - Hover for a live readout under the cursor
+ * - Click to pin a probe; each pinned probe keeps a strip chart of its
+ *   trace quantity while the simulation runs (a point detector)
+ * - Drag a probe to move it, right-click to remove it
+ *
+ * What is measured comes from `sampler(x, y)` at world coordinates,
+ * returning null outside the domain or
+ *   {lines, vector, normal, trace}
+ * - lines: formatted readout text
+ * - vector: {x, y, color} in-plane field (world orientation, y up)
+ * - normal: {value, color} out-of-plane field
+ * - trace: {value, text} strip chart quantity and its formatted value
+ */
+
+class ProbeTool {
+    static COLORS = ['#4CAF50', '#E65100', '#42A5F5', '#FFCA28', '#AB47BC', '#26A69A'];
+
+    constructor(canvas, renderer, options = {}) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.options = {
+            maxProbes: options.maxProbes || 6,
+            historyLength: options.historyLength || 200,
+            hitRadius: options.hitRadius || 10,
+            dragThreshold: options.dragThreshold || 4,
+            chartWidth: options.chartWidth || 150,
+            chartHeight: options.chartHeight || 52
+        };
+
+        this.enabled = false;
+        this.sampler = null;
+
+        // Pinned probes per context (one list per mode)
+        this.sets = {};
+        this.context = 'default';
+        this.nextId = 1;
+
+        // Active gesture: {start, probeId, moved}
+        this.gesture = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    }
+
+    get probes() {
+        if (!this.sets[this.context]) this.sets[this.context] = [];
+        return this.sets[this.context];
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.gesture = null;
+        this.canvas.style.cursor = enabled ? 'crosshair' : '';
+    }
+
+    /**
+     * Switch the visible probe list (probes stay where they were pinned)
+     */
+    setContext(context) {
+        this.context = context;
+        this.gesture = null;
+    }
+
+    // ==========================================
+    // PROBES
+    // ==========================================
+
+    pin(x, y) {
+        const probes = this.probes;
+        if (probes.length >= this.options.maxProbes) return null;
+
+        // Reuse the first color not taken in this context
+        const used = new Set(probes.map(p => p.color));
+        const color = ProbeTool.COLORS.find(c => !used.has(c)) || ProbeTool.COLORS[0];
+
+        const probe = { id: this.nextId++, x, y, color, history: [] };
+        probes.push(probe);
+        return probe;
+    }
+
+    remove(id) {
+        const probes = this.probes;
+        const index = probes.findIndex(p => p.id === id);
+        if (index >= 0) probes.splice(index, 1);
+    }
+
+    clear() {
+        this.sets[this.context] = [];
+    }
+
+    clearHistory() {
+        this.probes.forEach(probe => { probe.history = []; });
+    }
+
+    /**
+     * Append the current trace value of every pinned probe
+     */
+    record() {
+        if (!this.sampler) return;
+
+        for (const probe of this.probes) {
+            const sample = this.sampler(probe.x, probe.y);
+            probe.history.push(sample && sample.trace ? sample.trace.value : NaN);
+            if (probe.history.length > this.options.historyLength) {
+                probe.history.shift();
+            }
+        }
+    }
+
+    /**
+     * Pinned probe drawn under a canvas-pixel point
+     */
+    probeAtPoint(point) {
+        let best = null;
+        let bestDist = this.options.hitRadius;
+
+        for (const probe of this.probes) {
+            const screen = this.renderer.toScreen(probe.x, probe.y);
+            const dist = Math.hypot(screen.x - point.x, screen.y - point.y);
+            if (dist <= bestDist) {
+                best = probe;
+                bestDist = dist;
+            }
+        }
+
+        return best;
+    }
+
+    // ==========================================
+    // MOUSE
+    // ==========================================
+
+    handleMouseDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        const hit = this.probeAtPoint(point);
+        this.gesture = { start: point, probeId: hit ? hit.id : null, moved: false };
+
+        if (hit) this.canvas.style.cursor = 'grabbing';
+    }
+
+    handleMouseMove(e) {
+        if (!this.enabled) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+
+        if (!this.gesture) {
+            if (e.target === this.canvas) {
+                this.canvas.style.cursor = this.probeAtPoint(point) ? 'grab' : 'crosshair';
+            }
+            return;
+        }
+
+        const distance = Math.hypot(point.x - this.gesture.start.x, point.y - this.gesture.start.y);
+        if (distance > this.options.dragThreshold) {
+            this.gesture.moved = true;
+        }
+
+        if (this.gesture.moved && this.gesture.probeId !== null) {
+            const probe = this.probes.find(p => p.id === this.gesture.probeId);
+            if (probe) {
+                const world = this.renderer.toWorld(point.x, point.y);
+                probe.x = world.x;
+                probe.y = world.y;
+            }
+        }
+    }
+
+    handleMouseUp(e) {
+        if (!this.enabled || !this.gesture) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+
+        if (gesture.probeId !== null) {
+            this.canvas.style.cursor = 'grab';
+            return;
+        }
+
+        // Click on empty canvas: pin a probe
+        if (!gesture.moved && e.target === this.canvas) {
+            const world = this.renderer.toWorld(gesture.start.x, gesture.start.y);
+            this.pin(world.x, world.y);
+        }
+    }
+
+    handleContextMenu(e) {
+        if (!this.enabled) return;
+
+        const hit = this.probeAtPoint(this.renderer.toCanvasCoords(e));
+        if (hit) {
+            e.preventDefault();
+            this.remove(hit.id);
+        }
+    }
+
+    // ==========================================
+    // DRAWING
+    // ==========================================
+
+    /**
+     * Pinned probes with their strip charts, then the hover readout
+     */
+    draw() {
+        if (!this.sampler) return;
+        const r = this.renderer;
+
+        this.probes.forEach((probe, index) => {
+            const screen = r.toScreen(probe.x, probe.y);
+            const sample = this.sampler(probe.x, probe.y);
+
+            this.drawIndicators(sample, screen);
+            this.drawMarker(screen, probe.color, `P${index + 1}`);
+
+            const { chartWidth, chartHeight } = this.options;
+            const cx = Math.min(screen.x + 14, r.width - chartWidth - 4);
+            const cy = Math.min(screen.y + 14, r.height - chartHeight - 4);
+            const text = sample && sample.trace ? sample.trace.text : 'outside domain';
+            r.drawStripChart(probe.history, cx, cy, chartWidth, chartHeight, {
+                color: probe.color,
+                label: `P${index + 1} ${text}`,
+                capacity: this.options.historyLength
+            });
+        });
+
+        // Hover readout (not while dragging)
+        const pointer = r.pointer;
+        if (!this.enabled || !pointer || (this.gesture && this.gesture.moved)) return;
+        if (this.probeAtPoint(pointer)) return;
+
+        const world = r.toWorld(pointer.x, pointer.y);
+        const sample = this.sampler(world.x, world.y);
+        if (!sample) return;
+
+        this.drawIndicators(sample, pointer);
+        r.drawReadout(sample.lines, pointer.x + 18, pointer.y + 18);
+    }
+
+    drawIndicators(sample, screen) {
+        if (!sample) return;
+        const r = this.renderer;
+
+        if (sample.normal) {
+            r.drawMagneticFieldIndicator(sample.normal.value, screen.x, screen.y, 12,
+                { label: '', color: sample.normal.color });
+        }
+        if (sample.vector) {
+            // Screen y points down
+            r.drawElectricFieldIndicator(sample.vector.x, -sample.vector.y, screen.x, screen.y,
+                { label: '', color: sample.vector.color });
+        }
+    }
+
+    drawMarker(screen, color, label) {
+        const ctx = this.renderer.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(screen.x, screen.y, 6, 0, Math.PI * 2);
+        ctx.moveTo(screen.x - 10, screen.y);
+        ctx.lineTo(screen.x + 10, screen.y);
+        ctx.moveTo(screen.x, screen.y - 10);
+        ctx.lineTo(screen.x, screen.y + 10);
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.font = "600 10px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'right';
+        ctx.fillText(label, screen.x - 8, screen.y - 8);
+        ctx.restore();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProbeTool };
+}
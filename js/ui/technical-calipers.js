@@ -10,6 +10,8 @@ class TechnicalCalipers {
     constructor(container, canvas, options = {}) {
         this.container = container;
         this.canvas = canvas;
+        this.viewport = null;
+        this.handleViewportChange = () => this.update();
         this.options = {
             majorTickSpacing: options.majorTickSpacing || 100,
             minorTicksPerMajor: options.minorTicksPerMajor || 5,
@@ -23,7 +25,7 @@ class TechnicalCalipers {
         };
 
         this.build();
-        this.update();
+        this.setViewport(options.viewport || null);
 
         // Observe canvas resize
         this.resizeObserver = new ResizeObserver(() => this.update());
@@ -55,6 +57,9 @@ class TechnicalCalipers {
                     font-size: 8px;
                 }
                 .caliper-bg { fill: rgba(5, 5, 10, 0.9); }
+                .caliper-text.accent { fill: #4CAF50; }
+                .caliper-measure { stroke: #4CAF50; stroke-width: 1.5; fill: none; }
+                .caliper-trace { stroke: #4CAF50; stroke-width: 1.5; fill: none; }
             </style>
         `;
         this.svg.appendChild(defs);
@@ -71,12 +76,59 @@ class TechnicalCalipers {
         this.container.appendChild(this.svg);
     }
 
+    /**
+     * Extra SVG group above the rulers for measurement overlays (shares
+     * the caliper styles; not cleared by update())
+     */
+    createLayer() {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        this.svg.appendChild(group);
+        return group;
+    }
+
+    /**
+     * Follow a world camera: ticks land on "nice" world coordinates and
+     * labels read in the camera's length units (y increases upward)
+     */
+    setViewport(viewport) {
+        if (this.viewport) this.viewport.offChange(this.handleViewportChange);
+        this.viewport = viewport;
+        if (viewport) viewport.onChange(this.handleViewportChange);
+        this.update();
+    }
+
+    /**
+     * World transform: the shared camera, or a fixed one built from the
+     * scale/offset options (100 px per meter at scale 1)
+     */
+    getTransform() {
+        if (this.viewport) return this.viewport;
+
+        const pxPerUnit = 100 * this.options.scale;
+        const tw = this.options.trackWidth;
+        return {
+            scale: pxPerUnit,
+            worldToScreen: (x, y) => ({
+                x: tw + (x - this.options.offsetX) * pxPerUnit,
+                y: tw - (y - this.options.offsetY) * pxPerUnit
+            }),
+            screenToWorld: (sx, sy) => ({
+                x: (sx - tw) / pxPerUnit + this.options.offsetX,
+                y: this.options.offsetY - (sy - tw) / pxPerUnit
+            }),
+            niceSpacing: () => this.options.majorTickSpacing / 100
+        };
+    }
+
     update() {
         const width = this.canvas.offsetWidth || this.canvas.width;
         const height = this.canvas.offsetHeight || this.canvas.height;
         const tw = this.options.trackWidth;
-        const majorSpacing = this.options.majorTickSpacing * this.options.scale;
-        const minorSpacing = majorSpacing / this.options.minorTicksPerMajor;
+        const view = this.getTransform();
+        const majorSpacing = view.niceSpacing(this.options.majorTickSpacing);
+        const perMajor = this.options.minorTicksPerMajor;
+        const minorSpacing = majorSpacing / perMajor;
+        const format = (value) => this.formatValue(value, majorSpacing);
 
         // Clear previous
         this.bgGroup.innerHTML = '';
@@ -89,51 +141,37 @@ class TechnicalCalipers {
         this.drawRect(this.bgGroup, 0, tw, tw, height - 2 * tw, 'caliper-bg'); // Left
         this.drawRect(this.bgGroup, width - tw, tw, tw, height - 2 * tw, 'caliper-bg'); // Right
 
-        // Top edge ticks
-        for (let x = tw; x < width - tw; x += minorSpacing) {
-            const isMajor = Math.abs(x - tw) % majorSpacing < 1;
+        // Horizontal edges (top and bottom)
+        const xStart = view.screenToWorld(tw, 0).x;
+        const xEnd = view.screenToWorld(width - tw, 0).x;
+        for (let n = Math.ceil(xStart / minorSpacing); n * minorSpacing <= xEnd; n++) {
+            const x = view.worldToScreen(n * minorSpacing, 0).x;
+            const isMajor = ((n % perMajor) + perMajor) % perMajor === 0;
             const tickHeight = isMajor ? 8 : 4;
             this.drawLine(this.tickGroup, x, tw - tickHeight, x, tw, isMajor);
-
-            if (isMajor) {
-                const value = ((x - tw) / this.options.scale + this.options.offsetX) / 100;
-                this.drawLabel(this.labelGroup, x, this.options.labelOffset, value.toFixed(this.options.precision), 'middle');
-            }
-        }
-
-        // Bottom edge ticks
-        for (let x = tw; x < width - tw; x += minorSpacing) {
-            const isMajor = Math.abs(x - tw) % majorSpacing < 1;
-            const tickHeight = isMajor ? 8 : 4;
             this.drawLine(this.tickGroup, x, height - tw, x, height - tw + tickHeight, isMajor);
 
             if (isMajor) {
-                const value = ((x - tw) / this.options.scale + this.options.offsetX) / 100;
-                this.drawLabel(this.labelGroup, x, height - this.options.labelOffset + 4, value.toFixed(this.options.precision), 'middle');
+                const label = format(n * minorSpacing);
+                this.drawLabel(this.labelGroup, x, this.options.labelOffset, label, 'middle');
+                this.drawLabel(this.labelGroup, x, height - this.options.labelOffset + 4, label, 'middle');
             }
         }
 
-        // Left edge ticks
-        for (let y = tw; y < height - tw; y += minorSpacing) {
-            const isMajor = Math.abs(y - tw) % majorSpacing < 1;
+        // Vertical edges (left and right)
+        const yTop = view.screenToWorld(0, tw).y;
+        const yBottom = view.screenToWorld(0, height - tw).y;
+        for (let n = Math.ceil(yBottom / minorSpacing); n * minorSpacing <= yTop; n++) {
+            const y = view.worldToScreen(0, n * minorSpacing).y;
+            const isMajor = ((n % perMajor) + perMajor) % perMajor === 0;
             const tickWidth = isMajor ? 8 : 4;
             this.drawLine(this.tickGroup, tw - tickWidth, y, tw, y, isMajor);
-
-            if (isMajor) {
-                const value = ((y - tw) / this.options.scale + this.options.offsetY) / 100;
-                this.drawLabel(this.labelGroup, this.options.labelOffset, y + 3, value.toFixed(this.options.precision), 'start');
-            }
-        }
-
-        // Right edge ticks
-        for (let y = tw; y < height - tw; y += minorSpacing) {
-            const isMajor = Math.abs(y - tw) % majorSpacing < 1;
-            const tickWidth = isMajor ? 8 : 4;
             this.drawLine(this.tickGroup, width - tw, y, width - tw + tickWidth, y, isMajor);
 
             if (isMajor) {
-                const value = ((y - tw) / this.options.scale + this.options.offsetY) / 100;
-                this.drawLabel(this.labelGroup, width - this.options.labelOffset, y + 3, value.toFixed(this.options.precision), 'end');
+                const label = format(n * minorSpacing);
+                this.drawLabel(this.labelGroup, this.options.labelOffset, y + 3, label, 'start');
+                this.drawLabel(this.labelGroup, width - this.options.labelOffset, y + 3, label, 'end');
             }
         }
 
@@ -142,6 +180,23 @@ class TechnicalCalipers {
         this.drawRect(this.bgGroup, width - tw, 0, tw, tw, 'caliper-bg');
         this.drawRect(this.bgGroup, 0, height - tw, tw, tw, 'caliper-bg');
         this.drawRect(this.bgGroup, width - tw, height - tw, tw, tw, 'caliper-bg');
+
+        // Unit legend in the top-left corner
+        this.drawLabel(this.labelGroup, tw / 2, tw / 2 + 3, this.unitFor(majorSpacing), 'middle');
+    }
+
+    formatValue(value, spacing) {
+        if (typeof Viewport !== 'undefined') {
+            return Viewport.formatLength(value, spacing).text;
+        }
+        return value.toFixed(this.options.precision);
+    }
+
+    unitFor(spacing) {
+        if (typeof Viewport !== 'undefined') {
+            return Viewport.formatLength(spacing, spacing).unit;
+        }
+        return this.options.unit;
     }
 
     drawRect(group, x, y, w, h, className) {
@@ -174,12 +229,30 @@ class TechnicalCalipers {
         group.appendChild(label);
     }
 
+    /**
+     * Zoom factor relative to the base scale
+     */
     setScale(scale) {
+        if (this.viewport) {
+            this.viewport.scale = scale * this.viewport.baseScale;
+            this.viewport.notify();
+            return;
+        }
         this.options.scale = scale;
         this.update();
     }
 
+    /**
+     * World coordinates (m) at the view center, or at the inner
+     * top-left corner without a camera
+     */
     setOffset(x, y) {
+        if (this.viewport) {
+            this.viewport.centerX = x;
+            this.viewport.centerY = y;
+            this.viewport.notify();
+            return;
+        }
         this.options.offsetX = x;
         this.options.offsetY = y;
         this.update();
@@ -187,6 +260,7 @@ class TechnicalCalipers {
 
     destroy() {
         this.resizeObserver.disconnect();
+        if (this.viewport) this.viewport.offChange(this.handleViewportChange);
         this.container.innerHTML = '';
     }
 }
@@ -0,0 +1,83 @@
+/**
+ * VIEWPORT NAVIGATOR COMPONENT
+ *
+ * Neural-Physical Instrument UI
+ * Mouse navigation of the renderer's camera:
+ * - Wheel zooms about the cursor
+ * - Drag on empty space pans (objects under the pointer take priority)
+ */
+
+class ViewportNavigator {
+    constructor(canvas, renderer, options = {}) {
+        this.canvas = canvas;
+        this.renderer = renderer;
+        this.options = {
+            dragThreshold: options.dragThreshold || 4,
+            zoomStep: options.zoomStep || 1.15
+        };
+
+        // Return false to leave a press to another tool (e.g. a charge hit)
+        this.canPan = null;
+
+        // Active gesture: {last, moved}
+        this.gesture = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+    }
+
+    get viewport() {
+        return this.renderer.viewport;
+    }
+
+    handleWheel(e) {
+        if (!this.viewport) return;
+        e.preventDefault();
+
+        const point = this.renderer.toCanvasCoords(e);
+        const factor = e.deltaY < 0 ? this.options.zoomStep : 1 / this.options.zoomStep;
+        this.viewport.zoomAt(point.x, point.y, factor);
+    }
+
+    handleMouseDown(e) {
+        if (!this.viewport || e.button !== 0) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        if (this.canPan && !this.canPan(point)) return;
+
+        this.gesture = { start: point, last: point, moved: false };
+    }
+
+    handleMouseMove(e) {
+        if (!this.gesture || !this.viewport) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        const gesture = this.gesture;
+
+        if (!gesture.moved) {
+            const distance = Math.hypot(point.x - gesture.start.x, point.y - gesture.start.y);
+            if (distance <= this.options.dragThreshold) return;
+            gesture.moved = true;
+            this.canvas.style.cursor = 'grabbing';
+        }
+
+        this.viewport.panBy(point.x - gesture.last.x, point.y - gesture.last.y);
+        gesture.last = point;
+    }
+
+    handleMouseUp() {
+        if (!this.gesture) return;
+        if (this.gesture.moved) this.canvas.style.cursor = '';
+        this.gesture = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ViewportNavigator };
+}
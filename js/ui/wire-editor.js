@@ -0,0 +1,302 @@
+/**
+ * WIRE EDITOR COMPONENT
+ *
+ * Neural-Physical Instrument UI
+ * Direct manipulation of currents on the magnetostatic canvas:
+ * - Click empty space to place an out-of-plane wire (direction + current controls)
+ * - With the segment shape, drag across empty space to lay an in-plane
+ *   segment carrying the current along the drag
+ * - Drag a wire or segment to move it
+ * - Right-click or Delete/Backspace to remove
+ * - Select a wire or segment to edit its current from the control panel
+ */
+
+class WireEditor {
+    constructor(canvas, currentSystem, renderer, ui, options = {}) {
+        this.canvas = canvas;
+        this.currentSystem = currentSystem;
+        this.renderer = renderer;
+        this.ui = ui;
+        this.options = {
+            dragThreshold: options.dragThreshold || 4,
+            hitPadding: options.hitPadding || 4
+        };
+
+        this.enabled = false;
+        this.selectedId = null;
+
+        // 'wire' or 'segment': what a press on empty space creates
+        this.shape = 'wire';
+
+        // Active gesture: {start, last, id, moved}
+        this.gesture = null;
+
+        // Selection listeners (controller refreshes the info panel)
+        this.onSelectionChange = null;
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('mousedown', this.handleMouseDown.bind(this));
+        this.canvas.addEventListener('contextmenu', this.handleContextMenu.bind(this));
+        document.addEventListener('mousemove', this.handleMouseMove.bind(this));
+        document.addEventListener('mouseup', this.handleMouseUp.bind(this));
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.gesture = null;
+        this.canvas.style.cursor = '';
+        if (!enabled) this.select(null);
+    }
+
+    // ==========================================
+    // HIT TESTING
+    // ==========================================
+
+    /**
+     * Wire or segment drawn under a canvas-pixel point (wires win)
+     */
+    currentAtPoint(point) {
+        const r = this.renderer;
+        let best = null;
+        let bestDist = Infinity;
+
+        for (const wire of this.currentSystem.wires) {
+            const screen = r.toScreen(wire.x, wire.y);
+            const dist = Math.hypot(screen.x - point.x, screen.y - point.y);
+            if (dist <= r.wireRadius(wire) + this.options.hitPadding && dist < bestDist) {
+                best = wire;
+                bestDist = dist;
+            }
+        }
+        if (best) return best;
+
+        for (const segment of this.currentSystem.segments) {
+            const dist = WireEditor.distanceToSegment(point, r.toScreen(segment.x1, segment.y1), r.toScreen(segment.x2, segment.y2));
+            if (dist <= 3 + this.options.hitPadding && dist < bestDist) {
+                best = segment;
+                bestDist = dist;
+            }
+        }
+
+        return best;
+    }
+
+    static distanceToSegment(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const length2 = dx * dx + dy * dy;
+        const t = length2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / length2)) : 0;
+        return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+    }
+
+    /**
+     * Whether a press at `point` starts an editor gesture rather than a pan
+     */
+    ownsPoint(point) {
+        return this.shape === 'segment' || !!this.currentAtPoint(point);
+    }
+
+    // ==========================================
+    // MOUSE / KEYBOARD
+    // ==========================================
+
+    handleMouseDown(e) {
+        if (!this.enabled || e.button !== 0) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+        const hit = this.currentAtPoint(point);
+
+        this.gesture = { start: point, last: point, id: hit ? hit.id : null, moved: false };
+
+        if (hit) {
+            this.select(hit.id);
+            this.canvas.style.cursor = 'grabbing';
+        }
+
+        e.preventDefault();
+    }
+
+    handleMouseMove(e) {
+        if (!this.enabled) return;
+
+        const point = this.renderer.toCanvasCoords(e);
+
+        if (!this.gesture) {
+            // Hover feedback
+            if (e.target === this.canvas) {
+                this.canvas.style.cursor = this.currentAtPoint(point) ? 'grab' : 'crosshair';
+            }
+            return;
+        }
+
+        const distance = Math.hypot(point.x - this.gesture.start.x, point.y - this.gesture.start.y);
+        if (distance > this.options.dragThreshold) {
+            this.gesture.moved = true;
+        }
+
+        if (this.gesture.moved && this.gesture.id !== null) {
+            const entry = this.currentSystem.get(this.gesture.id);
+            const world = this.renderer.toWorld(point.x, point.y);
+
+            if (CurrentSystem.isSegment(entry)) {
+                const previous = this.renderer.toWorld(this.gesture.last.x, this.gesture.last.y);
+                this.currentSystem.translateSegment(entry.id, world.x - previous.x, world.y - previous.y);
+            } else if (entry) {
+                this.currentSystem.moveWire(entry.id, world.x, world.y);
+            }
+            this.notifySelection();
+        }
+
+        this.gesture.last = point;
+    }
+
+    handleMouseUp(e) {
+        if (!this.enabled || !this.gesture) return;
+
+        const gesture = this.gesture;
+        this.gesture = null;
+
+        if (gesture.id !== null) {
+            this.canvas.style.cursor = 'grab';
+            return;
+        }
+
+        const start = this.renderer.toWorld(gesture.start.x, gesture.start.y);
+
+        // Drag across empty canvas with the segment shape: lay a segment
+        if (this.shape === 'segment') {
+            if (!gesture.moved) return;
+            const end = this.renderer.toWorld(gesture.last.x, gesture.last.y);
+            const added = this.currentSystem.addSegment(start.x, start.y, end.x, end.y, this.magnitudeFromControls());
+            this.select(added.id);
+            return;
+        }
+
+        // Click on empty canvas: place a wire
+        if (!gesture.moved && e.target === this.canvas) {
+            const added = this.currentSystem.addWire(start.x, start.y, this.currentFromControls());
+            this.select(added.id);
+        }
+    }
+
+    handleContextMenu(e) {
+        if (!this.enabled) return;
+
+        const hit = this.currentAtPoint(this.renderer.toCanvasCoords(e));
+        if (hit) {
+            e.preventDefault();
+            this.remove(hit.id);
+        }
+    }
+
+    handleKeyDown(e) {
+        if (!this.enabled) return;
+
+        // Leave form fields alone
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        // Escape drops a segment being laid
+        if (e.key === 'Escape' && this.gesture && this.gesture.id === null) {
+            this.gesture = null;
+            return;
+        }
+        if (this.selectedId === null) return;
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            e.preventDefault();
+            this.remove(this.selectedId);
+        } else if (e.key === 'Escape') {
+            this.select(null);
+        }
+    }
+
+    // ==========================================
+    // SELECTION
+    // ==========================================
+
+    select(id) {
+        if (this.selectedId === id) return;
+        this.selectedId = id;
+
+        // Reflect the selected current in the direction/magnitude controls
+        const entry = id !== null ? this.currentSystem.get(id) : null;
+        if (entry && this.ui) {
+            if (!CurrentSystem.isSegment(entry)) {
+                this.ui.setControlValue('current-direction', entry.current < 0 ? 'in' : 'out');
+            }
+            this.ui.setControlValue('current-magnitude', Math.abs(entry.current));
+        }
+
+        this.notifySelection();
+    }
+
+    getSelected() {
+        return this.selectedId !== null ? this.currentSystem.get(this.selectedId) : null;
+    }
+
+    remove(id) {
+        this.currentSystem.remove(id);
+        if (this.selectedId === id) this.select(null);
+    }
+
+    /**
+     * Push the direction/magnitude controls onto the selected current
+     * A segment keeps its sign, so only its magnitude follows the panel.
+     */
+    applyControlsToSelection() {
+        const entry = this.getSelected();
+        if (!entry) return;
+
+        const current = CurrentSystem.isSegment(entry)
+            ? Math.sign(entry.current || 1) * this.magnitudeFromControls()
+            : this.currentFromControls();
+        this.currentSystem.setCurrent(entry.id, current);
+        this.notifySelection();
+    }
+
+    magnitudeFromControls() {
+        return this.ui ? this.ui.getCurrentMagnitude() : 10;
+    }
+
+    currentFromControls() {
+        const direction = this.ui ? this.ui.getCurrentDirection() : 'out';
+        return (direction === 'in' ? -1 : 1) * this.magnitudeFromControls();
+    }
+
+    notifySelection() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelected());
+        }
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    /**
+     * Segment being laid, from the press to the pointer
+     */
+    draw() {
+        const gesture = this.gesture;
+        if (!this.enabled || !gesture || gesture.id !== null || this.shape !== 'segment' || !gesture.moved) return;
+
+        const ctx = this.renderer.ctx;
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(gesture.start.x, gesture.start.y);
+        ctx.lineTo(gesture.last.x, gesture.last.y);
+        ctx.strokeStyle = this.renderer.colors.cadmiumOrange + '99';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WireEditor };
+}
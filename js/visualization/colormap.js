@@ -0,0 +1,281 @@
+/**
+ * COLORMAPS
+ *
+ * Color scales for the field heatmaps:
+ * - Perceptually uniform sequential maps (viridis, inferno)
+ * - Diverging maps centered on zero (RdBu, the instrument's
+ *   blue-gray-green)
+ * - A cyclic map for phase (twilight-style, equal colors at both ends)
+ * - Linear, log and symmetric-log normalization of physical values onto
+ *   [0, 1] (see ColorNorm), with tick values for the colorbar legend
+ *
+ * Each map is resampled from evenly spaced control points into a
+ * 256-entry table, kept both as packed RGBA bytes (for ImageData
+ * writers, also viewed as one 32-bit word per entry in the platform's
+ * byte order) and as CSS color strings (for fillStyle).
+ */
+
+class Colormap {
+    static SIZE = 256;
+
+    // Evenly spaced control points, low to high
+    static DEFINITIONS = {
+        viridis: {
+            label: 'Viridis',
+            kind: 'sequential',
+            stops: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725']
+        },
+        inferno: {
+            label: 'Inferno',
+            kind: 'sequential',
+            stops: ['#000004', '#1f0c48', '#550f6d', '#88226a', '#ba3655', '#e35933', '#f98e09', '#f9cb35', '#fcffa4']
+        },
+        rdbu: {
+            // ColorBrewer RdBu, reversed so negative is blue as for the charges
+            label: 'RdBu (diverging)',
+            kind: 'diverging',
+            stops: ['#053061', '#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b', '#67001f']
+        },
+        'blue-gray-green': {
+            // The instrument palette: blue (negative), dark gray (zero), green (positive)
+            label: 'Blue–Gray–Green (diverging)',
+            kind: 'diverging',
+            stops: ['#0a0ac0', '#1e1e3c', '#0aaf14']
+        },
+        twilight: {
+            label: 'Twilight (cyclic)',
+            kind: 'cyclic',
+            stops: ['#e2d9e2', '#9eb6c8', '#6a83c0', '#5c4ba6', '#2f1436', '#6d2b48', '#b15c4e', '#d8a38d', '#e2d9e2']
+        }
+    };
+
+    static cache = {};
+
+    constructor(name) {
+        const definition = Colormap.DEFINITIONS[name];
+        if (!definition) {
+            throw new Error(`Unknown colormap: ${name}`);
+        }
+
+        this.name = name;
+        this.label = definition.label;
+        this.kind = definition.kind;
+
+        // Packed RGBA bytes and matching CSS strings
+        this.lut = new Uint8ClampedArray(Colormap.SIZE * 4);
+        this.packed = new Uint32Array(this.lut.buffer);
+        this.styles = new Array(Colormap.SIZE);
+        this.build(definition.stops.map(Colormap.parseHex));
+    }
+
+    /**
+     * Shared instance per map name
+     */
+    static get(name) {
+        if (!Colormap.cache[name]) {
+            Colormap.cache[name] = new Colormap(name);
+        }
+        return Colormap.cache[name];
+    }
+
+    static list() {
+        return Object.entries(Colormap.DEFINITIONS).map(([name, d]) => ({ name, label: d.label, kind: d.kind }));
+    }
+
+    static parseHex(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    build(stops) {
+        const segments = stops.length - 1;
+
+        for (let k = 0; k < Colormap.SIZE; k++) {
+            const position = (k / (Colormap.SIZE - 1)) * segments;
+            const s = Math.min(segments - 1, Math.floor(position));
+            const f = position - s;
+            const a = stops[s], b = stops[s + 1];
+
+            const r = Math.round(a[0] + (b[0] - a[0]) * f);
+            const g = Math.round(a[1] + (b[1] - a[1]) * f);
+            const bl = Math.round(a[2] + (b[2] - a[2]) * f);
+
+            this.lut[k * 4] = r;
+            this.lut[k * 4 + 1] = g;
+            this.lut[k * 4 + 2] = bl;
+            this.lut[k * 4 + 3] = 255;
+            this.styles[k] = `rgb(${r},${g},${bl})`;
+        }
+    }
+
+    /**
+     * Whether zero belongs at the middle of the scale
+     */
+    get centered() {
+        return this.kind !== 'sequential';
+    }
+
+    /**
+     * Table index for t ∈ [0, 1] (clamped), or -1 when t is not finite
+     */
+    index(t) {
+        if (!isFinite(t)) return -1;
+        return Math.round(Math.max(0, Math.min(1, t)) * (Colormap.SIZE - 1));
+    }
+
+    /**
+     * CSS color for t ∈ [0, 1], or null when t is not finite
+     */
+    css(t) {
+        const k = this.index(t);
+        return k < 0 ? null : this.styles[k];
+    }
+
+    /**
+     * t → CSS function, for renderer methods that take a `colormap` callback
+     */
+    toFunction() {
+        return (t) => this.css(t);
+    }
+
+    /**
+     * Compact value with an SI prefix for legends, e.g. 1200 → "1.2 k"
+     */
+    static formatValue(value, unit = '') {
+        if (value === 0 || !isFinite(value)) return `0 ${unit}`.trim();
+
+        const prefixes = [[1e9, 'G'], [1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ'], [1e-9, 'n'], [1e-12, 'p']];
+        const abs = Math.abs(value);
+        const [scale, prefix] = prefixes.find(([s]) => abs >= s) || prefixes[prefixes.length - 1];
+        return `${parseFloat((value / scale).toPrecision(3))} ${prefix}${unit}`.trim();
+    }
+}
+
+/**
+ * Maps physical values onto [0, 1] for a colormap
+ * - linear: (v − min) / (max − min)
+ * - log: log₁₀|v| between log₁₀ min and log₁₀ max (the sign is dropped,
+ *   so a signed field shows its magnitude)
+ * - symlog: sign(v)·log₁₀(1 + |v| / C), linear within the threshold C,
+ *   so both signs of a 1/r potential stay readable
+ */
+class ColorNorm {
+    static MODES = ['linear', 'log', 'symlog'];
+
+    /**
+     * @param {Object} options - {mode, min, max, linthresh}
+     */
+    constructor(options = {}) {
+        this.mode = ColorNorm.MODES.includes(options.mode) ? options.mode : 'linear';
+        this.min = options.min ?? 0;
+        this.max = options.max ?? 1;
+        this.linthresh = options.linthresh || Math.max(Math.abs(this.min), Math.abs(this.max)) * 1e-3 || 1;
+
+        if (this.mode === 'log') {
+            this.max = Math.max(this.max, Number.MIN_VALUE);
+            this.min = Math.min(Math.max(this.min, this.max * 1e-12), this.max);
+        }
+
+        this.low = this.forward(this.min);
+        this.high = this.forward(this.max);
+    }
+
+    /**
+     * Norm fitted to sampled values
+     * @param {ArrayLike<number>} values - Non-finite entries are ignored
+     * @param {Object} options - {mode, symmetric (range ±max|v|),
+     *   percentile (clip the range, e.g. 0.99), decades (log/symlog span)}
+     */
+    static fromValues(values, options = {}) {
+        const mode = options.mode || 'linear';
+        const decades = options.decades ?? 4;
+        const finite = [];
+        for (let k = 0; k < values.length; k++) {
+            const v = values[k];
+            if (!isFinite(v)) continue;
+            if (mode !== 'log') finite.push(v);
+            else if (v !== 0) finite.push(Math.abs(v));
+        }
+        if (finite.length === 0) return new ColorNorm({ mode, min: 0, max: 1 });
+
+        let min, max;
+        if (options.percentile && options.percentile < 1) {
+            const sorted = finite.sort((a, b) => a - b);
+            const last = sorted.length - 1;
+            min = sorted[Math.floor(last * (1 - options.percentile))];
+            max = sorted[Math.ceil(last * options.percentile)];
+        } else {
+            min = Math.min(...finite);
+            max = Math.max(...finite);
+        }
+
+        if (options.symmetric && mode !== 'log') {
+            max = Math.max(Math.abs(min), Math.abs(max)) || 1;
+            min = -max;
+        }
+        if (max === min) max = min + (Math.abs(min) || 1);
+
+        const span = Math.max(Math.abs(min), Math.abs(max));
+        return new ColorNorm({
+            mode,
+            min: mode === 'log' ? Math.max(min, max * 10 ** -decades) : min,
+            max,
+            linthresh: span * 10 ** -decades
+        });
+    }
+
+    forward(v) {
+        switch (this.mode) {
+            case 'log':
+                return Math.log10(Math.max(Math.abs(v), this.min));
+            case 'symlog':
+                return Math.sign(v) * Math.log10(1 + Math.abs(v) / this.linthresh);
+            default:
+                return v;
+        }
+    }
+
+    inverseForward(f) {
+        switch (this.mode) {
+            case 'log':
+                return 10 ** f;
+            case 'symlog':
+                return Math.sign(f) * this.linthresh * (10 ** Math.abs(f) - 1);
+            default:
+                return f;
+        }
+    }
+
+    /**
+     * @returns {number} t ∈ [0, 1] (clamped), NaN for non-finite values
+     */
+    normalize(v) {
+        if (!isFinite(v)) return NaN;
+        const t = (this.forward(v) - this.low) / (this.high - this.low);
+        return Math.max(0, Math.min(1, t));
+    }
+
+    /**
+     * Physical value at t ∈ [0, 1]
+     */
+    valueAt(t) {
+        return this.inverseForward(this.low + t * (this.high - this.low));
+    }
+
+    /**
+     * Evenly spaced legend ticks in t with their physical values
+     * @returns {Array<{t, value}>}
+     */
+    ticks(count = 5) {
+        const ticks = [];
+        for (let k = 0; k < count; k++) {
+            const t = k / (count - 1);
+            ticks.push({ t, value: this.valueAt(t) });
+        }
+        return ticks;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Colormap, ColorNorm };
+}
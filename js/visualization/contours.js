@@ -0,0 +1,196 @@
+/**
+ * CONTOUR TRACER
+ *
+ * Isolines of a scalar grid for the contour layers:
+ * - Marching squares with the two saddle cases (5 and 10) resolved by the
+ *   cell-center value (mean of the corners), so lines never cross
+ * - Crossings shared between neighbouring cells stitched into polylines,
+ *   open where they leave the grid or meet a non-finite sample, closed
+ *   otherwise (the first point repeated at the end)
+ * - Chaikin corner cutting to smooth the cell-sized kinks
+ * - Level placement spaced linearly, in log |v| or in symmetric log (see
+ *   ColorNorm), clipped to the 1st–99th percentile so a few samples next
+ *   to a point charge don't set the range
+ *
+ * Grids are {cols, rows, V} with V row-major at j·cols + i, as from
+ * EMRenderer.sampleScalarGrid; polyline points are [x0, y0, x1, y1, ...]
+ * in grid units (multiply by the sample spacing for pixels).
+ */
+
+class ContourTracer {
+    // Corner bits: 1 top-left (i, j), 2 top-right (i+1, j),
+    // 4 bottom-right (i+1, j+1), 8 bottom-left (i, j+1).
+    // Segments join cell edges T(op), R(ight), B(ottom), L(eft).
+    static SEGMENTS = {
+        1: ['LT'], 2: ['TR'], 3: ['LR'], 4: ['RB'], 6: ['TB'], 7: ['LB'],
+        8: ['BL'], 9: ['BT'], 11: ['BR'], 12: ['RL'], 13: ['RT'], 14: ['TL']
+    };
+
+    // Saddles: which pair of corners the segments cut off depends on
+    // whether the center lies above (connecting the high corners) or below
+    static SADDLES = {
+        5: { above: ['TR', 'BL'], below: ['LT', 'RB'] },
+        10: { above: ['LT', 'RB'], below: ['TR', 'BL'] }
+    };
+
+    /**
+     * Polylines of V = level
+     * @returns {Array<{points: number[], closed: boolean}>}
+     */
+    static trace(grid, level) {
+        const { cols, rows, V } = grid;
+
+        // Edge ids: 2k for the edge right of node k, 2k + 1 for the edge below it
+        const size = cols * rows * 2;
+        const neighbourA = new Int32Array(size).fill(-1);
+        const neighbourB = new Int32Array(size).fill(-1);
+        const crossX = new Float64Array(size);
+        const crossY = new Float64Array(size);
+        const used = [];
+
+        const crossing = (id) => {
+            if (neighbourA[id] !== -1) return;
+            const k = id >> 1;
+            const i = k % cols, j = (k - i) / cols;
+            const other = id & 1 ? k + cols : k + 1;
+            const t = (level - V[k]) / (V[other] - V[k]);
+            crossX[id] = id & 1 ? i : i + t;
+            crossY[id] = id & 1 ? j + t : j;
+            used.push(id);
+        };
+        // An edge borders two cells, so it joins at most two segments
+        const link = (a, b) => {
+            crossing(a);
+            crossing(b);
+            if (neighbourA[a] === -1) neighbourA[a] = b; else neighbourB[a] = b;
+            if (neighbourA[b] === -1) neighbourA[b] = a; else neighbourB[b] = a;
+        };
+
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                const k = j * cols + i;
+                const v00 = V[k], v10 = V[k + 1], v11 = V[k + cols + 1], v01 = V[k + cols];
+                if (!isFinite(v00) || !isFinite(v10) || !isFinite(v11) || !isFinite(v01)) continue;
+
+                let index = 0;
+                if (v00 >= level) index |= 1;
+                if (v10 >= level) index |= 2;
+                if (v11 >= level) index |= 4;
+                if (v01 >= level) index |= 8;
+                if (index === 0 || index === 15) continue;
+
+                let segments = ContourTracer.SEGMENTS[index];
+                if (!segments) {
+                    const center = (v00 + v10 + v11 + v01) / 4;
+                    segments = ContourTracer.SADDLES[index][center >= level ? 'above' : 'below'];
+                }
+
+                const edges = { T: 2 * k, B: 2 * (k + cols), L: 2 * k + 1, R: 2 * (k + 1) + 1 };
+                for (const segment of segments) {
+                    link(edges[segment[0]], edges[segment[1]]);
+                }
+            }
+        }
+
+        // Walk the chains: open ones from their ends first, then the loops
+        const visited = new Uint8Array(size);
+        const polylines = [];
+        const walk = (start) => {
+            const points = [];
+            let previous = -1, current = start;
+            while (current !== -1 && !visited[current]) {
+                visited[current] = 1;
+                points.push(crossX[current], crossY[current]);
+                const next = neighbourA[current] !== previous ? neighbourA[current] : neighbourB[current];
+                previous = current;
+                current = next;
+            }
+            const closed = current === start;
+            if (closed) points.push(points[0], points[1]);
+            if (points.length >= 4) polylines.push({ points, closed });
+        };
+
+        for (const id of used) {
+            if (!visited[id] && neighbourB[id] === -1) walk(id);
+        }
+        for (const id of used) {
+            if (!visited[id]) walk(id);
+        }
+
+        return polylines;
+    }
+
+    /**
+     * Chaikin corner cutting; open lines keep their end points
+     * @param {number[]} points - [x0, y0, ...], closed ones ending on the first point
+     */
+    static smooth(points, closed, iterations = 2) {
+        let current = points;
+
+        for (let pass = 0; pass < iterations; pass++) {
+            const n = current.length / 2 - (closed ? 1 : 0);
+            if (n < 3) break;
+
+            const next = closed ? [] : [current[0], current[1]];
+            const last = closed ? n : n - 1;
+            for (let k = 0; k < last; k++) {
+                const m = (k + 1) % n;
+                const x0 = current[2 * k], y0 = current[2 * k + 1];
+                const x1 = current[2 * m], y1 = current[2 * m + 1];
+                next.push(0.75 * x0 + 0.25 * x1, 0.75 * y0 + 0.25 * y1, 0.25 * x0 + 0.75 * x1, 0.25 * y0 + 0.75 * y1);
+            }
+            if (closed) {
+                next.push(next[0], next[1]);
+            } else {
+                next.push(current[current.length - 2], current[current.length - 1]);
+            }
+            current = next;
+        }
+
+        return current;
+    }
+
+    /**
+     * Contour levels strictly inside the sampled range
+     * - linear: evenly spaced between the clipped min and max
+     * - symlog: evenly spaced in symmetric log, centered on zero when the
+     *   grid has both signs
+     * - log: evenly spaced in log |v| below the clipped peak, mirrored to
+     *   negative values when the grid has both signs
+     * @param {ArrayLike<number>} values - Samples; non-finite ones are ignored
+     * @param {number} count - Number of intervals (count − 1 levels per sign for log)
+     */
+    static levels(values, count, mode = 'linear') {
+        let positive = false, negative = false;
+        for (let k = 0; k < values.length; k++) {
+            if (values[k] > 0) positive = true;
+            else if (values[k] < 0) negative = true;
+        }
+
+        // Symlog is centered on zero only when there is something on both sides
+        const symmetric = mode === 'symlog' && positive && negative;
+        const norm = ColorNorm.fromValues(values, { mode, symmetric, percentile: 0.99 });
+        if (!(norm.high > norm.low)) return [];
+
+        const levels = [];
+        if (mode === 'log') {
+            const signs = [positive ? 1 : 0, negative ? -1 : 0].filter(Boolean);
+            const perSign = Math.max(2, Math.round(count / signs.length));
+            for (const sign of signs) {
+                for (let k = 1; k < perSign; k++) {
+                    levels.push(sign * norm.valueAt(k / perSign));
+                }
+            }
+        } else {
+            for (let k = 1; k < count; k++) {
+                levels.push(norm.valueAt(k / count));
+            }
+        }
+
+        return levels.sort((a, b) => a - b);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContourTracer };
+}
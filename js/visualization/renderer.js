@@ -4,7 +4,11 @@
  * Laboratory instrument aesthetic with:
  * - Parallax depth grid
  * - Flow particles along field lines
- * - Topographic iso-contours
+ * - Topographic iso-contours: traced polylines, log/symlog level spacing
+ *   and inline value labels
+ * - Current wires and segments for magnetostatics
+ * - Field heatmaps through the colormap library, written into an offscreen
+ *   ImageData buffer and scaled up, with colorbar legends
  * - Scientific primary color palette
  */
 
@@ -23,6 +27,12 @@ class EMRenderer {
         this.mouseX = 0.5;
         this.mouseY = 0.5;
 
+        // Pointer in canvas pixels (null when outside)
+        this.pointer = null;
+
+        // World camera (null: world coordinates are canvas pixels)
+        this.viewport = null;
+
         // Rendering settings
         this.arrowScale = 1.0;
         this.arrowMaxLength = 30;
@@ -30,6 +40,12 @@ class EMRenderer {
         this.particleRadius = 10;
         this.trailWidth = 2;
 
+        // Bilinear smoothing when heatmap cells are scaled up
+        this.smoothHeatmaps = false;
+
+        // Offscreen one-pixel-per-cell heatmap image (see heatmapBuffer)
+        this.heatmap = null;
+
         // Scientific Primary Color Palette
         this.colors = {
             // Base
@@ -78,12 +94,49 @@ class EMRenderer {
         const rect = this.canvas.getBoundingClientRect();
         this.mouseX = (e.clientX - rect.left) / rect.width;
         this.mouseY = (e.clientY - rect.top) / rect.height;
+        this.pointer = this.toCanvasCoords(e);
     }
 
     handleMouseLeave() {
         // Smoothly return to center
         this.mouseX = 0.5;
         this.mouseY = 0.5;
+        this.pointer = null;
+    }
+
+    // Mouse event position in canvas drawing pixels
+    toCanvasCoords(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.width / rect.width),
+            y: (e.clientY - rect.top) * (this.height / rect.height)
+        };
+    }
+
+    setViewport(viewport) {
+        this.viewport = viewport;
+    }
+
+    // World point → canvas pixels
+    toScreen(x, y) {
+        return this.viewport ? this.viewport.worldToScreen(x, y) : { x, y };
+    }
+
+    // Canvas pixels → world point
+    toWorld(sx, sy) {
+        return this.viewport ? this.viewport.screenToWorld(sx, sy) : { x: sx, y: sy };
+    }
+
+    // Screen-space copy of a world polyline, cached per camera revision
+    screenPoints(line) {
+        const revision = this.viewport ? this.viewport.revision : 0;
+        if (!line.screenPoints || line.screenRevision !== revision || line.screenSource !== this.viewport) {
+            line.screenPoints = line.points.map(p => this.toScreen(p.x, p.y));
+            line.screenLengths = EMRenderer.arcLengths(line.screenPoints.flatMap(p => [p.x, p.y]));
+            line.screenRevision = revision;
+            line.screenSource = this.viewport;
+        }
+        return line.screenPoints;
     }
 
     tick() {
@@ -234,13 +287,155 @@ class EMRenderer {
         ctx.fillText(isPositive ? '+' : '−', x, y + 1);
     }
 
-    drawChargeSystem(chargeSystem) {
+    chargeRadius(charge) {
+        return Math.min(20, Math.max(10, Math.abs(charge.charge) * 1e9 * 4));
+    }
+
+    drawChargeSystem(chargeSystem, selectedId = null) {
         for (const charge of chargeSystem.charges) {
-            const radius = Math.min(20, Math.max(10, Math.abs(charge.charge) * 1e9 * 4));
-            this.drawCharge(charge.x, charge.y, charge.charge, radius);
+            const radius = this.chargeRadius(charge);
+            const p = this.toScreen(charge.x, charge.y);
+            this.drawCharge(p.x, p.y, charge.charge, radius);
+
+            if (charge.id === selectedId) {
+                this.drawSelectionRing(p.x, p.y, radius + 9);
+            }
         }
     }
 
+    // ==========================================
+    // CONDUCTORS
+    // ==========================================
+
+    /**
+     * Conductor outlines with their potentials, then the induced surface
+     * charge as dots (orange +, blue −) whose opacity follows |σ|
+     */
+    drawConductors(solver) {
+        const ctx = this.ctx;
+        const scale = this.viewport ? this.viewport.scale : 1;
+
+        ctx.save();
+        solver.conductors.forEach((c, index) => {
+            const label = this.traceRegion(c);
+
+            if (c.type === 'plate') {
+                ctx.lineWidth = Math.max(2, c.thickness * scale);
+                ctx.lineCap = 'square';
+                ctx.lineJoin = 'miter';
+                ctx.strokeStyle = '#2A2A35';
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = '#1E1E28';
+                ctx.fill('evenodd');
+                ctx.lineWidth = 1.5;
+                ctx.strokeStyle = '#3A3A48';
+                ctx.stroke();
+            }
+
+            this.drawRegionLabel(`C${index + 1} ${c.V >= 0 ? '+' : '−'}${Math.abs(c.V).toFixed(1)} V`, label);
+        });
+
+        const { nodes } = solver.surfaceCharge();
+        const peak = nodes.reduce((max, node) => Math.max(max, Math.abs(node.sigma)), 0);
+        this.drawChargeDots(nodes, peak, Math.max(1.5, Math.min(3, solver.spacing * scale / 2)));
+        ctx.restore();
+    }
+
+    /**
+     * Dielectric regions tinted by ε_r (drawn under the field layers),
+     * then the bound interface charge as small dots
+     */
+    drawDielectrics(solver) {
+        const ctx = this.ctx;
+        const scale = this.viewport ? this.viewport.scale : 1;
+
+        ctx.save();
+        solver.dielectrics.forEach((d, index) => {
+            const label = this.traceRegion(d);
+            const tint = Math.round(Math.min(0.3, 0.04 + 0.02 * d.epsilon) * 255).toString(16).padStart(2, '0');
+
+            ctx.fillStyle = this.colors.cobaltBlue + tint;
+            ctx.fill('evenodd');
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.strokeStyle = this.colors.cobaltBlue + '80';
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            this.drawRegionLabel(`D${index + 1} εr ${d.epsilon.toFixed(1)}`, label);
+        });
+
+        const { nodes, peak } = solver.boundCharge();
+        this.drawChargeDots(nodes, peak, Math.max(1, Math.min(2, solver.spacing * scale / 3)));
+        ctx.restore();
+    }
+
+    /**
+     * Build the path of a conductor or dielectric shape in screen space
+     * @returns {{x, y}} Label anchor above the shape
+     */
+    traceRegion(region) {
+        const ctx = this.ctx;
+        const scale = this.viewport ? this.viewport.scale : 1;
+        ctx.beginPath();
+
+        if (region.type === 'circle') {
+            const p = this.toScreen(region.x, region.y);
+            ctx.arc(p.x, p.y, region.radius * scale, 0, Math.PI * 2);
+            if (region.inner) ctx.arc(p.x, p.y, region.inner * scale, 0, Math.PI * 2, true);
+            return { x: p.x, y: p.y - region.radius * scale - 8 };
+        }
+
+        const points = region.points.map(p => this.toScreen(p.x, p.y));
+        points.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        if (region.type === 'polygon') ctx.closePath();
+        const top = points.reduce((best, p) => p.y < best.y ? p : best, points[0]);
+        return { x: top.x, y: top.y - 8 - (region.type === 'plate' ? region.thickness * scale / 2 : 0) };
+    }
+
+    drawRegionLabel(text, anchor) {
+        const ctx = this.ctx;
+        ctx.fillStyle = this.colors.textSecondary;
+        ctx.font = "600 10px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(text, anchor.x, anchor.y);
+    }
+
+    /**
+     * Surface-charge dots: orange for +, blue for −, opacity ∝ |σ| / peak
+     */
+    drawChargeDots(nodes, peak, size) {
+        if (!(peak > 0)) return;
+        const ctx = this.ctx;
+
+        for (const node of nodes) {
+            const strength = Math.abs(node.sigma) / peak;
+            if (strength < 0.02) continue;
+
+            const p = this.toScreen(node.x, node.y);
+            ctx.globalAlpha = 0.25 + 0.75 * strength;
+            ctx.fillStyle = node.sigma > 0 ? this.colors.positive : this.colors.negative;
+            ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    // Dashed targeting ring around the selected object
+    drawSelectionRing(x, y, radius) {
+        const ctx = this.ctx;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = this.colors.cadmiumOrange;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.lineDashOffset = -this.animTime * 10;
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.lineDashOffset = 0;
+    }
+
     drawArrow(x, y, dx, dy, color = this.colors.vectorField, maxLength = this.arrowMaxLength) {
         const ctx = this.ctx;
         const length = Math.sqrt(dx * dx + dy * dy);
@@ -279,7 +474,9 @@ class EMRenderer {
                 const normalized = Math.min(1, Math.log10(v.magnitude + 1) / Math.log10(maxMag + 1));
                 color = colormap(normalized);
             }
-            this.drawArrow(v.x, v.y, v.Ex, v.Ey, color);
+            // World y points up, screen y down
+            const p = this.toScreen(v.x, v.y);
+            this.drawArrow(p.x, p.y, v.Ex, this.viewport ? -v.Ey : v.Ey, color);
         }
     }
 
@@ -293,8 +490,10 @@ class EMRenderer {
         for (const line of fieldLines) {
             if (line.points.length < 2) continue;
 
-            // Create multiple particles per line
-            const particleCount = Math.min(8, Math.ceil(line.points.length / 15));
+            // Create multiple particles per line, one per 60 px or so
+            this.screenPoints(line);
+            const length = line.screenLengths[line.screenLengths.length - 1];
+            const particleCount = Math.min(8, Math.max(1, Math.ceil(length / 60)));
 
             for (let i = 0; i < particleCount; i++) {
                 this.flowParticles.push({
@@ -324,11 +523,12 @@ class EMRenderer {
             if (line.points.length < 2) continue;
 
             const color = line.fromPositive ? this.colors.phosphorGreen : this.colors.cobaltBlue;
+            const points = this.screenPoints(line);
 
             ctx.beginPath();
-            ctx.moveTo(line.points[0].x, line.points[0].y);
-            for (let i = 1; i < line.points.length; i++) {
-                ctx.lineTo(line.points[i].x, line.points[i].y);
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                ctx.lineTo(points[i].x, points[i].y);
             }
             ctx.strokeStyle = color + '15'; // Very faint
             ctx.lineWidth = 1;
@@ -343,22 +543,25 @@ class EMRenderer {
         // Draw flow particles as dashes
         for (const particle of this.flowParticles) {
             const line = particle.line;
-            const points = line.points;
+            const points = this.screenPoints(line);
             if (points.length < 2) continue;
 
-            // Get position along path
-            const idx = Math.floor(particle.position * (points.length - 1));
-            const nextIdx = Math.min(idx + 1, points.length - 1);
-            const t = (particle.position * (points.length - 1)) % 1;
+            // Position along the path by arc length (traced steps are not evenly spaced)
+            const lengths = line.screenLengths;
+            const s = particle.position * lengths[lengths.length - 1];
+            let lo = 0, hi = lengths.length - 1;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (lengths[mid] <= s) lo = mid; else hi = mid;
+            }
+            const span = lengths[hi] - lengths[lo];
+            const t = span > 0 ? (s - lengths[lo]) / span : 0;
 
-            const x = points[idx].x + (points[nextIdx].x - points[idx].x) * t;
-            const y = points[idx].y + (points[nextIdx].y - points[idx].y) * t;
+            const x = points[lo].x + (points[hi].x - points[lo].x) * t;
+            const y = points[lo].y + (points[hi].y - points[lo].y) * t;
 
             // Calculate direction for dash
-            const angle = Math.atan2(
-                points[nextIdx].y - points[idx].y,
-                points[nextIdx].x - points[idx].x
-            );
+            const angle = Math.atan2(points[hi].y - points[lo].y, points[hi].x - points[lo].x);
 
             const dashLength = 6;
             const color = line.fromPositive ? this.colors.phosphorGreen : this.colors.cobaltBlue;
@@ -389,135 +592,391 @@ class EMRenderer {
     // TOPOGRAPHIC ISO-CONTOURS
     // ==========================================
 
-    drawPotentialContours(chargeSystem, resolution = 8) {
-        const ctx = this.ctx;
-        const potentialGrid = [];
+    /**
+     * Potential on the screen-aligned contour grid (node (i, j) at canvas
+     * pixel (i·resolution, j·resolution)); raw SI values, row-major,
+     * including any conductor and dielectric correction of the charge system
+     * @returns {{cols, rows, resolution, x, y, V}} World x/y (m) and V (V)
+     */
+    samplePotentialGrid(chargeSystem, resolution = 8) {
+        return this.sampleScalarGrid((x, y) => chargeSystem.potentialAt(x, y), resolution);
+    }
 
-        // Sample potential field
+    /**
+     * Any scalar field f(x, y) of world coordinates on the contour grid
+     * @returns {{cols, rows, resolution, x, y, V}} V holds the samples
+     */
+    sampleScalarGrid(sample, resolution = 8) {
         const cols = Math.ceil(this.width / resolution);
         const rows = Math.ceil(this.height / resolution);
-
-        let minV = Infinity, maxV = -Infinity;
+        const x = new Float64Array(cols * rows);
+        const y = new Float64Array(cols * rows);
+        const V = new Float64Array(cols * rows);
 
         for (let j = 0; j < rows; j++) {
-            potentialGrid[j] = [];
             for (let i = 0; i < cols; i++) {
-                const x = i * resolution;
-                const y = j * resolution;
-                let V = chargeSystem.potentialAt(x, y);
-
-                // Clamp extreme values
-                if (!isFinite(V)) V = 0;
-                V = Math.max(-1e6, Math.min(1e6, V));
-
-                potentialGrid[j][i] = V;
-                if (V < minV) minV = V;
-                if (V > maxV) maxV = V;
+                const k = j * cols + i;
+                const world = this.toWorld(i * resolution, j * resolution);
+                x[k] = world.x;
+                y[k] = world.y;
+                V[k] = sample(world.x, world.y);
             }
         }
 
-        if (maxV === minV) return;
+        return { cols, rows, resolution, x, y, V };
+    }
 
-        // Generate contour levels
-        const range = maxV - minV;
-        const levels = [];
-        for (let i = 1; i < this.contourLevels; i++) {
-            levels.push(minV + (range * i) / this.contourLevels);
-        }
+    /**
+     * Labeled equipotentials; levels spaced by `spacing` ('linear', 'log'
+     * or 'symlog', see ContourTracer.levels), symlog by default so the
+     * lines don't all bunch up around the point charges
+     * @param {Object} options - {spacing, labels}
+     */
+    drawPotentialContours(chargeSystem, resolution = 8, options = {}) {
+        const spacing = options.spacing || 'symlog';
+        const grid = this.samplePotentialGrid(chargeSystem, resolution);
+        const levels = ContourTracer.levels(grid.V, this.contourLevels, spacing);
+        if (levels.length === 0) return;
+
+        // Color by position in the level set (blue for low, green for high)
+        const rank = new Map(levels.map((level, k) => [level, levels.length > 1 ? k / (levels.length - 1) : 0.5]));
+        const hue = (level) => 120 + (1 - rank.get(level)) * 100;
+
+        this.drawIsoContours(grid, levels, (level) => `hsla(${hue(level)}, 50%, 40%, 0.4)`, {
+            label: options.labels === false ? null : (level) => Colormap.formatValue(level, 'V'),
+            labelStyle: (level) => `hsla(${hue(level)}, 60%, 65%, 0.85)`
+        });
+    }
 
-        // Marching squares for each level
-        ctx.lineWidth = 1;
-        ctx.lineCap = 'square';
+    /**
+     * Isolines of a sampled grid, traced into polylines (ContourTracer),
+     * smoothed and stroked one path per level. With a `label` formatter,
+     * lines long enough carry their value inline, topographic-map style:
+     * the text follows the line, kept upright, in a gap cut out of it.
+     * @param {Function} strokeFor - level → stroke style
+     * @param {Object} options - {label: level → text, labelStyle: level →
+     *   fill style (default strokeFor), labelSpacing (px along a line),
+     *   smoothing (Chaikin passes)}
+     */
+    drawIsoContours(grid, levels, strokeFor, options = {}) {
+        const ctx = this.ctx;
+        const { resolution } = grid;
+        const smoothing = options.smoothing ?? 2;
+        const labelSpacing = options.labelSpacing ?? 360;
 
-        for (let levelIdx = 0; levelIdx < levels.length; levelIdx++) {
-            const level = levels[levelIdx];
-            const normalizedLevel = (level - minV) / range;
+        ctx.save();
+        ctx.lineWidth = 1;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.font = "9px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
 
-            // Color based on level (blue for low, green for high)
-            const hue = 120 + (1 - normalizedLevel) * 100; // Green to blue
-            ctx.strokeStyle = `hsla(${hue}, 50%, 40%, 0.4)`;
+        for (const level of levels) {
+            const text = options.label ? options.label(level) : null;
+            const halfGap = text ? ctx.measureText(text).width / 2 + 4 : 0;
+            const anchors = [];
 
+            ctx.strokeStyle = strokeFor(level);
             ctx.beginPath();
 
-            for (let j = 0; j < rows - 1; j++) {
-                for (let i = 0; i < cols - 1; i++) {
-                    const x = i * resolution;
-                    const y = j * resolution;
-
-                    // Cell corner values
-                    const v00 = potentialGrid[j][i];
-                    const v10 = potentialGrid[j][i + 1];
-                    const v01 = potentialGrid[j + 1][i];
-                    const v11 = potentialGrid[j + 1][i + 1];
-
-                    // Marching squares index
-                    let idx = 0;
-                    if (v00 >= level) idx |= 1;
-                    if (v10 >= level) idx |= 2;
-                    if (v11 >= level) idx |= 4;
-                    if (v01 >= level) idx |= 8;
-
-                    // Draw contour segments
-                    this.drawContourSegment(ctx, x, y, resolution, idx, level, v00, v10, v01, v11);
+            for (const line of ContourTracer.trace(grid, level)) {
+                const points = ContourTracer.smooth(line.points, line.closed, smoothing).map(v => v * resolution);
+                const lengths = EMRenderer.arcLengths(points);
+                const total = lengths[lengths.length - 1];
+
+                // Labels evenly along lines at least a few label widths long
+                const gaps = [];
+                if (text && total > halfGap * 6) {
+                    const count = Math.max(1, Math.floor(total / labelSpacing));
+                    for (let n = 0; n < count; n++) {
+                        const s = total * (n + 0.5) / count;
+                        gaps.push([s - halfGap, s + halfGap]);
+                        anchors.push(EMRenderer.pointAlong(points, lengths, s));
+                    }
                 }
+
+                this.tracePolyline(points, lengths, gaps);
             }
 
             ctx.stroke();
+
+            if (anchors.length > 0) {
+                ctx.fillStyle = (options.labelStyle || strokeFor)(level);
+                for (const anchor of anchors) {
+                    // Keep the text upright
+                    let angle = anchor.angle;
+                    if (angle > Math.PI / 2) angle -= Math.PI;
+                    else if (angle < -Math.PI / 2) angle += Math.PI;
+
+                    ctx.save();
+                    ctx.translate(anchor.x, anchor.y);
+                    ctx.rotate(angle);
+                    ctx.fillText(text, 0, 0);
+                    ctx.restore();
+                }
+            }
         }
+
+        ctx.restore();
     }
 
-    drawContourSegment(ctx, x, y, size, idx, level, v00, v10, v01, v11) {
-        const lerp = (a, b, t) => a + (b - a) * t;
-
-        // Interpolation positions
-        const top = lerp(0, size, (level - v00) / (v10 - v00 || 1));
-        const bottom = lerp(0, size, (level - v01) / (v11 - v01 || 1));
-        const left = lerp(0, size, (level - v00) / (v01 - v00 || 1));
-        const right = lerp(0, size, (level - v10) / (v11 - v10 || 1));
-
-        // Marching squares lookup (simplified)
-        const segments = {
-            1: [[x, y + left, x + top, y]],
-            2: [[x + top, y, x + size, y + right]],
-            3: [[x, y + left, x + size, y + right]],
-            4: [[x + size, y + right, x + bottom, y + size]],
-            5: [[x, y + left, x + top, y], [x + size, y + right, x + bottom, y + size]],
-            6: [[x + top, y, x + bottom, y + size]],
-            7: [[x, y + left, x + bottom, y + size]],
-            8: [[x + bottom, y + size, x, y + left]],
-            9: [[x + bottom, y + size, x + top, y]],
-            10: [[x + top, y, x + size, y + right], [x + bottom, y + size, x, y + left]],
-            11: [[x + bottom, y + size, x + size, y + right]],
-            12: [[x + size, y + right, x, y + left]],
-            13: [[x + size, y + right, x + top, y]],
-            14: [[x + top, y, x, y + left]]
-        };
+    /**
+     * Add a polyline to the current path, lifting the pen over the
+     * arc-length intervals in `gaps`
+     * @param {number[]} points - [x0, y0, ...] in canvas pixels
+     * @param {number[]} lengths - Arc length at each point
+     */
+    tracePolyline(points, lengths, gaps = []) {
+        const ctx = this.ctx;
+        const inGap = (s) => gaps.some(([a, b]) => s > a && s < b);
+        let penDown = false;
+
+        for (let k = 0; k + 1 < lengths.length; k++) {
+            const s0 = lengths[k], s1 = lengths[k + 1];
+            const stops = [s0];
+            for (const [a, b] of gaps) {
+                if (a > s0 && a < s1) stops.push(a);
+                if (b > s0 && b < s1) stops.push(b);
+            }
+            stops.push(s1);
+            stops.sort((a, b) => a - b);
 
-        const segs = segments[idx];
-        if (segs) {
-            for (const seg of segs) {
-                ctx.moveTo(seg[0], seg[1]);
-                ctx.lineTo(seg[2], seg[3]);
+            for (let m = 0; m + 1 < stops.length; m++) {
+                if (inGap((stops[m] + stops[m + 1]) / 2)) {
+                    penDown = false;
+                    continue;
+                }
+                if (!penDown) {
+                    const start = EMRenderer.pointAlong(points, lengths, stops[m], k);
+                    ctx.moveTo(start.x, start.y);
+                    penDown = true;
+                }
+                const end = EMRenderer.pointAlong(points, lengths, stops[m + 1], k);
+                ctx.lineTo(end.x, end.y);
             }
         }
     }
 
+    /**
+     * Cumulative arc length at each point of [x0, y0, x1, y1, ...]
+     */
+    static arcLengths(points) {
+        const lengths = [0];
+        for (let k = 2; k < points.length; k += 2) {
+            const dx = points[k] - points[k - 2], dy = points[k + 1] - points[k - 1];
+            lengths.push(lengths[lengths.length - 1] + Math.hypot(dx, dy));
+        }
+        return lengths;
+    }
+
+    /**
+     * Position and direction at arc length s
+     * @param {number} segment - Segment index, when already known
+     * @returns {{x, y, angle}}
+     */
+    static pointAlong(points, lengths, s, segment = -1) {
+        let k = segment;
+        if (k < 0) {
+            k = 0;
+            while (k < lengths.length - 2 && lengths[k + 1] < s) k++;
+        }
+
+        const x0 = points[2 * k], y0 = points[2 * k + 1];
+        const x1 = points[2 * k + 2], y1 = points[2 * k + 3];
+        const span = lengths[k + 1] - lengths[k];
+        const f = span > 0 ? (s - lengths[k]) / span : 0;
+        return { x: x0 + (x1 - x0) * f, y: y0 + (y1 - y0) * f, angle: Math.atan2(y1 - y0, x1 - x0) };
+    }
+
     // Legacy method - now calls contours
     drawPotentialField(chargeSystem, resolution = 8) {
         this.drawPotentialContours(chargeSystem, resolution);
     }
 
+    // ==========================================
+    // MAGNETOSTATICS
+    // ==========================================
+
+    /**
+     * Line current seen end-on: ⊙ out of the page (+I, orange),
+     * ⊗ into it (−I, blue)
+     */
+    drawWire(x, y, current, radius = 12) {
+        const ctx = this.ctx;
+        const out = current >= 0;
+        const color = out ? this.colors.positive : this.colors.negative;
+
+        this.drawIndicatorGlow(x, y, radius * 3, color, 0.5);
+
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = this.colors.surfaceDark;
+        ctx.fill();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.fillStyle = color;
+        ctx.strokeStyle = color;
+        if (out) {
+            ctx.beginPath();
+            ctx.arc(x, y, Math.max(2, radius * 0.25), 0, Math.PI * 2);
+            ctx.fill();
+        } else {
+            const d = radius * 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x - d, y - d);
+            ctx.lineTo(x + d, y + d);
+            ctx.moveTo(x + d, y - d);
+            ctx.lineTo(x - d, y + d);
+            ctx.lineWidth = 2;
+            ctx.lineCap = 'square';
+            ctx.stroke();
+        }
+    }
+
+    wireRadius(wire) {
+        return Math.min(18, Math.max(9, Math.sqrt(Math.abs(wire.current)) * 3));
+    }
+
+    /**
+     * In-plane current segment with an arrowhead at its middle pointing
+     * along the current
+     */
+    drawSegment(segment) {
+        const ctx = this.ctx;
+        const a = this.toScreen(segment.x1, segment.y1);
+        const b = this.toScreen(segment.x2, segment.y2);
+        const sign = segment.current >= 0 ? 1 : -1;
+        const color = this.colors.cadmiumOrange;
+
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+
+        const angle = Math.atan2(b.y - a.y, b.x - a.x) + (sign < 0 ? Math.PI : 0);
+        const mx = (a.x + b.x) / 2, my = (a.y + b.y) / 2;
+        const head = 8;
+        ctx.beginPath();
+        ctx.moveTo(mx + head * Math.cos(angle), my + head * Math.sin(angle));
+        ctx.lineTo(mx + head * Math.cos(angle + 2.5), my + head * Math.sin(angle + 2.5));
+        ctx.lineTo(mx + head * Math.cos(angle - 2.5), my + head * Math.sin(angle - 2.5));
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+
+    drawCurrentSystem(currentSystem, selectedId = null) {
+        for (const segment of currentSystem.segments) {
+            this.drawSegment(segment);
+
+            if (segment.id === selectedId) {
+                const a = this.toScreen(segment.x1, segment.y1);
+                const b = this.toScreen(segment.x2, segment.y2);
+                this.drawSelectionRing((a.x + b.x) / 2, (a.y + b.y) / 2, 14);
+            }
+        }
+
+        for (const wire of currentSystem.wires) {
+            const radius = this.wireRadius(wire);
+            const p = this.toScreen(wire.x, wire.y);
+            this.drawWire(p.x, p.y, wire.current, radius);
+
+            if (wire.id === selectedId) {
+                this.drawSelectionRing(p.x, p.y, radius + 9);
+            }
+        }
+    }
+
+    /**
+     * |B| iso-contours, evenly spaced in log₁₀|B| (the field falls off as
+     * 1/r, so linear levels would all crowd around the wires)
+     */
+    drawFieldMagnitudeContours(currentSystem, resolution = 8) {
+        const grid = this.sampleScalarGrid((x, y) => Math.log10(currentSystem.fieldAt(x, y).magnitude), resolution);
+
+        let min = Infinity, max = -Infinity;
+        for (const value of grid.V) {
+            if (!isFinite(value)) continue;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        if (!(max > min)) return;
+
+        // Clip the spikes on the wires to keep the levels in the visible range
+        max = Math.min(max, min + 4);
+        for (let k = 0; k < grid.V.length; k++) {
+            if (!isFinite(grid.V[k])) grid.V[k] = grid.V[k] > 0 ? max : min;
+        }
+
+        const levels = [];
+        for (let i = 1; i < this.contourLevels; i++) {
+            levels.push(min + (max - min) * i / this.contourLevels);
+        }
+
+        this.drawIsoContours(grid, levels, (level) => {
+            const alpha = 0.2 + 0.4 * (level - min) / (max - min);
+            return `rgba(230, 81, 0, ${alpha.toFixed(2)})`;
+        });
+    }
+
+    /**
+     * Vector potential Az as a shaded map, orange for Az > 0 and blue for
+     * Az < 0, normalized to the largest |Az| on screen away from the wires
+     */
+    drawVectorPotential(currentSystem, resolution = 12) {
+        const ctx = this.ctx;
+        const grid = this.sampleScalarGrid((x, y) => currentSystem.vectorPotentialAt(x, y), resolution);
+
+        const finite = Array.from(grid.V).filter(isFinite).map(Math.abs).sort((a, b) => a - b);
+        if (finite.length === 0) return;
+        // 98th percentile, so the logarithmic peaks at the wires don't wash out the map
+        const scale = finite[Math.floor(finite.length * 0.98)] || finite[finite.length - 1];
+        if (scale === 0) return;
+
+        const { cols, rows, V } = grid;
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const t = Math.max(-1, Math.min(1, V[j * cols + i] / scale));
+                if (!isFinite(t) || Math.abs(t) < 0.02) continue;
+
+                ctx.fillStyle = (t > 0 ? this.colors.cadmiumOrange : this.colors.cobaltBlue) +
+                    Math.round(Math.abs(t) * 0.35 * 255).toString(16).padStart(2, '0');
+                ctx.fillRect(i * resolution - resolution / 2, j * resolution - resolution / 2, resolution, resolution);
+            }
+        }
+    }
+
     drawWave1D(fdtd, yOffset, height, showE = true, showH = true) {
         const ctx = this.ctx;
         const fields = fdtd.getNormalizedFields();
-        const dx = this.width / fdtd.numCells;
 
-        // Material regions
+        // Cell i spans world x ∈ [i·dx, (i+1)·dx] when a camera is set
+        const x0 = this.viewport ? this.toScreen(0, 0).x : 0;
+        const dx = this.viewport ? fdtd.dx * this.viewport.scale : this.width / fdtd.numCells;
+
+        // Material regions (library colors when available)
+        const library = typeof materialLibrary !== 'undefined' ? materialLibrary : null;
         for (let i = 0; i < fdtd.numCells; i++) {
-            if (fdtd.epsilon_r[i] > 1.01) {
+            const name = fdtd.materialNames ? fdtd.materialNames[i] : null;
+            const material = library && name ? library.get(name) : null;
+
+            if (material) {
+                const alpha = library.shadeAlpha(name);
+                if (alpha <= 0) continue;
+                ctx.globalAlpha = alpha;
+                ctx.fillStyle = material.color;
+                ctx.fillRect(x0 + i * dx, yOffset - height / 2, dx, height);
+                ctx.globalAlpha = 1;
+            } else if (fdtd.epsilon_r[i] > 1.01) {
                 const alpha = Math.min(0.25, (fdtd.epsilon_r[i] - 1) / 15);
                 ctx.fillStyle = `rgba(21, 101, 192, ${alpha})`;
-                ctx.fillRect(i * dx, yOffset - height / 2, dx, height);
+                ctx.fillRect(x0 + i * dx, yOffset - height / 2, dx, height);
             }
         }
 
@@ -535,7 +994,7 @@ class EMRenderer {
         if (showE) {
             ctx.beginPath();
             for (let i = 0; i < fdtd.numCells; i++) {
-                const x = i * dx;
+                const x = x0 + i * dx;
                 const y = yOffset - fields.Ez[i] * height * 0.4;
                 i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
             }
@@ -545,8 +1004,8 @@ class EMRenderer {
             ctx.stroke();
 
             // Subtle fill
-            ctx.lineTo(this.width, yOffset);
-            ctx.lineTo(0, yOffset);
+            ctx.lineTo(x0 + (fdtd.numCells - 1) * dx, yOffset);
+            ctx.lineTo(x0, yOffset);
             ctx.closePath();
             ctx.fillStyle = this.colors.phosphorGreen + '08';
             ctx.fill();
@@ -556,7 +1015,7 @@ class EMRenderer {
         if (showH) {
             ctx.beginPath();
             for (let i = 0; i < fdtd.numCells; i++) {
-                const x = i * dx;
+                const x = x0 + i * dx;
                 const y = yOffset - fields.Hy[i] * height * 0.4;
                 i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
             }
@@ -566,7 +1025,7 @@ class EMRenderer {
         }
 
         // Source indicator
-        const sourceX = fdtd.sourcePosition * dx;
+        const sourceX = x0 + fdtd.sourcePosition * dx;
         this.drawIndicatorGlow(sourceX, yOffset + height * 0.45, 20, this.colors.cadmiumOrange, 0.6);
 
         ctx.beginPath();
@@ -581,66 +1040,236 @@ class EMRenderer {
         ctx.fillText('SOURCE', sourceX, yOffset + height * 0.45 + 18);
     }
 
-    drawWave2D(fdtd, colormap) {
+    /**
+     * Ez heatmap of the 2D grid
+     * @param {Colormap|Function} colormap - A Colormap (default blue-gray-green),
+     *   or a legacy t → CSS callback fed (Ez / max|Ez| + 1) / 2, drawn cell
+     *   by cell with fillRect
+     * @param {string} mode - ColorNorm scale for a Colormap: linear, log or symlog
+     * @returns {?ColorNorm} The scale used, for the colorbar (null for a callback)
+     */
+    drawWave2D(fdtd, colormap = null, mode = 'linear') {
         const ctx = this.ctx;
         const nx = fdtd.nx, ny = fdtd.ny;
-        const cellW = this.width / nx, cellH = this.height / ny;
+        const Ez = fdtd.Ez;
+
+        // Square cells under a camera (j = 0 is the top row), else stretch to fit
+        let originX = 0, originY = 0;
+        let cellW = this.width / nx, cellH = this.height / ny;
+        if (this.viewport) {
+            const topLeft = this.toScreen(0, ny * fdtd.dx);
+            originX = topLeft.x;
+            originY = topLeft.y;
+            cellW = cellH = fdtd.dx * this.viewport.scale;
+            this.clear();
+        }
 
         let maxE = 0;
         for (let i = 0; i < nx; i++) {
+            const column = Ez[i];
             for (let j = 0; j < ny; j++) {
-                maxE = Math.max(maxE, Math.abs(fdtd.Ez[i][j]));
+                const v = Math.abs(column[j]);
+                if (v > maxE) maxE = v;
             }
         }
         maxE = Math.max(maxE, 1e-10);
 
-        for (let i = 0; i < nx; i++) {
-            for (let j = 0; j < ny; j++) {
-                const normalized = (fdtd.Ez[i][j] / maxE + 1) / 2;
-                // Scientific gradient: blue -> gray -> green
-                const color = colormap ? colormap(normalized) : this.getScientificColor(normalized);
-                ctx.fillStyle = color;
-                ctx.fillRect(i * cellW, j * cellH, cellW + 1, cellH + 1);
+        if (typeof colormap === 'function') {
+            // Visible cell range
+            const iMin = Math.max(0, Math.floor(-originX / cellW));
+            const iMax = Math.min(nx, Math.ceil((this.width - originX) / cellW));
+            const jMin = Math.max(0, Math.floor(-originY / cellH));
+            const jMax = Math.min(ny, Math.ceil((this.height - originY) / cellH));
+
+            for (let i = iMin; i < iMax; i++) {
+                for (let j = jMin; j < jMax; j++) {
+                    ctx.fillStyle = colormap((Ez[i][j] / maxE + 1) / 2);
+                    ctx.fillRect(originX + i * cellW, originY + j * cellH, cellW + 1, cellH + 1);
+                }
             }
+            return null;
         }
+
+        const map = colormap || Colormap.get('blue-gray-green');
+        const norm = this.fieldColorNorm([-maxE, maxE], map, mode);
+        this.drawHeatmap(nx, ny, (i, j) => Ez[i][j], map, norm, originX, originY, nx * cellW, ny * cellH);
+        return norm;
     }
 
+    /**
+     * Blue (negative) -> gray (zero) -> green (positive) for t ∈ [0, 1]
+     */
     getScientificColor(t) {
-        // Blue (negative) -> Gray (zero) -> Green (positive)
-        if (t < 0.5) {
-            const s = t * 2;
-            const r = Math.round(10 + s * 20);
-            const g = Math.round(10 + s * 20);
-            const b = Math.round(60 + (1 - s) * 132);
-            return `rgb(${r},${g},${b})`;
-        } else {
-            const s = (t - 0.5) * 2;
-            const r = Math.round(30 - s * 20);
-            const g = Math.round(30 + s * 145);
-            const b = Math.round(30 - s * 10);
-            return `rgb(${r},${g},${b})`;
+        return Colormap.get('blue-gray-green').css(t);
+    }
+
+    /**
+     * Color scale for a signed field: centered maps get a range symmetric
+     * about zero; log scales show |v| over four decades below the peak
+     * @param {ArrayLike<number>} values - Samples (or just the extremes)
+     */
+    fieldColorNorm(values, colormap, mode = 'linear', percentile = null) {
+        return ColorNorm.fromValues(values, {
+            mode,
+            symmetric: colormap.centered,
+            percentile
+        });
+    }
+
+    /**
+     * Electrostatic potential V(x, y) as a heatmap under the other layers
+     * The range is clipped to the 99th percentile so the 1/r peaks at the
+     * charges don't wash out the map.
+     * @returns {ColorNorm} The scale used, for the colorbar
+     */
+    drawPotentialHeatmap(chargeSystem, colormap, mode = 'symlog', resolution = 6) {
+        const grid = this.samplePotentialGrid(chargeSystem, resolution);
+        const norm = this.fieldColorNorm(grid.V, colormap, mode, 0.99);
+
+        // Sample (i, j) sits at pixel (i·resolution, j·resolution), the cell center
+        const { cols, rows, V } = grid;
+        this.drawHeatmap(cols, rows, (i, j) => V[j * cols + i], colormap, norm,
+            -resolution / 2, -resolution / 2, cols * resolution, rows * resolution);
+
+        return norm;
+    }
+
+    /**
+     * Offscreen canvas and ImageData with one pixel per heatmap cell,
+     * reused while the grid size is unchanged
+     */
+    heatmapBuffer(cols, rows) {
+        const buffer = this.heatmap;
+        if (buffer && buffer.cols === cols && buffer.rows === rows) return buffer;
+
+        const canvas = typeof OffscreenCanvas !== 'undefined'
+            ? new OffscreenCanvas(cols, rows)
+            : Object.assign(document.createElement('canvas'), { width: cols, height: rows });
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(cols, rows);
+
+        this.heatmap = { cols, rows, canvas, ctx, image, pixels: new Uint32Array(image.data.buffer) };
+        return this.heatmap;
+    }
+
+    /**
+     * Color a cols × rows scalar grid through the colormap's packed table
+     * into the heatmap buffer, then draw it scaled onto (x, y, width, height),
+     * bilinearly smoothed when smoothHeatmaps is set. Non-finite values stay
+     * transparent.
+     * @param {Function} valueAt - (i, j) → value of column i, row j (top row 0)
+     */
+    drawHeatmap(cols, rows, valueAt, colormap, norm, x, y, width, height) {
+        const buffer = this.heatmapBuffer(cols, rows);
+        const pixels = buffer.pixels;
+        const packed = colormap.packed;
+
+        // Table index from the scaled coordinate; ColorNorm.forward is
+        // inlined, as this runs once per cell every frame
+        const top = Colormap.SIZE - 1;
+        const low = norm.low;
+        const scale = top / (norm.high - norm.low);
+        const mode = norm.mode;
+        const logMin = norm.min;
+        const invThreshold = 1 / norm.linthresh;
+
+        for (let j = 0; j < rows; j++) {
+            const row = j * cols;
+            for (let i = 0; i < cols; i++) {
+                const v = valueAt(i, j);
+                if (!isFinite(v)) {
+                    pixels[row + i] = 0;
+                    continue;
+                }
+
+                let f = v;
+                if (mode === 'symlog') {
+                    f = v < 0 ? -Math.log10(1 - v * invThreshold) : Math.log10(1 + v * invThreshold);
+                } else if (mode === 'log') {
+                    f = Math.log10(Math.max(v < 0 ? -v : v, logMin));
+                }
+
+                const t = (f - low) * scale;
+                pixels[row + i] = packed[t <= 0 ? 0 : t >= top ? top : (t + 0.5) | 0];
+            }
         }
+
+        buffer.ctx.putImageData(buffer.image, 0, 0);
+
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.imageSmoothingEnabled = this.smoothHeatmaps;
+        ctx.drawImage(buffer.canvas, x, y, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Vertical colorbar legend at the right edge, ticks in physical units
+     * @param {Object} options - {label, unit, x, y, width, height}
+     */
+    drawColorbar(colormap, norm, options = {}) {
+        const ctx = this.ctx;
+        const width = options.width || 12;
+        const height = options.height || Math.min(220, this.height * 0.4);
+        const x = options.x ?? this.width - 28 - width;
+        const y = options.y ?? (this.height - height) / 2;
+        const label = norm.mode === 'log' ? `|${options.label || ''}|` : (options.label || '');
+
+        ctx.save();
+        ctx.fillStyle = this.colors.surfaceDark + 'CC';
+        ctx.fillRect(x - 66, y - 28, width + 76, height + 38);
+
+        // Bar, high values at the top
+        for (let py = 0; py < height; py++) {
+            ctx.fillStyle = colormap.css(1 - py / (height - 1));
+            ctx.fillRect(x, y + py, width, 1);
+        }
+        ctx.strokeStyle = this.colors.gridMajor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        // Title with the scale
+        ctx.fillStyle = this.colors.textSecondary;
+        ctx.font = "600 9px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(`${label} · ${norm.mode.toUpperCase()}`, x + width, y - 12);
+
+        // Ticks
+        ctx.textBaseline = 'middle';
+        ctx.strokeStyle = this.colors.textSecondary;
+        for (const tick of norm.ticks(5)) {
+            const ty = y + (1 - tick.t) * height;
+            ctx.beginPath();
+            ctx.moveTo(x - 4, ty);
+            ctx.lineTo(x, ty);
+            ctx.stroke();
+            ctx.fillText(Colormap.formatValue(tick.value, options.unit), x - 6, ty);
+        }
+        ctx.restore();
     }
 
     drawParticle(particle, scale = 100) {
         const ctx = this.ctx;
-        const x = this.width / 2 + particle.x * scale;
-        const y = this.height / 2 - particle.y * scale;
+
+        // Camera when set, else `scale` px/m about the canvas center
+        const project = this.viewport
+            ? (p) => this.viewport.worldToScreen(p.x, p.y)
+            : (p) => ({ x: this.width / 2 + p.x * scale, y: this.height / 2 - p.y * scale });
+        const { x, y } = project(particle);
 
         // Trail with gradient
         if (particle.trajectory.length > 1) {
             for (let i = 1; i < particle.trajectory.length; i++) {
                 const p0 = particle.trajectory[i - 1];
                 const p1 = particle.trajectory[i];
-                const px0 = this.width / 2 + p0.x * scale;
-                const py0 = this.height / 2 - p0.y * scale;
-                const px1 = this.width / 2 + p1.x * scale;
-                const py1 = this.height / 2 - p1.y * scale;
+                const s0 = project(p0);
+                const s1 = project(p1);
 
                 const alpha = (i / particle.trajectory.length) * 0.6;
                 ctx.beginPath();
-                ctx.moveTo(px0, py0);
-                ctx.lineTo(px1, py1);
+                ctx.moveTo(s0.x, s0.y);
+                ctx.lineTo(s1.x, s1.y);
                 ctx.strokeStyle = this.colors.phosphorGreen + Math.floor(alpha * 255).toString(16).padStart(2, '0');
                 ctx.lineWidth = this.trailWidth * (i / particle.trajectory.length) + 0.5;
                 ctx.lineCap = 'square';
@@ -667,15 +1296,164 @@ class EMRenderer {
         ctx.fill();
     }
 
-    drawMagneticFieldIndicator(Bz, x, y, size = 30) {
+    /**
+     * Beam particles as 2 px dots in one path (x–y projection), skipping
+     * those off screen
+     */
+    drawBeam(beam) {
+        if (!this.viewport || beam.count === 0) return;
+
         const ctx = this.ctx;
+        const origin = this.toScreen(0, 0);
+        const scale = this.viewport.scale;
+        const { x, y } = beam;
+
+        ctx.beginPath();
+        for (let i = 0; i < beam.count; i++) {
+            const sx = origin.x + x[i] * scale;
+            const sy = origin.y - y[i] * scale;
+            if (sx < -2 || sy < -2 || sx > this.width + 2 || sy > this.height + 2) continue;
+            ctx.rect(sx - 1, sy - 1, 2, 2);
+        }
+        ctx.fillStyle = this.colors.phosphorGreenBright + 'CC';
+        ctx.fill();
+    }
+
+    /**
+     * Phase-space scatter (position across, velocity up) auto-ranged
+     * about the mean, with the axes through the centroid
+     * @param {Object} options - {label, xUnit, yUnit, color}
+     */
+    drawPhaseSpace(positions, velocities, count, x, y, width, height, options = {}) {
+        const ctx = this.ctx;
+        const color = options.color || this.colors.phosphorGreen;
+
+        ctx.fillStyle = this.colors.surfaceDark + 'E6';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.colors.gridMajor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        ctx.fillStyle = color;
+        ctx.font = "600 9px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'left';
+        ctx.fillText(options.label || 'PHASE SPACE', x + 6, y + 11);
+
+        // Range: 3σ about the mean in each coordinate
+        let n = 0, mp = 0, mv = 0;
+        for (let i = 0; i < count; i++) {
+            if (!isFinite(positions[i]) || !isFinite(velocities[i])) continue;
+            n++;
+            mp += positions[i];
+            mv += velocities[i];
+        }
+        if (n < 2) return;
+        mp /= n;
+        mv /= n;
+
+        let sp = 0, sv = 0;
+        for (let i = 0; i < count; i++) {
+            if (!isFinite(positions[i]) || !isFinite(velocities[i])) continue;
+            sp += (positions[i] - mp) ** 2;
+            sv += (velocities[i] - mv) ** 2;
+        }
+        const rangeP = 3 * Math.sqrt(sp / n) || Math.abs(mp) || 1;
+        const rangeV = 3 * Math.sqrt(sv / n) || Math.abs(mv) || 1;
+
+        const top = y + 16;
+        const plotHeight = height - 30;
+        const cx = x + width / 2;
+        const cy = top + plotHeight / 2;
+
+        ctx.beginPath();
+        ctx.moveTo(x + 4, cy);
+        ctx.lineTo(x + width - 4, cy);
+        ctx.moveTo(cx, top);
+        ctx.lineTo(cx, top + plotHeight);
+        ctx.strokeStyle = this.colors.gridMajor;
+        ctx.stroke();
+
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const px = cx + (positions[i] - mp) / rangeP * (width / 2 - 4);
+            const py = cy - (velocities[i] - mv) / rangeV * (plotHeight / 2);
+            if (!(px >= x && px <= x + width && py >= top && py <= top + plotHeight)) continue;
+            ctx.rect(px - 0.75, py - 0.75, 1.5, 1.5);
+        }
+        ctx.fillStyle = color + 'B3';
+        ctx.fill();
+
+        // Half-width of the view in each coordinate
+        ctx.fillStyle = this.colors.textSecondary;
+        ctx.textAlign = 'right';
+        ctx.fillText(`±${rangeP.toExponential(1)} ${options.xUnit || 'm'} · ±${rangeV.toExponential(1)} ${options.yUnit || 'm/s'}`,
+            x + width - 6, y + height - 4);
+    }
+
+    /**
+     * Sources of an analytic particle field map (see FieldMap): the mirror
+     * coils at the throats of a magnetic bottle, or the gradient region of
+     * a quadrupole lens
+     */
+    drawFieldMap(map) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        if (map.name === 'bottle') {
+            // Axis between the throats
+            const a = this.toScreen(-map.length, 0);
+            const b = this.toScreen(map.length, 0);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.strokeStyle = this.colors.cobaltBlue + '66';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([6, 4]);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Coil cross-sections: current out of the page above the axis gives +Bx
+            for (const x of [-map.length, map.length]) {
+                const top = this.toScreen(x, 1.5);
+                const bottom = this.toScreen(x, -1.5);
+                this.drawWire(top.x, top.y, 1, 12);
+                this.drawWire(bottom.x, bottom.y, -1, 12);
+                this.drawRegionLabel(`${(map.B0 * map.mirrorRatio).toFixed(1)} T`, { x: top.x, y: top.y - 24 });
+            }
+
+            const center = this.toScreen(0, 1.5);
+            this.drawRegionLabel(`B0 ${map.B0.toFixed(1)} T · R = ${map.mirrorRatio}`, { x: center.x, y: center.y - 24 });
+        } else if (map.name === 'quadrupole') {
+            const half = map.length / 2;
+            const p0 = this.toScreen(map.center - half, 2.5);
+            const p1 = this.toScreen(map.center + half, -2.5);
+
+            ctx.fillStyle = this.colors.cobaltBlue + '1A';
+            ctx.fillRect(p0.x, p0.y, p1.x - p0.x, p1.y - p0.y);
+            ctx.strokeStyle = this.colors.cobaltBlue + '66';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(p0.x, p0.y, p1.x - p0.x, p1.y - p0.y);
+
+            this.drawRegionLabel(`Q · G = ${map.gradient.toFixed(2)} T/m`, { x: (p0.x + p1.x) / 2, y: p0.y - 8 });
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Out-of-plane field dial (⊗ for positive, ⊙ for negative)
+     * @param {Object} options - {label, color} overrides for other fields (e.g. Ez)
+     */
+    drawMagneticFieldIndicator(Bz, x, y, size = 30, options = {}) {
+        const ctx = this.ctx;
+        const color = options.color || this.colors.cobaltBlue;
 
         // Outer ring
         ctx.beginPath();
         ctx.arc(x, y, size, 0, Math.PI * 2);
         ctx.fillStyle = this.colors.surfaceDark;
         ctx.fill();
-        ctx.strokeStyle = this.colors.cobaltBlue;
+        ctx.strokeStyle = color;
         ctx.lineWidth = 1;
         ctx.stroke();
 
@@ -687,7 +1465,7 @@ class EMRenderer {
             ctx.lineTo(x + size * 0.4, y + size * 0.4);
             ctx.moveTo(x + size * 0.4, y - size * 0.4);
             ctx.lineTo(x - size * 0.4, y + size * 0.4);
-            ctx.strokeStyle = this.colors.cobaltBlue;
+            ctx.strokeStyle = color;
             ctx.lineWidth = 2;
             ctx.lineCap = 'square';
             ctx.stroke();
@@ -695,28 +1473,33 @@ class EMRenderer {
             // Out of page (dot)
             ctx.beginPath();
             ctx.arc(x, y, 5, 0, Math.PI * 2);
-            ctx.fillStyle = this.colors.cobaltBlue;
+            ctx.fillStyle = color;
             ctx.fill();
         }
 
         // Label
-        ctx.fillStyle = this.colors.cobaltBlue;
+        ctx.fillStyle = color;
         ctx.font = "600 11px 'JetBrains Mono', monospace";
         ctx.textAlign = 'center';
-        ctx.fillText(`B = ${Math.abs(Bz).toFixed(2)} T`, x, y + size + 18);
+        ctx.fillText(options.label ?? `B = ${Math.abs(Bz).toFixed(2)} T`, x, y + size + 18);
     }
 
-    drawElectricFieldIndicator(Ex, Ey, x, y) {
+    /**
+     * In-plane field arrow in screen orientation (Ey positive down)
+     * @param {Object} options - {label, color} overrides for other fields (e.g. H)
+     */
+    drawElectricFieldIndicator(Ex, Ey, x, y, options = {}) {
         const mag = Math.sqrt(Ex * Ex + Ey * Ey);
         if (mag < 1e-10) return;
 
-        this.drawIndicatorGlow(x, y, 35, this.colors.phosphorGreen, 0.3);
-        this.drawArrow(x, y, Ex * 25 / mag, Ey * 25 / mag, this.colors.phosphorGreen, 40);
+        const color = options.color || this.colors.phosphorGreen;
+        this.drawIndicatorGlow(x, y, 35, color, 0.3);
+        this.drawArrow(x, y, Ex * 25 / mag, Ey * 25 / mag, color, 40);
 
-        this.ctx.fillStyle = this.colors.phosphorGreen;
+        this.ctx.fillStyle = color;
         this.ctx.font = "600 11px 'JetBrains Mono', monospace";
         this.ctx.textAlign = 'center';
-        this.ctx.fillText(`E = ${mag.toExponential(1)} V/m`, x, y + 40);
+        this.ctx.fillText(options.label ?? `E = ${mag.toExponential(1)} V/m`, x, y + 40);
     }
 
     drawEnergyGraph(energyHistory, x, y, width, height) {
@@ -758,7 +1541,103 @@ class EMRenderer {
         ctx.fillText('⚡ ENERGY', x + 8, y + 12);
     }
 
+    /**
+     * Scrolling trace of recent values, auto-ranged (symmetric about zero
+     * when the trace changes sign)
+     */
+    drawStripChart(values, x, y, width, height, options = {}) {
+        const ctx = this.ctx;
+        const color = options.color || this.colors.phosphorGreen;
+
+        ctx.fillStyle = this.colors.surfaceDark + 'E6';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.colors.gridMajor;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, width, height);
+
+        if (options.label) {
+            ctx.fillStyle = color;
+            ctx.font = "600 9px 'JetBrains Mono', monospace";
+            ctx.textAlign = 'left';
+            ctx.fillText(options.label, x + 6, y + 11);
+        }
+
+        const finite = values.filter(isFinite);
+        if (finite.length < 2) return;
+
+        let min = Math.min(...finite);
+        let max = Math.max(...finite);
+        if (min < 0 && max > 0) {
+            max = Math.max(max, -min);
+            min = -max;
+
+            // Zero line
+            ctx.beginPath();
+            ctx.moveTo(x, y + height / 2);
+            ctx.lineTo(x + width, y + height / 2);
+            ctx.strokeStyle = this.colors.gridMajor;
+            ctx.stroke();
+        }
+        const span = max - min || Math.abs(max) || 1;
+        const top = y + 14;
+        const plotHeight = height - 18;
+
+        // Newest sample at the right edge
+        const capacity = options.capacity || values.length;
+        const dx = width / Math.max(1, capacity - 1);
+        const x0 = x + width - (values.length - 1) * dx;
+
+        ctx.beginPath();
+        let drawing = false;
+        values.forEach((v, i) => {
+            if (!isFinite(v)) {
+                drawing = false;
+                return;
+            }
+            const px = x0 + i * dx;
+            const py = top + plotHeight * (1 - (v - min) / span);
+            drawing ? ctx.lineTo(px, py) : ctx.moveTo(px, py);
+            drawing = true;
+        });
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+    }
+
+    /**
+     * Multi-line monospace readout box anchored at (x, y), kept on canvas
+     */
+    drawReadout(lines, x, y, color = this.colors.phosphorGreen) {
+        const ctx = this.ctx;
+        const lineHeight = 14;
+
+        ctx.save();
+        ctx.font = "600 11px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const height = lines.length * lineHeight + 10;
+        const bx = Math.min(x, this.width - width - 4);
+        const by = Math.min(y, this.height - height - 4);
+
+        ctx.fillStyle = this.colors.surfaceDark + 'E6';
+        ctx.fillRect(bx, by, width, height);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(bx, by, width, height);
+
+        ctx.fillStyle = color;
+        lines.forEach((line, i) => ctx.fillText(line, bx + 8, by + 16 + i * lineHeight));
+        ctx.restore();
+    }
+
     drawAxes(scale = 100) {
+        if (this.viewport) {
+            this.drawViewportAxes();
+            return;
+        }
+
         const ctx = this.ctx;
         const cx = this.width / 2;
         const cy = this.height / 2;
@@ -793,6 +1672,61 @@ class EMRenderer {
         ctx.fillText('x (m)', this.width - 30, cy - 10);
         ctx.fillText('y (m)', cx + 20, 14);
     }
+
+    // World axes through the camera origin with zoom-adaptive ticks
+    drawViewportAxes() {
+        const ctx = this.ctx;
+        const vp = this.viewport;
+        const origin = vp.worldToScreen(0, 0);
+        const cx = Math.max(0, Math.min(this.width, origin.x));
+        const cy = Math.max(0, Math.min(this.height, origin.y));
+
+        ctx.beginPath();
+        ctx.moveTo(0, cy);
+        ctx.lineTo(this.width, cy);
+        ctx.moveTo(cx, 0);
+        ctx.lineTo(cx, this.height);
+        ctx.strokeStyle = this.colors.gridMajor;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.fillStyle = this.colors.textDim;
+        ctx.font = "9px 'JetBrains Mono', monospace";
+        ctx.textAlign = 'center';
+
+        const spacing = vp.niceSpacing(50);
+        const bounds = vp.getVisibleBounds();
+        const unit = Viewport.formatLength(spacing, spacing).unit;
+
+        ctx.beginPath();
+        for (let n = Math.ceil(bounds.x / spacing); n * spacing <= bounds.x + bounds.width; n++) {
+            if (n === 0) continue;
+            const label = Viewport.formatLength(n * spacing, spacing);
+            const xPos = vp.worldToScreen(n * spacing, 0).x;
+            ctx.moveTo(xPos, cy - 3);
+            ctx.lineTo(xPos, cy + 3);
+            ctx.fillText(label.text, xPos, cy + 14);
+        }
+
+        // y labels left of the axis, or right of it when it sits at the left edge
+        const labelRight = cx < 40;
+        ctx.textAlign = labelRight ? 'left' : 'right';
+        for (let n = Math.ceil(bounds.y / spacing); n * spacing <= bounds.y + bounds.height; n++) {
+            if (n === 0) continue;
+            const label = Viewport.formatLength(n * spacing, spacing);
+            const yPos = vp.worldToScreen(0, n * spacing).y;
+            ctx.moveTo(cx - 3, yPos);
+            ctx.lineTo(cx + 3, yPos);
+            ctx.fillText(label.text, labelRight ? cx + 6 : cx - 6, yPos + 3);
+        }
+        ctx.stroke();
+        ctx.textAlign = 'center';
+
+        // Axis labels
+        ctx.fillStyle = this.colors.phosphorGreen;
+        ctx.fillText(`x (${unit})`, this.width - 30, cy - 10);
+        ctx.fillText(`y (${unit})`, cx + 20, 14);
+    }
 }
 
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,167 @@
+/**
+ * VIEWPORT CAMERA
+ *
+ * World-to-screen transform shared by the renderer, the calipers and
+ * the interaction tools:
+ * - World units are meters with y pointing up
+ * - `scale` is pixels per meter; `zoom` is scale relative to the
+ *   mode's base scale (the HUD readout)
+ * - Zoom about a screen point keeps that world point under the cursor
+ */
+
+class Viewport {
+    constructor(options = {}) {
+        this.width = options.width || 800;
+        this.height = options.height || 600;
+
+        this.baseScale = options.baseScale || 100;
+        this.baseCenterX = options.centerX || 0;
+        this.baseCenterY = options.centerY || 0;
+
+        this.minZoom = options.minZoom || 0.05;
+        this.maxZoom = options.maxZoom || 200;
+
+        // Bumped on every change so renderers can cache projected geometry
+        this.revision = 0;
+
+        this.listeners = [];
+        this.reset();
+    }
+
+    // ==========================================
+    // STATE
+    // ==========================================
+
+    get zoom() {
+        return this.scale / this.baseScale;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.notify();
+    }
+
+    /**
+     * Define the home view restored by reset()
+     */
+    setHome(centerX, centerY, baseScale) {
+        this.baseCenterX = centerX;
+        this.baseCenterY = centerY;
+        this.baseScale = baseScale;
+        this.reset();
+    }
+
+    /**
+     * Home view fitting a world rectangle with a margin (fraction of size)
+     */
+    fitBounds(xMin, yMin, xMax, yMax, margin = 0.05) {
+        const w = Math.max(xMax - xMin, 1e-30);
+        const h = Math.max(yMax - yMin, 1e-30);
+        const scale = Math.min(this.width / w, this.height / h) * (1 - 2 * margin);
+        this.setHome((xMin + xMax) / 2, (yMin + yMax) / 2, scale);
+    }
+
+    reset() {
+        this.centerX = this.baseCenterX;
+        this.centerY = this.baseCenterY;
+        this.scale = this.baseScale;
+        this.notify();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    offChange(listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+    }
+
+    notify() {
+        this.revision++;
+        for (const listener of this.listeners) {
+            listener(this);
+        }
+    }
+
+    // ==========================================
+    // TRANSFORMS
+    // ==========================================
+
+    worldToScreen(x, y) {
+        return {
+            x: this.width / 2 + (x - this.centerX) * this.scale,
+            y: this.height / 2 - (y - this.centerY) * this.scale
+        };
+    }
+
+    screenToWorld(sx, sy) {
+        return {
+            x: this.centerX + (sx - this.width / 2) / this.scale,
+            y: this.centerY - (sy - this.height / 2) / this.scale
+        };
+    }
+
+    /**
+     * Visible world rectangle as {x, y, width, height} (y = bottom edge)
+     */
+    getVisibleBounds() {
+        const topLeft = this.screenToWorld(0, 0);
+        return {
+            x: topLeft.x,
+            y: topLeft.y - this.height / this.scale,
+            width: this.width / this.scale,
+            height: this.height / this.scale
+        };
+    }
+
+    // ==========================================
+    // NAVIGATION
+    // ==========================================
+
+    panBy(dxScreen, dyScreen) {
+        this.centerX -= dxScreen / this.scale;
+        this.centerY += dyScreen / this.scale;
+        this.notify();
+    }
+
+    zoomAt(sx, sy, factor) {
+        const anchor = this.screenToWorld(sx, sy);
+        const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+        this.scale = zoom * this.baseScale;
+
+        // Keep the anchor under the cursor
+        this.centerX = anchor.x - (sx - this.width / 2) / this.scale;
+        this.centerY = anchor.y + (sy - this.height / 2) / this.scale;
+        this.notify();
+    }
+
+    /**
+     * "Nice" world spacing (1, 2, 5 × 10ⁿ) closest to `targetPixels` on screen
+     */
+    niceSpacing(targetPixels = 100) {
+        const raw = targetPixels / this.scale;
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        const mantissa = raw / power;
+        const nice = mantissa < 1.5 ? 1 : mantissa < 3.5 ? 2 : mantissa < 7.5 ? 5 : 10;
+        return nice * power;
+    }
+
+    /**
+     * Format a length with an SI prefix suited to `spacing`
+     */
+    static formatLength(value, spacing) {
+        const prefixes = [[1e-9, 'nm'], [1e-6, 'µm'], [1e-3, 'mm'], [1, 'm'], [1e3, 'km']];
+        let unit = prefixes[3];
+        for (const p of prefixes) {
+            if (Math.abs(spacing) >= p[0] * 0.999) unit = p;
+        }
+        const scaled = value / unit[0];
+        const decimals = Math.max(0, -Math.floor(Math.log10(spacing / unit[0]) + 1e-9));
+        return { text: scaled.toFixed(decimals), unit: unit[1] };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Viewport };
+}
@@ -0,0 +1,75 @@
+/**
+ * ChargeSystem against the analytic multipole fields
+ *
+ * Run with `node --test test/`. Far from the sources the exact
+ * superposition approaches the leading multipole term, with relative
+ * corrections of order (d/r)², so the spacings here keep them near 1e-6.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ChargeSystem } = require('../js/physics/coulomb.js');
+
+const K = ChargeSystem.COULOMB_K;
+
+function assertClose(actual, expected, tolerance = 1e-5) {
+    const scale = Math.max(Math.abs(expected), Number.MIN_VALUE);
+    assert.ok(Math.abs(actual - expected) / scale < tolerance,
+        `expected ${expected}, got ${actual}`);
+}
+
+// +q at (0, d/2) and −q at (0, −d/2): dipole moment p = q·d along +y
+function dipole(q, d) {
+    const system = new ChargeSystem();
+    system.addCharge(0, d / 2, q);
+    system.addCharge(0, -d / 2, -q);
+    return system;
+}
+
+test('dipole potential follows k·p·cosθ / r²', () => {
+    const q = 1e-9, d = 1e-3, r = 1;
+    const system = dipole(q, d);
+
+    for (const theta of [0, Math.PI / 6, Math.PI / 3, 2 * Math.PI / 3, Math.PI]) {
+        // θ measured from the dipole axis (+y)
+        const V = system.potentialAt(r * Math.sin(theta), r * Math.cos(theta));
+        assertClose(V, K * q * d * Math.cos(theta) / (r * r));
+    }
+    assert.equal(system.potentialAt(1, 0), 0);
+});
+
+test('dipole field is 2kp / r³ along the axis', () => {
+    const q = 1e-9, d = 1e-3, r = 1;
+    const E = dipole(q, d).fieldAt(0, r);
+
+    assertClose(E.Ey, 2 * K * q * d / r ** 3);
+    assert.ok(Math.abs(E.Ex) < 1e-12 * Math.abs(E.Ey));
+    assertClose(E.magnitude, Math.abs(E.Ey));
+});
+
+test('dipole field is −kp / r³ on the bisector', () => {
+    const q = 1e-9, d = 1e-3, r = 1;
+    const E = dipole(q, d).fieldAt(r, 0);
+
+    assertClose(E.Ey, -K * q * d / r ** 3);
+    assert.equal(E.Ex, 0);
+});
+
+test('linear quadrupole far field follows 2kqa²·P₂(cosθ) / r³', () => {
+    // +q at (0, ±a) and −2q at the origin
+    const q = 1e-9, a = 1e-3, r = 1;
+    const system = new ChargeSystem();
+    system.addCharge(0, a, q);
+    system.addCharge(0, -a, q);
+    system.addCharge(0, 0, -2 * q);
+    assert.equal(system.totalCharge(), 0);
+
+    const P2 = (c) => (3 * c * c - 1) / 2;
+    for (const theta of [0, Math.PI / 4, Math.PI / 2, 2 * Math.PI / 3]) {
+        const V = system.potentialAt(r * Math.sin(theta), r * Math.cos(theta));
+        assertClose(V, 2 * K * q * a * a * P2(Math.cos(theta)) / r ** 3);
+    }
+
+    // Radial field on the axis, E = −∂V/∂r = 6kqa² / r⁴
+    assertClose(system.fieldAt(0, r).Ey, 6 * K * q * a * a / r ** 4);
+});